@@ -0,0 +1,115 @@
+/* Business Hub — analytics
+   - A local event log: no cookies, visitor ids or third-party scripts, and
+     events never leave the browser (storage keeps them beside the DB, out
+     of exports). script.js records nothing for a signed-in admin or when
+     Do Not Track is on
+   - Events: {type, at, section?, coll?, id?}; types are view (a section of
+     the page), open (an item's page), link (a project's "Open" link) and
+     contact (a message that wasn't filed as spam)
+   - summarize(events, db, {days, now}): daily series, totals, top content,
+     opens per category (of items still around), section views and the contact conversion rate
+     (messages per view of the contact section)
+   - chartSvg(series): the daily counts as an inline SVG line chart
+   Works in the browser (BHub.analytics) and in Node (require).
+*/
+
+(() => {
+  const TYPES = { view: 'Section views', open: 'Item opens', link: 'Project link clicks', contact: 'Messages' };
+  const RANGES = { 7: 'Last 7 days', 30: 'Last 30 days', 90: 'Last 90 days', 365: 'Last year' };
+  const MAX_EVENTS = 20000; // the oldest go first
+  const LABELS = { thoughts: 'Thought', work: 'Work', projects: 'Project' };
+  const UNCATEGORIZED = 'Uncategorized';
+
+  function event(type, data = {}, now = new Date()){
+    const e = { type, at: now.toISOString() };
+    ['section', 'coll', 'id'].forEach(k => { if(data[k]) e[k] = String(data[k]); });
+    return e;
+  }
+
+  const pad = n => String(n).padStart(2, '0');
+  // local calendar day, so "today" matches the admin's clock
+  function dayKey(date){
+    const d = new Date(date);
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  }
+
+  // counts per key, most first
+  function rank(list, keyOf){
+    const map = new Map();
+    list.forEach(x => { const k = keyOf(x); if(k != null) map.set(k, (map.get(k) || 0) + 1); });
+    return Array.from(map).sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])));
+  }
+
+  function summarize(events, db, opts = {}){
+    const days = Number(opts.days) || 30;
+    const now = opts.now ? new Date(opts.now) : new Date();
+    const start = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (days - 1));
+    const list = events.filter(e => TYPES[e.type] && Date.parse(e.at) >= start.getTime() && Date.parse(e.at) <= now.getTime());
+
+    const series = [];
+    const byDay = new Map();
+    for(let i = 0; i < days; i++){
+      const row = { day: dayKey(new Date(start.getFullYear(), start.getMonth(), start.getDate() + i)) };
+      Object.keys(TYPES).forEach(t => { row[t] = 0; });
+      series.push(row);
+      byDay.set(row.day, row);
+    }
+    const totals = {};
+    Object.keys(TYPES).forEach(t => { totals[t] = 0; });
+    list.forEach(e => {
+      totals[e.type]++;
+      const row = byDay.get(dayKey(e.at));
+      if(row) row[e.type]++;
+    });
+
+    const recordOf = e => ((db && db[e.coll]) || []).find(r => r.id === e.id) || null;
+    const items = list.filter(e => (e.type === 'open' || e.type === 'link') && LABELS[e.coll]);
+    const top = rank(items, e => e.coll + ':' + e.id).slice(0, 10).map(([key]) => {
+      const [coll, id] = key.split(':');
+      const mine = items.filter(e => e.coll === coll && e.id === id);
+      const rec = recordOf(mine[0]);
+      return {
+        coll, id, title: rec ? rec.title : null,
+        opens: mine.filter(e => e.type === 'open').length,
+        links: mine.filter(e => e.type === 'link').length
+      };
+    });
+    const categories = rank(list.filter(e => e.type === 'open'), e => {
+      const rec = recordOf(e);
+      return rec ? rec.category || UNCATEGORIZED : null;
+    }).map(([name, count]) => ({ name, count }));
+    const sections = rank(list.filter(e => e.type === 'view'), e => e.section || null).map(([name, count]) => ({ name, count }));
+    const contactViews = (sections.find(s => s.name === 'contact') || {}).count || 0;
+
+    return {
+      days, start: start.toISOString(), series, totals, top, categories, sections,
+      conversion: { messages: totals.contact, views: contactViews, rate: contactViews ? totals.contact / contactViews : null }
+    };
+  }
+
+  // series rows -> SVG markup; one polyline per type, the y axis from zero to the busiest day
+  function chartSvg(series, types = ['view', 'open', 'contact'], size = { width: 640, height: 200 }){
+    const { width, height } = size;
+    const pad = { top: 12, right: 12, bottom: 24, left: 36 };
+    const w = width - pad.left - pad.right, h = height - pad.top - pad.bottom;
+    const max = Math.max(1, ...series.flatMap(r => types.map(t => r[t])));
+    const x = i => pad.left + (series.length > 1 ? i * w / (series.length - 1) : w / 2);
+    const y = v => pad.top + h - v / max * h;
+    const lines = types.map(t => `<polyline class="chart-line chart-${t}" fill="none" points="${series.map((r, i) => `${x(i).toFixed(1)},${y(r[t]).toFixed(1)}`).join(' ')}" />`).join('');
+    const total = t => series.reduce((n, r) => n + r[t], 0);
+    const label = `${series.length ? `${series[0].day} to ${series[series.length - 1].day}: ` : ''}${types.map(t => `${total(t)} ${TYPES[t].toLowerCase()}`).join(', ')}`;
+    return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${label}" preserveAspectRatio="none">
+      <line class="chart-axis" x1="${pad.left}" y1="${pad.top + h}" x2="${pad.left + w}" y2="${pad.top + h}" />
+      <line class="chart-axis" x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${pad.top + h}" />
+      <text class="chart-label" x="${pad.left - 6}" y="${pad.top + 4}" text-anchor="end">${max}</text>
+      <text class="chart-label" x="${pad.left - 6}" y="${pad.top + h}" text-anchor="end">0</text>
+      ${series.length ? `<text class="chart-label" x="${pad.left}" y="${height - 6}">${series[0].day}</text>
+      <text class="chart-label" x="${pad.left + w}" y="${height - 6}" text-anchor="end">${series[series.length - 1].day}</text>` : ''}
+      ${lines}
+    </svg>`;
+  }
+
+  const api = { TYPES, RANGES, MAX_EVENTS, LABELS, event, dayKey, summarize, chartSvg };
+  if(typeof module !== 'undefined' && module.exports) module.exports = api;
+  else (window.BHub = window.BHub || {}).analytics = api;
+})();
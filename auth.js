@@ -0,0 +1,169 @@
+/* Business Hub — admin auth / session module
+   - Admin credentials live in db.admin (see storage.js) as a salted PBKDF2
+     hash; legacy unsalted SHA-256 hashes are upgraded on the next login
+   - Failed logins are counted per browser with an exponential lockout
+   - A successful login issues a random session token kept in sessionStorage
+     with a sliding expiry; closing the tab or idling past SESSION_TTL ends it
+   - isAuthed() is what every create/edit/delete path checks
+   Loaded after storage.js, before script.js.
+*/
+
+(() => {
+  const SESSION_KEY = 'bhub_session';
+  const SESSION_TTL = 30 * 60 * 1000; // idle timeout (ms)
+  const GUARD_KEY = 'bhub_login_guard';
+  const FREE_ATTEMPTS = 3; // failures allowed before the first lockout
+  const BASE_LOCK = 30 * 1000; // first lockout; doubles with every further failure
+  const MAX_LOCK = 60 * 60 * 1000;
+
+  const KDF = 'PBKDF2-SHA256';
+  const PBKDF2_ITERATIONS = 310000;
+
+  const storage = window.BHub.storage;
+  const changeHandlers = [];
+
+  // --------------------------
+  // Crypto
+  // --------------------------
+  const toHex = bytes => Array.from(bytes).map(b => b.toString(16).padStart(2,'0')).join('');
+  const fromHex = hex => new Uint8Array((hex.match(/../g) || []).map(h => parseInt(h, 16)));
+  const randomHex = n => toHex(crypto.getRandomValues(new Uint8Array(n)));
+
+  // legacy (pre-PBKDF2) password hash: unsalted SHA-256
+  async function hashText(text){
+    const enc = new TextEncoder();
+    const data = enc.encode(text);
+    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+    return toHex(new Uint8Array(hashBuffer));
+  }
+
+  async function pbkdf2(pass, saltHex, iterations){
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(pass), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: fromHex(saltHex), iterations }, key, 256);
+    return toHex(new Uint8Array(bits));
+  }
+
+  // fresh salt every time; returns the credential fields stored on db.admin
+  async function hashPassword(pass){
+    const salt = randomHex(16);
+    return { kdf: KDF, salt, iterations: PBKDF2_ITERATIONS, passHash: await pbkdf2(pass, salt, PBKDF2_ITERATIONS) };
+  }
+
+  // compares without bailing out at the first differing character
+  function sameHash(a, b){
+    if(typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    let diff = 0;
+    for(let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+  }
+
+  async function verifyPassword(admin, pass){
+    if(admin.kdf === KDF) return sameHash(await pbkdf2(pass, admin.salt, admin.iterations), admin.passHash);
+    return sameHash(await hashText(pass), admin.passHash);
+  }
+
+  function needsRehash(admin){
+    return admin.kdf !== KDF || admin.iterations < PBKDF2_ITERATIONS;
+  }
+
+  function newToken(){ return randomHex(24); }
+
+  // --------------------------
+  // Failed-login lockout (per browser)
+  // --------------------------
+  function readGuard(){
+    try { return JSON.parse(localStorage.getItem(GUARD_KEY)) || { fails: 0, lockedUntil: 0 }; }
+    catch (e) { return { fails: 0, lockedUntil: 0 }; }
+  }
+
+  // ms left on the current lockout, 0 when logins are allowed
+  function lockRemaining(){
+    return Math.max(0, readGuard().lockedUntil - Date.now());
+  }
+
+  function recordFailure(){
+    const guard = readGuard();
+    guard.fails++;
+    if(guard.fails >= FREE_ATTEMPTS){
+      guard.lockedUntil = Date.now() + Math.min(BASE_LOCK * 2 ** (guard.fails - FREE_ATTEMPTS), MAX_LOCK);
+    }
+    localStorage.setItem(GUARD_KEY, JSON.stringify(guard));
+  }
+
+  // --------------------------
+  // Session
+  // --------------------------
+  function readSession(){
+    try { return JSON.parse(sessionStorage.getItem(SESSION_KEY)); } catch (e) { return null; }
+  }
+  function writeSession(sess){
+    if(sess) sessionStorage.setItem(SESSION_KEY, JSON.stringify(sess));
+    else sessionStorage.removeItem(SESSION_KEY);
+    changeHandlers.forEach(fn => fn(!!sess));
+  }
+
+  // the live session, or null (expired sessions and sessions for a replaced admin are dropped)
+  function session(){
+    const sess = readSession();
+    if(!sess || typeof sess.token !== 'string' || !sess.expires) return null;
+    const admin = storage.load().admin;
+    if(Date.now() > sess.expires || !admin || admin.email !== sess.email){
+      writeSession(null);
+      return null;
+    }
+    return sess;
+  }
+
+  function isAuthed(){ return !!session(); }
+
+  // pushes the expiry out again; call on admin activity
+  function touch(){
+    const sess = session();
+    if(sess){
+      sess.expires = Date.now() + SESSION_TTL;
+      sessionStorage.setItem(SESSION_KEY, JSON.stringify(sess));
+    }
+  }
+
+  function onChange(fn){ changeHandlers.push(fn); }
+
+  // --------------------------
+  // Admin account
+  // --------------------------
+  // first-time setup; an existing admin can only be replaced from a live session
+  async function createAdmin(email, pass){
+    if(!email || !pass) throw new Error('Email + password required');
+    const db = storage.load();
+    if(db.admin && !isAuthed()) throw new Error('An admin already exists. Log in to change the credentials.');
+    db.admin = { email, ...(await hashPassword(pass)) };
+    storage.save(db);
+    if(readSession()) logout();
+  }
+
+  async function login(email, pass){
+    if(!email || !pass) throw new Error('Email + password required');
+    const wait = lockRemaining();
+    if(wait) throw new Error(`Too many failed attempts. Try again in ${Math.ceil(wait / 1000)}s.`);
+    const db = storage.load();
+    if(!db.admin) throw new Error('No admin set. Use Create Admin.');
+    if(db.admin.email !== email || !(await verifyPassword(db.admin, pass))){
+      recordFailure();
+      throw new Error('Invalid credentials');
+    }
+    localStorage.removeItem(GUARD_KEY);
+    if(needsRehash(db.admin)){
+      db.admin = { email, ...(await hashPassword(pass)) };
+      storage.save(db);
+    }
+    const sess = { token: newToken(), email, created: Date.now(), expires: Date.now() + SESSION_TTL };
+    writeSession(sess);
+    return sess;
+  }
+
+  function logout(){ writeSession(null); }
+
+  (window.BHub = window.BHub || {}).auth = {
+    SESSION_TTL, hashText, hashPassword, verifyPassword, lockRemaining,
+    session, isAuthed, touch, onChange, createAdmin, login, logout
+  };
+})();
@@ -0,0 +1,368 @@
+/* Business Hub — content bundles
+   - Thoughts, work updates and projects as Markdown files with YAML front
+     matter (title, date, updated, status, draft, category, tags, image,
+     imageAlt, focalPoint, thumbnail; projects add their case study: client,
+     role, start, end, services, metrics as "value | label", testimonial,
+     testimonialBy, featured, order, gallery with galleryAlt and
+     galleryThumbnails);
+     messages and projects as CSV
+   - pack(db, format, selection, opts) -> [{name, data}] for:
+       csv       <collection>.csv per chosen collection (messages, projects)
+       markdown  <collection>/<date>-<slug>.md (thoughts, work)
+       zip       Markdown for thoughts, work and projects, messages.csv, and
+                 the images under images/ (the caller adds the image bytes)
+   - unpack(files) reads such files back into an import-ready DB
+     ({thoughts, work, projects, messages, images: {id: dataUrl}}), including
+     Markdown from static-site tools: `date`, `lastmod`, `draft` and
+     `categories` are understood, and folders like posts/ or portfolio/ are
+     mapped onto our collections
+   - Front matter is the flat YAML subset these files need: scalars, flow
+     lists ([a, b]) and block lists (- a)
+   Works in the browser (BHub.bundle) and in Node (require).
+*/
+
+(() => {
+  const inNode = typeof module !== 'undefined' && module.exports;
+  const csv = inNode ? require('./csv.js') : window.BHub.csv;
+  const portfolio = inNode ? require('./portfolio.js') : window.BHub.portfolio;
+
+  const FORMATS = {
+    csv: { label: 'CSV', collections: ['messages', 'projects'] },
+    markdown: { label: 'Markdown bundle (.zip)', collections: ['thoughts', 'work'] },
+    zip: { label: 'ZIP with images', collections: ['thoughts', 'work', 'projects', 'messages'] }
+  };
+  const CSV_COLUMNS = {
+    messages: ['id', 'created', 'name', 'email', 'subject', 'message', 'status', 'readAt', 'repliedAt'],
+    projects: ['id', 'title', 'status', 'publishAt', 'category', 'tags', 'link', 'desc', 'image', 'created', 'updated',
+      'client', 'role', 'start', 'end', 'services', 'metrics', 'testimonial', 'testimonialBy', 'featured', 'order']
+  };
+  const MARKDOWN = ['thoughts', 'work', 'projects'];
+  // folder names other tools use, and the collection their files go to
+  const FOLDERS = {
+    thoughts: 'thoughts', posts: 'thoughts', _posts: 'thoughts', blog: 'thoughts', articles: 'thoughts',
+    work: 'work', updates: 'work', news: 'work',
+    projects: 'projects', portfolio: 'projects'
+  };
+  const IMAGE_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp', avif: 'image/avif', ico: 'image/x-icon' };
+  const EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/gif': 'gif', 'image/webp': 'webp', 'image/avif': 'avif', 'image/x-icon': 'ico', 'image/vnd.microsoft.icon': 'ico' };
+  const STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+  const newId = () => Math.random().toString(36).slice(2, 9);
+  const newImageId = () => 'img_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+  const dec = new TextDecoder();
+  const text = v => v == null ? '' : Array.isArray(v) ? v.join(', ') : String(v);
+  const list = v => (Array.isArray(v) ? v : text(v).split(',')).map(s => text(s).trim()).filter(Boolean);
+  const date = v => { const t = Date.parse(text(v)); return Number.isNaN(t) ? '' : new Date(t).toISOString(); };
+  const month = v => portfolio.MONTH.test(text(v)) ? text(v) : '';
+  const items = v => (Array.isArray(v) ? v : v == null ? [] : [v]).map(text); // list items that may hold commas
+  const nonEmpty = v => (v && v.length ? v : undefined);
+
+  // --------------------------
+  // Front matter
+  // --------------------------
+  function yaml(v){
+    if(v == null) return 'null';
+    if(typeof v === 'boolean' || typeof v === 'number') return String(v);
+    if(Array.isArray(v)) return '[' + v.map(yaml).join(', ') + ']';
+    return JSON.stringify(String(v)); // JSON strings are valid double-quoted YAML
+  }
+
+  function stringifyFrontMatter(meta, body){
+    const lines = Object.entries(meta).filter(([, v]) => v !== undefined).map(([k, v]) => `${k}: ${yaml(v)}`);
+    // the blank line after the fence and the final newline are dropped again by parseFrontMatter
+    return `---\n${lines.join('\n')}\n---\n\n${body || ''}\n`;
+  }
+
+  function scalar(s){
+    s = s.trim();
+    if(s.startsWith('"')){
+      try { return JSON.parse(s); } catch (e) { return s.replace(/^"|"$/g, ''); }
+    }
+    if(s.startsWith("'")) return s.replace(/^'|'$/g, '').replace(/''/g, "'");
+    s = s.replace(/\s+#.*$/, '');
+    if(s === 'true' || s === 'false') return s === 'true';
+    if(s === 'null' || s === '~' || s === '') return null;
+    return s;
+  }
+
+  function flowList(s){
+    const items = [];
+    const re = /\s*("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]*?)\s*(?:,|$)/g;
+    const inner = s.trim().slice(1, -1);
+    let m;
+    while(re.lastIndex < inner.length && (m = re.exec(inner))){
+      if(m[1] !== '') items.push(scalar(m[1]));
+      if(m[0] === '') break;
+    }
+    return items;
+  }
+
+  // -> {meta, body}; text without front matter is all body
+  function parseFrontMatter(src){
+    src = String(src).replace(/^\uFEFF/, '');
+    const m = src.match(/^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+    if(!m) return { meta: {}, body: src };
+    const meta = {};
+    let listKey = null;
+    m[1].split(/\r?\n/).forEach(line => {
+      if(!line.trim() || /^\s*#/.test(line)) return;
+      const item = line.match(/^\s*-\s+(.*)$/);
+      if(item && listKey){ meta[listKey].push(scalar(item[1])); return; }
+      const kv = line.match(/^([A-Za-z_][\w-]*)\s*:(?:\s+(.*))?$/);
+      listKey = null;
+      if(!kv) return; // nested maps and block scalars aren't part of the subset
+      const v = (kv[2] || '').trim();
+      if(v === ''){ meta[kv[1]] = []; listKey = kv[1]; }
+      else meta[kv[1]] = /^\[.*\]$/.test(v) ? flowList(v) : scalar(v);
+    });
+    return { meta, body: src.slice(m[0].length).replace(/^\r?\n/, '').replace(/\r?\n$/, '') };
+  }
+
+  // --------------------------
+  // Records <-> files
+  // --------------------------
+  function slug(rec){
+    return String(rec.title || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || rec.id;
+  }
+
+  // opts.imagePath(id) -> path of a stored image relative to the file, or ''
+  function toMarkdown(coll, rec, opts = {}){
+    const path = id => (id && opts.imagePath && opts.imagePath(id)) || '';
+    const image = path(rec.imageId) || rec.image || undefined;
+    return stringifyFrontMatter({
+      id: rec.id,
+      title: rec.title,
+      date: rec.created,
+      updated: rec.updated || undefined,
+      status: rec.status || 'published',
+      publishAt: rec.publishAt || undefined,
+      draft: (rec.status || 'published') !== 'published' && rec.status !== 'scheduled',
+      category: rec.category || undefined,
+      tags: rec.tags && rec.tags.length ? rec.tags : undefined,
+      link: coll === 'projects' ? rec.link || undefined : undefined,
+      image,
+      imageAlt: image && rec.imageAlt || undefined,
+      focalPoint: image && rec.focal ? [rec.focal.x, rec.focal.y] : undefined,
+      thumbnail: path(rec.thumbId) || undefined,
+      ...(coll === 'projects' ? caseStudyMeta(rec, path) : {})
+    }, coll === 'projects' ? rec.desc : rec.content);
+  }
+
+  // a project's case study (see portfolio.js); gallery images without a file are left out
+  function caseStudyMeta(rec, path){
+    const gallery = (rec.gallery || []).filter(g => path(g.imageId));
+    return {
+      client: rec.client || undefined,
+      role: rec.role || undefined,
+      start: rec.start || undefined,
+      end: rec.end || undefined,
+      services: nonEmpty(rec.services),
+      metrics: nonEmpty((rec.metrics || []).map(m => portfolio.formatMetrics([m]))),
+      testimonial: (rec.testimonial && rec.testimonial.quote) || undefined,
+      testimonialBy: (rec.testimonial && rec.testimonial.by) || undefined,
+      featured: rec.featured || undefined,
+      order: typeof rec.order === 'number' ? rec.order : undefined,
+      gallery: nonEmpty(gallery.map(g => path(g.imageId))),
+      galleryAlt: gallery.length ? gallery.map(g => g.alt || '') : undefined,
+      galleryThumbnails: gallery.some(g => path(g.thumbId)) ? gallery.map(g => path(g.thumbId)) : undefined
+    };
+  }
+  // the editor's defaults for whatever the file leaves out
+  function caseStudyOf(meta, image){
+    const alts = items(meta.galleryAlt), thumbs = items(meta.galleryThumbnails);
+    const idOf = ref => (ref && image ? image(ref).imageId : '') || null;
+    const quote = text(meta.testimonial);
+    const out = {
+      client: text(meta.client), role: text(meta.role), start: month(meta.start), end: month(meta.end),
+      services: list(meta.services),
+      metrics: portfolio.parseMetrics(items(meta.metrics).join('\n')),
+      testimonial: quote ? { quote, by: text(meta.testimonialBy) } : null,
+      gallery: items(meta.gallery).map((ref, i) => ({ imageId: idOf(ref), thumbId: idOf(thumbs[i]), alt: alts[i] || '' })).filter(g => g.imageId),
+      featured: meta.featured === true || text(meta.featured) === 'true'
+    };
+    const order = Number(text(meta.order));
+    if(text(meta.order) !== '' && Number.isFinite(order)) out.order = order;
+    return out;
+  }
+
+  // opts.image(ref) -> {imageId} or {image} for an `image:` value; `name` names the fallback title
+  function fromMarkdown(coll, src, { name = '', image } = {}){
+    const { meta, body } = parseFrontMatter(src);
+    const created = date(meta.date) || date(meta.created) || new Date().toISOString();
+    const status = STATUSES.includes(meta.status) ? meta.status : meta.draft === true ? 'draft' : 'published';
+    const rec = {
+      id: text(meta.id) || newId(),
+      title: text(meta.title) || name.replace(/\.[^.]*$/, '').replace(/^\d{4}-\d{2}-\d{2}-/, '').replace(/[-_]+/g, ' ') || 'Untitled',
+      category: text(meta.category) || list(meta.categories)[0] || '',
+      tags: list(meta.tags),
+      status,
+      publishAt: date(meta.publishAt) || (status === 'scheduled' ? created : null),
+      created,
+      imageId: null,
+      thumbId: null,
+      imageAlt: '',
+      focal: null
+    };
+    const updated = date(meta.updated) || date(meta.lastmod);
+    if(updated) rec.updated = updated;
+    if(coll === 'projects'){ rec.desc = body; rec.link = text(meta.link); Object.assign(rec, caseStudyOf(meta, image)); }
+    else rec.content = body;
+    const ref = text(meta.image);
+    if(ref) Object.assign(rec, image ? image(ref) : { image: ref });
+    const thumb = text(meta.thumbnail) && image ? image(text(meta.thumbnail)).imageId : '';
+    if(thumb) rec.thumbId = thumb;
+    const alt = text(meta.imageAlt) || text(meta.alt);
+    if(alt) rec.imageAlt = alt;
+    const focal = Array.isArray(meta.focalPoint) ? meta.focalPoint.map(Number) : [];
+    if(focal.length === 2 && focal.every(n => n >= 0 && n <= 1)) rec.focal = { x: focal[0], y: focal[1] };
+    return rec;
+  }
+
+  function toCsv(coll, records, opts = {}){
+    if(!CSV_COLUMNS[coll]) throw new Error(`No CSV layout for ${coll}`);
+    const rows = coll === 'projects'
+      ? records.map(r => ({
+        ...r,
+        image: (r.imageId && opts.imagePath && opts.imagePath(r.imageId)) || r.image || '',
+        metrics: portfolio.formatMetrics(r.metrics),
+        testimonial: r.testimonial ? r.testimonial.quote : '',
+        testimonialBy: r.testimonial ? r.testimonial.by : '',
+        featured: r.featured ? 'true' : ''
+      }))
+      : records;
+    return csv.stringify(rows, CSV_COLUMNS[coll]);
+  }
+
+  // -> {coll, records}; the collection is told by the header row
+  function fromCsv(src, { image } = {}){
+    const rows = csv.parse(src);
+    if(!rows.length) throw new Error('the CSV has no rows');
+    const head = Object.keys(rows[0]);
+    const coll = head.includes('email') && head.includes('message') ? 'messages' : head.includes('title') ? 'projects' : '';
+    if(!coll) throw new Error('the CSV has neither message (email, message) nor project (title) columns');
+    const records = rows.map(r => {
+      const created = date(r.created) || new Date().toISOString();
+      if(coll === 'messages'){
+        return {
+          id: r.id || newId(), created, name: r.name || '', email: r.email || '', subject: r.subject || '', message: r.message || '',
+          status: ['unread', 'read', 'archived'].includes(r.status) ? r.status : 'read',
+          readAt: date(r.readAt) || null, repliedAt: date(r.repliedAt) || null
+        };
+      }
+      const rec = {
+        id: r.id || newId(), title: r.title || 'Untitled', created,
+        status: STATUSES.includes(r.status) ? r.status : 'published', publishAt: date(r.publishAt) || null,
+        category: r.category || '', tags: list(r.tags), link: r.link || '', desc: r.desc || '', imageId: null,
+        ...caseStudyOf({ ...r, metrics: (r.metrics || '').split(/\r?\n/) })
+      };
+      if(date(r.updated)) rec.updated = date(r.updated);
+      if(r.image) Object.assign(rec, image ? image(r.image) : { image: r.image });
+      return rec;
+    });
+    return { coll, records };
+  }
+
+  // --------------------------
+  // Bundles
+  // --------------------------
+  // selection: {collection: [ids]}; opts.imageFiles: {imageId: 'images/<id>.<ext>'} for the zip format.
+  // Returns [{name, data}] (data as text); the zip format's image bytes are the caller's to add.
+  function pack(db, format, selection, opts = {}){
+    if(!FORMATS[format]) throw new Error(`Unknown export format "${format}"`);
+    const imageFiles = format === 'zip' ? opts.imageFiles || {} : {};
+    const files = [];
+    FORMATS[format].collections.forEach(coll => {
+      const ids = new Set(selection[coll] || []);
+      const records = (db[coll] || []).filter(r => ids.has(r.id));
+      if(!records.length) return;
+      if(format === 'csv' || coll === 'messages'){
+        files.push({ name: `${coll}.csv`, data: toCsv(coll, records, { imagePath: id => imageFiles[id] || '' }) });
+        return;
+      }
+      const used = new Set();
+      records.forEach(rec => {
+        let name = `${(rec.created || '').slice(0, 10)}-${slug(rec)}`.replace(/^-/, '');
+        if(used.has(name)) name += '-' + rec.id;
+        used.add(name);
+        files.push({ name: `${coll}/${name}.md`, data: toMarkdown(coll, rec, { imagePath: id => imageFiles[id] ? '../' + imageFiles[id] : '' }) });
+      });
+    });
+    return files;
+  }
+
+  // 'images/<id>.<ext>' per image id, given {id: mimeType}
+  function imageFileNames(types){
+    return Object.fromEntries(Object.entries(types).map(([id, type]) => [id, `images/${id}.${EXTENSIONS[type] || 'bin'}`]));
+  }
+
+  function base64(bytes){
+    if(inNode) return Buffer.from(bytes).toString('base64');
+    let s = '';
+    for(let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return btoa(s);
+  }
+
+  // 'a/./b/../c' -> 'a/c'
+  function resolvePath(base, ref){
+    const out = [];
+    (ref.startsWith('/') ? ref : base + ref).split('/').forEach(p => {
+      if(p === '..') out.pop();
+      else if(p && p !== '.') out.push(p);
+    });
+    return out.join('/');
+  }
+
+  // files: [{name, data: Uint8Array|string}] (a single .md/.csv file or an unzipped archive).
+  // -> {raw: import-ready DB (collections found + images), skipped: [names not understood]}
+  function unpack(files){
+    const raw = {};
+    const skipped = [];
+    const images = new Map(); // path -> {id, dataUrl}
+    const byName = new Map(); // basename -> path, for references that don't resolve
+    const asText = d => typeof d === 'string' ? d : dec.decode(d);
+
+    files.forEach(f => {
+      const ext = (f.name.match(/\.([a-z0-9]+)$/i) || [])[1];
+      const type = ext && IMAGE_TYPES[ext.toLowerCase()];
+      if(!type || typeof f.data === 'string') return;
+      const base = f.name.split('/').pop();
+      const stem = base.replace(/\.[^.]*$/, '');
+      const id = /^img_[a-z0-9]+$/i.test(stem) ? stem : newImageId();
+      images.set(f.name, { id, dataUrl: `data:${type};base64,${base64(f.data)}` });
+      byName.set(base, f.name);
+    });
+    const imageFor = dir => ref => {
+      if(/^(https?:)?\/\//i.test(ref)) return { image: ref };
+      const path = resolvePath(dir, ref.replace(/[?#].*$/, ''));
+      const found = images.get(path) || images.get(byName.get(path.split('/').pop()));
+      return found ? { imageId: found.id } : {};
+    };
+    const add = (coll, records) => { raw[coll] = (raw[coll] || []).concat(records); };
+
+    files.forEach(f => {
+      const parts = f.name.split('/');
+      const base = parts.pop();
+      const dir = parts.length ? parts.join('/') + '/' : '';
+      if(images.has(f.name) || /(^|\/)(__MACOSX|\.)/.test(f.name)) return;
+      if(/\.(md|markdown)$/i.test(base)){
+        const folder = parts.map(p => FOLDERS[p.toLowerCase()]).filter(Boolean).pop();
+        const src = asText(f.data);
+        const declared = parseFrontMatter(src).meta.collection;
+        const coll = MARKDOWN.includes(declared) ? declared : folder || 'thoughts';
+        add(coll, [fromMarkdown(coll, src, { name: base, image: imageFor(dir) })]);
+      } else if(/\.csv$/i.test(base)){
+        const { coll, records } = fromCsv(asText(f.data), { image: imageFor(dir) });
+        add(coll, records);
+      } else skipped.push(f.name);
+    });
+
+    const used = new Set(MARKDOWN.flatMap(c => (raw[c] || []).flatMap(r => [r, ...(r.gallery || [])]).flatMap(r => [r.imageId, r.thumbId])).filter(Boolean));
+    raw.images = Object.fromEntries(Array.from(images.values()).filter(i => used.has(i.id)).map(i => [i.id, i.dataUrl]));
+    return { raw, skipped };
+  }
+
+  const api = { FORMATS, CSV_COLUMNS, stringifyFrontMatter, parseFrontMatter, toMarkdown, fromMarkdown, toCsv, fromCsv, pack, imageFileNames, unpack };
+  if(inNode) module.exports = api;
+  else (window.BHub = window.BHub || {}).bundle = api;
+})();
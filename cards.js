@@ -0,0 +1,179 @@
+/* Business Hub — card markup
+   - thoughtCard / workCard / projectCard: the listing cards, shared by the
+     app's grids and the static site build (tools/build-site.js)
+   - projectDetail: a project's case-study page body (see portfolio.js)
+   - Images carry the record's alt text (imageAlt) and are positioned on its
+     focal point ({x, y} fractions), so cover-cropped thumbs keep the subject
+   - ctx says how the current page shows things:
+       imgSrc(rec)    image URL ('' for none); a thumbnail is fine here
+       badge(rec)     status badge HTML ('' when published)
+       href(coll, rec) link to the item's page; when absent the card gets
+                      data-action buttons for the app to wire up
+       admin          include the admin-only Edit / Delete buttons
+       snippet        search snippet HTML used instead of the excerpt
+       imageUrl(id)   URL of a stored image, for project galleries
+       lazy           render card images as data-src / data-bg for the
+                      listing to load once visible (see listing.js)
+   - A project's outbound link carries data-track="link"; the app counts
+     those clicks (see analytics.js), the static site ignores the attribute
+   Works in the browser (BHub.cards) and in Node (require).
+*/
+
+(() => {
+  const inNode = typeof module !== 'undefined' && module.exports;
+  const md = inNode ? require('./markdown.js') : window.BHub.markdown;
+  const portfolio = inNode ? require('./portfolio.js') : window.BHub.portfolio;
+
+  // data-action commands the app registers, per collection (see commands.js)
+  const ACTIONS = {
+    thoughts: { view: 'thought.view', edit: 'thought.edit', del: 'thought.delete' },
+    work: { view: 'work.view', edit: 'work.edit', del: 'work.delete' },
+    projects: { view: 'project.view', edit: 'project.edit', del: 'project.delete' }
+  };
+
+  function escapeHtml(s){
+    return String(s == null ? '' : s)
+      .replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;')
+      .replace(/"/g,'&quot;').replace(/'/g,'&#39;');
+  }
+  function truncate(s, n){ s = s || ''; return s.length > n ? s.slice(0, n - 1) + '…' : s; }
+  function excerpt(s, n){ return truncate(md.toText(s), n); }
+
+  function tagLine(rec){
+    return (rec.tags || []).map(t => `<span class="tag">#${escapeHtml(t)}</span>`).join(' ');
+  }
+
+  // CSS position of the record's focal point, '' for the default centre
+  function focalPosition(rec){
+    const f = rec.focal;
+    return f && typeof f.x === 'number' && typeof f.y === 'number' ? `${Math.round(f.x * 100)}% ${Math.round(f.y * 100)}%` : '';
+  }
+  // alt text for images drawn as backgrounds
+  function imageLabel(rec){
+    return rec.imageAlt ? ` role="img" aria-label="${escapeHtml(rec.imageAlt)}"` : '';
+  }
+
+  // a card image drawn as a background: the style for it, or with ctx.lazy the data-bg to load it from
+  function background(src, ctx){
+    return ctx.lazy ? { style: '', attr: ` data-bg="${escapeHtml(src)}"` } : { style: `background-image:url('${escapeHtml(src)}');`, attr: '' };
+  }
+  function source(src, ctx){
+    return ctx.lazy ? `data-src="${escapeHtml(src)}"` : `src="${escapeHtml(src)}"`;
+  }
+
+  function ctxOf(ctx){
+    return { imgSrc: rec => rec.image || '', imageUrl: () => '', badge: () => '', admin: false, ...ctx };
+  }
+
+  // link to the item's page, or a button the app wires up
+  function viewButton(coll, rec, ctx, label, cls){
+    return ctx.href
+      ? `<a class="${cls}" href="${escapeHtml(ctx.href(coll, rec))}">${label}</a>`
+      : `<button class="${cls}" data-id="${escapeHtml(rec.id)}" data-action="${ACTIONS[coll].view}">${label}</button>`;
+  }
+  function adminButtons(coll, rec, ctx, cls){
+    if(!ctx.admin) return '';
+    return `
+          <button class="${cls}" data-id="${escapeHtml(rec.id)}" data-action="${ACTIONS[coll].edit}">Edit</button>
+          <button class="${cls}" data-id="${escapeHtml(rec.id)}" data-action="${ACTIONS[coll].del}">Delete</button>`;
+  }
+
+  function thoughtCard(t, ctx){
+    ctx = ctxOf(ctx);
+    const src = ctx.imgSrc(t);
+    const bg = src && background(src, ctx);
+    return `
+      <div class="card">
+        ${src ? `<div${imageLabel(t)}${bg.attr} style="${bg.style}height:140px;background-size:cover;${focalPosition(t) ? `background-position:${focalPosition(t)};` : ''}border-radius:8px;margin-bottom:10px"></div>` : ''}
+        <h3>${escapeHtml(t.title)} ${ctx.badge(t)}</h3>
+        <small class="muted">${escapeHtml(t.category || 'Uncategorized')} • ${new Date(t.updated||t.created).toLocaleString()}</small>
+        ${t.tags && t.tags.length ? `<div class="small">${tagLine(t)}</div>` : ''}
+        <p>${ctx.snippet || escapeHtml(excerpt(t.content, 220))}</p>
+        <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:8px">
+          ${viewButton('thoughts', t, ctx, 'View', 'btn small')}${adminButtons('thoughts', t, ctx, 'btn small ghost admin-only')}
+        </div>
+      </div>
+    `;
+  }
+
+  function workCard(w, ctx){
+    ctx = ctxOf(ctx);
+    const src = ctx.imgSrc(w);
+    return `
+      <div class="card">
+        <div style="display:flex;gap:12px">
+          ${src ? `<img ${source(src, ctx)} alt="${escapeHtml(w.imageAlt || '')}" style="width:140px;height:100px;object-fit:cover;${focalPosition(w) ? `object-position:${focalPosition(w)};` : ''}border-radius:6px" />` : ''}
+          <div>
+            <h3>${escapeHtml(w.title)} ${ctx.badge(w)}</h3>
+            <small class="muted">${w.category ? escapeHtml(w.category) + ' • ' : ''}${new Date(w.updated||w.created).toLocaleDateString()}</small>
+            ${w.tags && w.tags.length ? `<div class="small">${tagLine(w)}</div>` : ''}
+            <p>${escapeHtml(excerpt(w.content,220))}</p>
+            <div style="display:flex;gap:8px;justify-content:flex-end">
+              ${viewButton('work', w, ctx, 'View', 'btn small')}${adminButtons('work', w, ctx, 'btn small ghost admin-only')}
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  function projectCard(p, ctx){
+    ctx = ctxOf(ctx);
+    const src = ctx.imgSrc(p);
+    const admin = adminButtons('projects', p, ctx, 'btn small ghost');
+    const link = portfolio.linkOf(p);
+    const bg = src && background(src, ctx);
+    return `
+      <div class="card project-card">
+        <div class="project-thumb"${src ? `${imageLabel(p)}${bg.attr} style="${bg.style}${focalPosition(p) ? `background-position:${focalPosition(p)}` : ''}"` : ''}></div>
+        <h3>${escapeHtml(p.title)} ${p.featured ? '<span class="badge featured">Featured</span>' : ''} ${ctx.badge(p)}</h3>
+        ${p.client ? `<div class="small">${escapeHtml(p.client)}</div>` : ''}
+        ${p.category || (p.tags && p.tags.length) ? `<small class="muted">${escapeHtml(p.category || '')} ${tagLine(p)}</small>` : ''}
+        <p>${escapeHtml(excerpt(p.desc,150))}</p>
+        <div style="display:flex;gap:8px;justify-content:space-between;align-items:center">
+          <div>${link ? `<a href="${escapeHtml(link)}" target="_blank" rel="noopener" class="btn small outline" data-track="link" data-coll="projects" data-id="${escapeHtml(p.id)}">Open</a> ` : ''}${viewButton('projects', p, ctx, 'Details', 'btn small ghost')}</div>
+          ${admin ? `<div class="admin-only">${admin}
+          </div>` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  function projectDetail(p, ctx){
+    ctx = ctxOf(ctx);
+    const src = ctx.imgSrc(p);
+    const range = portfolio.dateRange(p.start, p.end);
+    const link = portfolio.linkOf(p);
+    const meta = [
+      p.client ? `Client: <strong>${escapeHtml(p.client)}</strong>` : '',
+      p.role ? `Role: ${escapeHtml(p.role)}` : '',
+      range ? escapeHtml(range) : ''
+    ].filter(Boolean).join(' • ');
+    const services = (p.services || []).filter(Boolean);
+    const metrics = (p.metrics || []).filter(m => m && (m.value || m.label));
+    const quote = p.testimonial && p.testimonial.quote;
+    const gallery = (p.gallery || []).map(g => ({ g, full: ctx.imageUrl(g.imageId), thumb: ctx.imageUrl(g.thumbId) || ctx.imageUrl(g.imageId) })).filter(x => x.full);
+    return `
+      <div class="case-study">
+        ${src ? `<img class="case-hero" src="${escapeHtml(src)}" alt="${escapeHtml(p.imageAlt || '')}"${focalPosition(p) ? ` style="object-position:${focalPosition(p)}"` : ''} />` : ''}
+        <h2>${escapeHtml(p.title)} ${p.featured ? '<span class="badge featured">Featured</span>' : ''} ${ctx.badge(p)}</h2>
+        ${meta ? `<p class="case-meta">${meta}</p>` : ''}
+        ${p.category || (p.tags && p.tags.length) ? `<small class="muted">${escapeHtml(p.category || '')} ${tagLine(p)}</small>` : ''}
+        <div class="case-grid">
+          <div class="md-body">${md.render(p.desc)}</div>
+          ${services.length || link ? `<aside class="case-aside">
+            ${services.length ? `<h4>Tech & services</h4><ul>${services.map(s => `<li>${escapeHtml(s)}</li>`).join('')}</ul>` : ''}
+            ${link ? `<a href="${escapeHtml(link)}" target="_blank" rel="noopener" class="btn small outline" data-track="link" data-coll="projects" data-id="${escapeHtml(p.id)}">Visit project</a>` : ''}
+          </aside>` : ''}
+        </div>
+        ${metrics.length ? `<div class="case-metrics">${metrics.map(m => `<div class="metric"><strong>${escapeHtml(m.value)}</strong><span>${escapeHtml(m.label)}</span></div>`).join('')}</div>` : ''}
+        ${quote ? `<blockquote class="case-quote"><p>${escapeHtml(quote)}</p>${p.testimonial.by ? `<cite>— ${escapeHtml(p.testimonial.by)}</cite>` : ''}</blockquote>` : ''}
+        ${gallery.length ? `<div class="case-gallery">${gallery.map(x => `<a href="${escapeHtml(x.full)}" target="_blank" rel="noopener"><img src="${escapeHtml(x.thumb)}" alt="${escapeHtml(x.g.alt || '')}" /></a>`).join('')}</div>` : ''}
+      </div>
+    `;
+  }
+
+  const api = { ACTIONS, escapeHtml, excerpt, tagLine, thoughtCard, workCard, projectCard, projectDetail };
+  if(inNode) module.exports = api;
+  else (window.BHub = window.BHub || {}).cards = api;
+})();
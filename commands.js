@@ -0,0 +1,125 @@
+/* Business Hub — commands
+   - Named, typed actions ('thought.edit', 'project.delete', …) registered
+     once and run from anywhere: buttons carry data-action="thought.edit"
+     plus their arguments as data-* attributes, and one document listener
+     dispatches every click
+   - Keyboard shortcuts bound to commands ('mod+z', '/', '?');
+     'mod' is Ctrl, or ⌘ on a Mac. Shortcuts stay out of the way while typing
+     in a field unless bound with { inFields: true }, and while a modal
+     dialog is open unless bound with { inDialogs: true }
+   - Undo: a command that returns { label, undo } lands on the undo stack, so
+     destructive actions can run straight away instead of asking first
+   Loaded before script.js, which registers the commands and shortcuts.
+   Works in the browser (BHub.commands) and in Node (require, no listeners).
+*/
+
+(() => {
+  const MAX_UNDO = 20;
+  const handlers = new Map(); // name -> handler(args, el)
+  const shortcuts = []; // [{combo, keys, name, args, label, inFields, inDialogs}]
+  const undoStack = []; // [{label, undo}]
+  let onUndoable = () => {};
+  let onError = e => console.error(e);
+
+  function register(name, handler){
+    if(handlers.has(name)) throw new Error(`Command "${name}" is already registered`);
+    handlers.set(name, handler);
+  }
+  function has(name){ return handlers.has(name); }
+
+  // resolves to what the handler returned; undoable results are pushed on the stack
+  async function run(name, args = {}, el = null){
+    const handler = handlers.get(name);
+    if(!handler) throw new Error(`Unknown command "${name}"`);
+    const out = await handler(args, el);
+    if(out && typeof out.undo === 'function'){
+      undoStack.push(out);
+      if(undoStack.length > MAX_UNDO) undoStack.shift();
+      onUndoable(out);
+    }
+    return out;
+  }
+
+  // takes back the latest undoable command; resolves to its entry, or null when there is none
+  async function undo(){
+    const entry = undoStack.pop();
+    if(!entry) return null;
+    await entry.undo();
+    return entry;
+  }
+  function canUndo(){ return undoStack.length > 0; }
+  // forgets everything undoable, e.g. when the admin session ends
+  function clearUndo(){ undoStack.length = 0; }
+
+  // 'mod+shift+z' -> { key: 'z', mod: true, shift: true, alt: false }
+  function parseCombo(combo){
+    const parts = String(combo).toLowerCase().split('+');
+    const key = parts.pop() || '+';
+    return { key, mod: parts.includes('mod'), shift: parts.includes('shift'), alt: parts.includes('alt') };
+  }
+
+  // e: a KeyboardEvent (or anything shaped like one)
+  function matches(e, keys, mac){
+    const mod = mac ? e.metaKey : e.ctrlKey;
+    const other = mac ? e.ctrlKey : e.metaKey;
+    // shift is implied by symbols like '?', so only a bound shift is checked
+    return String(e.key).toLowerCase() === keys.key && mod === keys.mod && !other && !!e.altKey === keys.alt && (!keys.shift || e.shiftKey);
+  }
+
+  // opts: { args, label (for the shortcut list), inFields, inDialogs }
+  function bind(combo, name, opts = {}){
+    shortcuts.push({ combo, keys: parseCombo(combo), name, args: opts.args || {}, label: opts.label || name, inFields: !!opts.inFields, inDialogs: !!opts.inDialogs });
+  }
+
+  // 'mod+shift+z' -> 'Ctrl+Shift+Z' (or '⌘+Shift+Z')
+  function describe(combo, mac){
+    const { key, mod, shift, alt } = parseCombo(combo);
+    return [mod && (mac ? '⌘' : 'Ctrl'), shift && 'Shift', alt && (mac ? '⌥' : 'Alt'), key.length === 1 ? key.toUpperCase() : key[0].toUpperCase() + key.slice(1)]
+      .filter(Boolean).join('+');
+  }
+
+  function list(mac){
+    return shortcuts.map(s => ({ keys: describe(s.combo, mac), label: s.label }));
+  }
+
+  // --------------------------
+  // Browser only
+  // --------------------------
+  const isMac = () => typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || '');
+  const typing = el => !!el && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName));
+  const inModal = () => !!document.querySelector('[aria-modal="true"]');
+
+  // the arguments a button carries: its data-* attributes, minus the action name
+  function argsOf(el){
+    const { action, ...args } = el.dataset;
+    return args;
+  }
+
+  function listen(root = document){
+    root.addEventListener('click', e => {
+      const el = e.target.closest('[data-action]');
+      if(!el || el.disabled || !handlers.has(el.dataset.action)) return;
+      e.preventDefault();
+      run(el.dataset.action, argsOf(el), el).catch(onError);
+    });
+    root.addEventListener('keydown', e => {
+      if(e.defaultPrevented || e.isComposing) return;
+      const mac = isMac();
+      const modal = inModal();
+      const hit = shortcuts.find(s => matches(e, s.keys, mac) && (s.inFields || !typing(e.target)) && (s.inDialogs || !modal));
+      if(!hit || !handlers.has(hit.name)) return;
+      e.preventDefault();
+      run(hit.name, { ...hit.args }, e.target).catch(onError);
+    });
+  }
+
+  const api = {
+    MAX_UNDO, register, has, run, undo, canUndo, clearUndo, parseCombo, matches, bind, describe, list, isMac, listen,
+    // fn(entry) after an undoable command ran (to offer an Undo button)
+    onUndoable: fn => { onUndoable = fn; },
+    // fn(error) when a clicked or shortcut command throws
+    onError: fn => { onError = fn; }
+  };
+  if(typeof module !== 'undefined' && module.exports) module.exports = api;
+  else (window.BHub = window.BHub || {}).commands = api;
+})();
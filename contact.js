@@ -0,0 +1,96 @@
+/* Business Hub — contact form checks
+   - validate(): trims the fields and checks required ones, lengths and the email format
+   - spamScore(): honeypot, time-to-submit, keyword and link-count signals weighted
+     by the admin's rules (db.settings.spam); a message scoring at or over the
+     threshold is filed under db.spam instead of being delivered
+   - createRateLimiter(): sliding window over this browser's recent sends
+   Works in the browser (BHub.contact) and in Node (require).
+*/
+
+(() => {
+  const LIMITS = { name: 100, email: 254, subject: 150, message: 5000 };
+  const REQUIRED = ['name', 'email', 'message'];
+  const EMAIL = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/;
+  const LINK = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+  const DEFAULT_RULES = {
+    threshold: 5,
+    minSeconds: 3, // faster than this is a bot filling the form
+    maxLinks: 2, // links allowed before each extra one counts
+    linkWeight: 2,
+    keywords: ['viagra', 'casino', 'crypto', 'bitcoin', 'forex', 'seo services', 'backlinks', 'payday loan'],
+    keywordWeight: 2,
+    rateMax: 3, // sends per browser...
+    rateWindowMinutes: 10 // ...within this window
+  };
+
+  // admin overrides on top of the defaults; bad numbers fall back
+  function rulesFrom(overrides){
+    const rules = { ...DEFAULT_RULES };
+    Object.entries(overrides || {}).forEach(([k, v]) => {
+      if(!(k in DEFAULT_RULES)) return;
+      if(k === 'keywords'){ if(Array.isArray(v)) rules.keywords = v.map(s => String(s).trim().toLowerCase()).filter(Boolean); }
+      else if(Number.isFinite(Number(v)) && Number(v) >= 0) rules[k] = Number(v);
+    });
+    return rules;
+  }
+
+  // -> {values, errors: [{field, message}]}
+  function validate(fields){
+    const values = {};
+    Object.keys(LIMITS).forEach(k => { values[k] = String(fields[k] == null ? '' : fields[k]).trim(); });
+    const errors = [];
+    REQUIRED.forEach(k => { if(!values[k]) errors.push({ field: k, message: `Please enter your ${k}.` }); });
+    if(values.email && !EMAIL.test(values.email)) errors.push({ field: 'email', message: 'That email address doesn\'t look right.' });
+    Object.entries(LIMITS).forEach(([k, max]) => {
+      if(values[k].length > max) errors.push({ field: k, message: `The ${k} is too long (${values[k].length}/${max} characters).` });
+    });
+    return { values, errors };
+  }
+
+  // signals = {honeypot, elapsedMs}; -> {score, reasons, spam}
+  function spamScore(values, signals, rules = DEFAULT_RULES){
+    let score = 0;
+    const reasons = [];
+    if(signals.honeypot){ score += rules.threshold; reasons.push('hidden field filled in'); }
+    if(signals.elapsedMs != null && signals.elapsedMs < rules.minSeconds * 1000){
+      score += rules.threshold;
+      reasons.push(`sent ${(signals.elapsedMs / 1000).toFixed(1)}s after opening the form (minimum ${rules.minSeconds}s)`);
+    }
+    const text = [values.name, values.subject, values.message].join('\n');
+    const links = (text.match(LINK) || []).length;
+    if(links > rules.maxLinks){
+      score += (links - rules.maxLinks) * rules.linkWeight;
+      reasons.push(`${links} links`);
+    }
+    const lower = text.toLowerCase();
+    rules.keywords.filter(k => lower.includes(k)).forEach(k => {
+      score += rules.keywordWeight;
+      reasons.push(`keyword "${k}"`);
+    });
+    return { score, reasons, spam: score >= rules.threshold };
+  }
+
+  // store: a localStorage-like object; wait(now) is 0 when a send is allowed, else ms to wait
+  function createRateLimiter(store, key, rules = DEFAULT_RULES){
+    const windowMs = rules.rateWindowMinutes * 60 * 1000;
+    function recent(now){
+      let list;
+      try { list = JSON.parse(store.getItem(key)) || []; } catch (e) { list = []; }
+      return (Array.isArray(list) ? list : []).filter(t => typeof t === 'number' && now - t < windowMs);
+    }
+    return {
+      wait(now = Date.now()){
+        const list = recent(now);
+        return list.length < rules.rateMax ? 0 : windowMs - (now - list[list.length - rules.rateMax]);
+      },
+      record(now = Date.now()){
+        store.setItem(key, JSON.stringify(recent(now).concat(now)));
+      }
+    };
+  }
+
+  const api = { LIMITS, DEFAULT_RULES, rulesFrom, validate, spamScore, createRateLimiter };
+  if(typeof module !== 'undefined' && module.exports) module.exports = api;
+  else (window.BHub = window.BHub || {}).contact = api;
+})();
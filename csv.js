@@ -0,0 +1,65 @@
+/* Business Hub — CSV
+   - stringify(rows, columns): RFC 4180 text (quoted where needed, CRLF rows)
+   - Cells starting with = + - @ are prefixed with ' so spreadsheets
+     don't run them as formulas
+   - parse(text): [{header: value}] for the rows after the header line;
+     undoes the ' prefix above, tolerates a BOM and LF-only line ends
+   Works in the browser (BHub.csv) and in Node (require).
+*/
+
+(() => {
+  function cell(v){
+    let s = v == null ? '' : Array.isArray(v) ? v.join(', ') : String(v);
+    if(/^[=+\-@\t\r]/.test(s)) s = "'" + s;
+    return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  }
+
+  // columns: [key] or [{key, label}]; rows: objects
+  function stringify(rows, columns){
+    const cols = columns.map(c => typeof c === 'string' ? { key: c, label: c } : c);
+    return [cols.map(c => cell(c.label))]
+      .concat(rows.map(r => cols.map(c => cell(r[c.key]))))
+      .map(line => line.join(','))
+      .join('\r\n') + '\r\n';
+  }
+
+  // RFC 4180 text -> [[cell]]
+  function rows(text){
+    const out = [];
+    let row = [], s = '', quoted = false, i = 0;
+    text = String(text).replace(/^\uFEFF/, '');
+    while(i < text.length){
+      const ch = text[i];
+      if(quoted){
+        if(ch === '"' && text[i + 1] === '"'){ s += '"'; i += 2; continue; }
+        if(ch === '"') quoted = false;
+        else s += ch;
+        i++;
+        continue;
+      }
+      if(ch === '"' && s === '') quoted = true;
+      else if(ch === ',') { row.push(s); s = ''; }
+      else if(ch === '\r' || ch === '\n'){
+        if(ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(s); out.push(row); row = []; s = '';
+      }
+      else s += ch;
+      i++;
+    }
+    if(s !== '' || row.length) { row.push(s); out.push(row); }
+    return out.filter(r => r.some(c => c !== ''));
+  }
+
+  function uncell(s){ return /^'[=+\-@\t\r]/.test(s) ? s.slice(1) : s; }
+
+  function parse(text){
+    const [head, ...body] = rows(text);
+    if(!head) return [];
+    const keys = head.map(h => h.trim());
+    return body.map(r => Object.fromEntries(keys.map((k, i) => [k, uncell(r[i] || '')])));
+  }
+
+  const api = { stringify, parse };
+  if(typeof module !== 'undefined' && module.exports) module.exports = api;
+  else (window.BHub = window.BHub || {}).csv = api;
+})();
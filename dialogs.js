@@ -0,0 +1,181 @@
+/* Business Hub — dialogs
+   - open(el, opts): shows a `.modal` overlay as a modal dialog. Its
+     `.modal-inner` panel gets role="dialog", aria-modal and aria-labelledby
+     (its first heading); focus moves in, Tab wraps inside it, and focus goes
+     back where it came from on close
+   - Escape or a click on the backdrop dismisses the top dialog only; dialogs
+     stack (an item's history over its editor, a prompt over that)
+   - show(html, opts): a throwaway dialog for ready-made, already-safe HTML
+   - alert / confirm / prompt: promise-based, styled replacements for the
+     blocking window ones
+   - toast(msg, opts): the #toast status line, an aria-live region, with an
+     optional action button (e.g. Undo)
+   Loaded before commands.js and script.js. Browser only (BHub.dialogs).
+*/
+
+(() => {
+  const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]):not([type=hidden]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+  const BASE_Z = 1000;
+  const stack = []; // [{el, panel, opts, returnTo}], top last
+  let seq = 0;
+
+  const panelOf = el => el.querySelector('.modal-inner') || el;
+  const visible = n => !n.closest('.hidden') && n.getClientRects().length > 0;
+  function focusables(panel){
+    const all = Array.from(panel.querySelectorAll(FOCUSABLE));
+    // jsdom and hidden layouts report no boxes; fall back to everything not hidden by class
+    const shown = all.filter(visible);
+    return shown.length ? shown : all.filter(n => !n.closest('.hidden'));
+  }
+  function top(){ return stack[stack.length - 1] || null; }
+  function isOpen(el){ return el ? stack.some(d => d.el === el) : stack.length > 0; }
+
+  // opts: onDismiss() for Escape / backdrop (defaults to close), onClose() after it closed,
+  //       remove: take el out of the page on close instead of hiding it, focus: element to start on
+  function open(el, opts = {}){
+    if(isOpen(el)) return el;
+    const panel = panelOf(el);
+    const heading = panel.querySelector('h1, h2, h3, h4');
+    if(heading && !heading.id) heading.id = 'dialog-title-' + (++seq);
+    panel.setAttribute('role', opts.role || 'dialog');
+    panel.setAttribute('aria-modal', 'true');
+    if(heading) panel.setAttribute('aria-labelledby', heading.id);
+    if(!panel.hasAttribute('tabindex')) panel.setAttribute('tabindex', '-1');
+    el.classList.add('modal');
+    el.classList.remove('hidden');
+    el.style.zIndex = BASE_Z + stack.length;
+    if(!el.isConnected) document.body.appendChild(el);
+    stack.push({ el, panel, opts, returnTo: document.activeElement });
+    const first = opts.focus || panel.querySelector('[autofocus]') || focusables(panel)[0] || panel;
+    first.focus();
+    return el;
+  }
+
+  function close(el){
+    const i = stack.findIndex(d => d.el === el);
+    if(i < 0) return;
+    const [d] = stack.splice(i, 1);
+    d.panel.removeAttribute('aria-modal');
+    if(d.opts.remove) el.remove(); else el.classList.add('hidden');
+    // back to where focus was, unless it went away or another dialog is still on top
+    const next = top();
+    const target = d.returnTo && d.returnTo.isConnected && (!next || next.panel.contains(d.returnTo)) ? d.returnTo : next && next.panel;
+    if(target && target.focus) target.focus();
+    if(d.opts.onClose) d.opts.onClose();
+  }
+
+  function dismiss(d){
+    if(d.opts.onDismiss) d.opts.onDismiss(); else close(d.el);
+  }
+
+  // html: already-escaped markup; opts as for open(), plus closeLabel (false for no Close button) and className
+  function show(html, opts = {}){
+    const el = document.createElement('div');
+    el.className = 'modal' + (opts.className ? ' ' + opts.className : '');
+    el.innerHTML = `<div class="modal-inner">
+      ${html}
+      ${opts.closeLabel === false ? '' : `<div class="dialog-actions"><button type="button" class="btn" data-close>${opts.closeLabel || 'Close'}</button></div>`}
+    </div>`;
+    el.querySelectorAll('[data-close]').forEach(b => b.onclick = () => dismiss(stack.find(d => d.el === el)));
+    return open(el, { ...opts, remove: true });
+  }
+
+  function escapeHtml(s){
+    return String(s == null ? '' : s)
+      .replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;')
+      .replace(/"/g,'&quot;').replace(/'/g,'&#39;');
+  }
+
+  // the shared body of alert / confirm / prompt; Escape and the backdrop count as Cancel
+  function ask({ title, message, input, ok, cancel, danger }){
+    return new Promise(resolve => {
+      const el = document.createElement('div');
+      el.className = 'modal dialog-small';
+      const msgId = 'dialog-message-' + (++seq);
+      el.innerHTML = `<form class="modal-inner" novalidate>
+        ${title ? `<h3>${escapeHtml(title)}</h3>` : ''}
+        <p id="${msgId}" class="dialog-message">${escapeHtml(message)}</p>
+        ${input ? `<input name="answer" value="${escapeHtml(input.value)}" aria-labelledby="${msgId}" />` : ''}
+        <div class="dialog-actions">
+          ${cancel ? `<button type="button" class="btn ghost" data-cancel>${escapeHtml(cancel)}</button>` : ''}
+          <button type="submit" class="btn ${danger ? 'danger' : 'primary'}">${escapeHtml(ok)}</button>
+        </div>
+      </form>`;
+      const form = el.querySelector('form');
+      const cancelled = input ? null : !cancel;
+      let answer = cancelled;
+      const finish = value => { answer = value; close(el); };
+      form.onsubmit = e => { e.preventDefault(); finish(input ? form.elements.answer.value : true); };
+      if(cancel) form.querySelector('[data-cancel]').onclick = () => finish(cancelled);
+      open(el, {
+        role: 'alertdialog', remove: true,
+        focus: input ? form.elements.answer : null,
+        onDismiss: () => finish(cancelled),
+        onClose: () => resolve(answer)
+      });
+      form.setAttribute('aria-describedby', msgId);
+      if(!title) form.setAttribute('aria-labelledby', msgId);
+      if(input) form.elements.answer.select();
+    });
+  }
+
+  // resolves once dismissed
+  function alert(message, opts = {}){
+    return ask({ title: opts.title, message, ok: opts.ok || 'OK' }).then(() => undefined);
+  }
+  // resolves to true / false; opts: title, ok, cancel, danger (a red OK button)
+  function confirm(message, opts = {}){
+    return ask({ title: opts.title, message, ok: opts.ok || 'OK', cancel: opts.cancel || 'Cancel', danger: opts.danger });
+  }
+  // resolves to the entered text, or null when cancelled
+  function prompt(message, value = '', opts = {}){
+    return ask({ title: opts.title, message, input: { value }, ok: opts.ok || 'OK', cancel: opts.cancel || 'Cancel' });
+  }
+
+  let toastTimer = null;
+  // opts: timeout (ms), action: {label, run} adds a button, e.g. Undo
+  function toast(msg, opts = {}){
+    const t = document.getElementById('toast');
+    t.textContent = msg;
+    if(opts.action){
+      const b = document.createElement('button');
+      b.type = 'button'; b.className = 'btn small ghost'; b.textContent = opts.action.label;
+      b.onclick = () => { t.classList.add('hidden'); opts.action.run(); };
+      t.append(' ', b);
+    }
+    t.classList.remove('hidden');
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => t.classList.add('hidden'), opts.timeout || 2500);
+  }
+
+  // Escape and Tab belong to the top dialog; capture, so nothing underneath sees them
+  document.addEventListener('keydown', e => {
+    const d = top();
+    if(!d) return;
+    if(e.key === 'Escape'){
+      e.preventDefault(); e.stopPropagation();
+      dismiss(d);
+    } else if(e.key === 'Tab'){
+      const list = focusables(d.panel);
+      if(!list.length){ e.preventDefault(); d.panel.focus(); return; }
+      const first = list[0], last = list[list.length - 1];
+      const inside = d.panel.contains(document.activeElement);
+      if(e.shiftKey && (document.activeElement === first || !inside)){ e.preventDefault(); last.focus(); }
+      else if(!e.shiftKey && (document.activeElement === last || !inside)){ e.preventDefault(); first.focus(); }
+    }
+  }, true);
+  // focus that wanders behind the top dialog is brought back
+  document.addEventListener('focusin', e => {
+    const d = top();
+    if(d && !d.el.contains(e.target) && !e.target.closest('.toast')) d.panel.focus();
+  });
+  // a press that starts and ends on the backdrop, not a drag out of a field
+  let downOn = null;
+  document.addEventListener('mousedown', e => { downOn = e.target; });
+  document.addEventListener('click', e => {
+    const d = top();
+    if(d && e.target === d.el && downOn === d.el) dismiss(d);
+  });
+
+  (window.BHub = window.BHub || {}).dialogs = { open, close, show, isOpen, alert, confirm, prompt, toast };
+})();
@@ -0,0 +1,154 @@
+/* Business Hub — feeds
+   - RSS 2.0, Atom and JSON Feed 1.1 of the published thoughts and work
+     updates, newest first, optionally limited to one category
+   - Each item carries title, excerpt, the full rendered Markdown, category +
+     tags, and its created / updated dates
+   - Links are supplied by the caller (link(coll, rec), imageUrl(rec)) so the
+     same feeds point at the static pages (tools/build-site.js) or at the app
+   Works in the browser (BHub.feeds) and in Node (require).
+*/
+
+(() => {
+  const inNode = typeof module !== 'undefined' && module.exports;
+  const md = inNode ? require('./markdown.js') : window.BHub.markdown;
+  const publish = inNode ? require('./publish.js') : window.BHub.publish;
+
+  const COLLECTIONS = ['thoughts', 'work'];
+  const MAX_ITEMS = 50;
+  const FORMATS = {
+    rss: { label: 'RSS 2.0', file: 'feed.xml', type: 'application/rss+xml' },
+    atom: { label: 'Atom', file: 'atom.xml', type: 'application/atom+xml' },
+    json: { label: 'JSON Feed', file: 'feed.json', type: 'application/feed+json' }
+  };
+
+  function escapeXml(s){
+    return String(s == null ? '' : s)
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '') // not allowed in XML 1.0
+      .replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;')
+      .replace(/"/g,'&quot;').replace(/'/g,'&apos;');
+  }
+  function truncate(s, n){ s = s || ''; return s.length > n ? s.slice(0, n - 1) + '…' : s; }
+  const iso = s => new Date(s).toISOString();
+
+  // [{coll, rec}] that belong in a feed, newest first
+  function feedItems(db, { category = '', now = Date.now(), limit = MAX_ITEMS } = {}){
+    return COLLECTIONS
+      .flatMap(coll => (db[coll] || []).map(rec => ({ coll, rec })))
+      .filter(({ rec }) => publish.isPublic(rec, now) && (!category || rec.category === category))
+      .sort((a, b) => Date.parse(b.rec.created) - Date.parse(a.rec.created))
+      .slice(0, limit);
+  }
+
+  // the categories thoughts and work updates are published under
+  function categories(db, now = Date.now()){
+    return Array.from(new Set(feedItems(db, { now, limit: Infinity }).map(i => i.rec.category).filter(Boolean)))
+      .sort((a, b) => a.localeCompare(b));
+  }
+
+  // fields every format needs, computed once per item
+  function entry({ coll, rec }, opts){
+    const url = opts.link(coll, rec);
+    return {
+      id: url || `${coll}:${rec.id}`,
+      url,
+      title: rec.title,
+      summary: truncate(md.toText(rec.content), 280),
+      html: md.render(rec.content),
+      terms: [rec.category].concat(rec.tags || []).filter(Boolean),
+      created: iso(rec.created),
+      updated: iso(rec.updated || rec.created),
+      image: opts.imageUrl ? opts.imageUrl(rec) : ''
+    };
+  }
+
+  function rss(feed, entries){
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+<channel>
+  <title>${escapeXml(feed.title)}</title>
+  <link>${escapeXml(feed.homeUrl)}</link>
+  <description>${escapeXml(feed.description)}</description>
+  ${feed.selfUrl ? `<atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="${FORMATS.rss.type}" />` : ''}
+  <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>
+${entries.map(e => `  <item>
+    <title>${escapeXml(e.title)}</title>
+    ${e.url ? `<link>${escapeXml(e.url)}</link>` : ''}
+    <guid isPermaLink="${e.url ? 'true' : 'false'}">${escapeXml(e.id)}</guid>
+    <pubDate>${new Date(e.created).toUTCString()}</pubDate>
+    <description>${escapeXml(e.summary)}</description>
+    <content:encoded>${escapeXml(e.html)}</content:encoded>
+${e.terms.map(t => `    <category>${escapeXml(t)}</category>`).join('\n')}
+  </item>`).join('\n')}
+</channel>
+</rss>
+`;
+  }
+
+  function atom(feed, entries){
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <id>${escapeXml(feed.selfUrl || feed.homeUrl)}</id>
+  <link href="${escapeXml(feed.homeUrl)}" />
+  ${feed.selfUrl ? `<link rel="self" href="${escapeXml(feed.selfUrl)}" type="${FORMATS.atom.type}" />` : ''}
+  <updated>${iso(feed.updated)}</updated>
+  <author><name>${escapeXml(feed.author)}</name></author>
+${entries.map(e => `  <entry>
+    <title>${escapeXml(e.title)}</title>
+    <id>${escapeXml(e.url || 'urn:bhub:' + e.id)}</id>
+    ${e.url ? `<link href="${escapeXml(e.url)}" />` : ''}
+    <published>${e.created}</published>
+    <updated>${e.updated}</updated>
+    <summary>${escapeXml(e.summary)}</summary>
+    <content type="html">${escapeXml(e.html)}</content>
+${e.terms.map(t => `    <category term="${escapeXml(t)}" />`).join('\n')}
+  </entry>`).join('\n')}
+</feed>
+`;
+  }
+
+  function jsonFeed(feed, entries){
+    return JSON.stringify({
+      version: 'https://jsonfeed.org/version/1.1',
+      title: feed.title,
+      home_page_url: feed.homeUrl,
+      ...(feed.selfUrl ? { feed_url: feed.selfUrl } : {}),
+      description: feed.description,
+      authors: [{ name: feed.author }],
+      items: entries.map(e => ({
+        id: e.id,
+        ...(e.url ? { url: e.url } : {}),
+        title: e.title,
+        summary: e.summary,
+        content_html: e.html,
+        ...(e.image ? { image: e.image } : {}),
+        tags: e.terms,
+        date_published: e.created,
+        date_modified: e.updated
+      }))
+    }, null, 2) + '\n';
+  }
+
+  const RENDER = { rss, atom, json: jsonFeed };
+
+  // opts: {site (see site.js siteOf), homeUrl, selfUrl, link(coll, rec), imageUrl(rec), category, now, limit}
+  function render(format, db, opts){
+    if(!RENDER[format]) throw new Error(`Unknown feed format "${format}"`);
+    const items = feedItems(db, opts);
+    const entries = items.map(i => entry(i, opts));
+    const feed = {
+      title: opts.category ? `${opts.site.title} — ${opts.category}` : opts.site.title,
+      description: opts.category ? `Thoughts and work updates filed under ${opts.category}` : (opts.site.tagline || `Thoughts and work updates from ${opts.site.title}`),
+      author: opts.site.title,
+      homeUrl: opts.homeUrl,
+      selfUrl: opts.selfUrl || '',
+      updated: entries.reduce((t, e) => Math.max(t, Date.parse(e.updated)), 0) || (opts.now || Date.now())
+    };
+    return RENDER[format](feed, entries);
+  }
+
+  const api = { FORMATS, MAX_ITEMS, feedItems, categories, render };
+  if(inNode) module.exports = api;
+  else (window.BHub = window.BHub || {}).feeds = api;
+})();
@@ -0,0 +1,182 @@
+/* Business Hub — image uploads
+   - process(file, opts) downscales and recompresses an upload through a
+     canvas: longest side at most opts.maxDimension, WebP at opts.quality
+     (JPEG or PNG where the browser can't encode WebP), EXIF orientation
+     applied, optionally cropped to opts.aspect around opts.focal, plus a
+     card-sized thumbnail. Uploads that need none of that and would only
+     grow are kept as they are (animated GIFs stay animated).
+   - orientation(bytes), jpegSize(bytes), fit(), cropRect() are the pure
+     parts and also run in Node
+   - focal points are {x, y} fractions of the image (0..1, 0.5 = centre)
+   Works in the browser (BHub.images) and in Node (require).
+*/
+
+(() => {
+  const ACCEPT = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif'];
+  const MAX_BYTES = 30 * 1024 * 1024;
+  const DEFAULTS = { maxDimension: 1600, thumbDimension: 480, quality: 0.82, type: 'image/webp', aspect: '', focal: null, thumb: true };
+  const ASPECTS = { '': 'Original', '16:9': '16:9', '4:3': '4:3', '1:1': 'Square' };
+  const CENTRE = { x: 0.5, y: 0.5 };
+
+  // EXIF Orientation (1-8) of a JPEG, from its first bytes; 1 when there is none
+  function orientation(bytes){
+    const v = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if(bytes.length < 4 || v.getUint16(0) !== 0xffd8) return 1;
+    let p = 2;
+    while(p + 4 <= bytes.length){
+      const marker = v.getUint16(p);
+      const len = v.getUint16(p + 2);
+      if(marker === 0xffe1 && p + 10 <= bytes.length && v.getUint32(p + 4) === 0x45786966){ // "Exif"
+        const tiff = p + 10;
+        if(tiff + 8 > bytes.length) return 1;
+        const little = v.getUint16(tiff) === 0x4949;
+        const ifd = tiff + v.getUint32(tiff + 4, little);
+        if(ifd + 2 > bytes.length) return 1;
+        const count = v.getUint16(ifd, little);
+        for(let i = 0; i < count; i++){
+          const entry = ifd + 2 + i * 12;
+          if(entry + 12 > bytes.length) return 1;
+          if(v.getUint16(entry, little) === 0x0112){
+            const o = v.getUint16(entry + 8, little);
+            return o >= 1 && o <= 8 ? o : 1;
+          }
+        }
+        return 1;
+      }
+      if((marker & 0xff00) !== 0xff00 || marker === 0xffda) return 1; // not a marker / image data starts
+      p += 2 + len;
+    }
+    return 1;
+  }
+
+  // stored pixel size of a JPEG (before orientation), or null
+  function jpegSize(bytes){
+    const v = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if(bytes.length < 4 || v.getUint16(0) !== 0xffd8) return null;
+    let p = 2;
+    while(p + 9 <= bytes.length){
+      const marker = v.getUint16(p);
+      if((marker & 0xff00) !== 0xff00) return null;
+      // SOF0..SOF15, except DHT (c4), JPG (c8) and DAC (cc)
+      if(marker >= 0xffc0 && marker <= 0xffcf && ![0xffc4, 0xffc8, 0xffcc].includes(marker)){
+        return { width: v.getUint16(p + 7), height: v.getUint16(p + 5) };
+      }
+      p += 2 + v.getUint16(p + 2);
+    }
+    return null;
+  }
+
+  // scale (w, h) down so the longer side is at most max
+  function fit(w, h, max){
+    const scale = Math.min(1, max / Math.max(w, h));
+    return { width: Math.max(1, Math.round(w * scale)), height: Math.max(1, Math.round(h * scale)) };
+  }
+
+  // the largest `aspect` ('16:9') rectangle of a w×h image, centred on the focal point as far as it fits
+  function cropRect(w, h, aspect, focal){
+    const m = /^(\d+):(\d+)$/.exec(aspect || '');
+    if(!m) return { sx: 0, sy: 0, sw: w, sh: h };
+    const ratio = m[1] / m[2];
+    const sw = Math.min(w, Math.round(h * ratio));
+    const sh = Math.min(h, Math.round(sw / ratio));
+    const f = focal || CENTRE;
+    const clamp = (v, max) => Math.max(0, Math.min(max, Math.round(v)));
+    return { sx: clamp(f.x * w - sw / 2, w - sw), sy: clamp(f.y * h - sh / 2, h - sh), sw, sh };
+  }
+
+  // the focal point re-expressed inside a crop, so it marks the same spot
+  function focalIn(crop, w, h, focal){
+    if(!focal) return null;
+    const clamp = v => Math.round(Math.max(0, Math.min(1, v)) * 1000) / 1000;
+    return { x: clamp((focal.x * w - crop.sx) / crop.sw), y: clamp((focal.y * h - crop.sy) / crop.sh) };
+  }
+
+  // --------------------------
+  // Browser only
+  // --------------------------
+  // browsers that support image-orientation apply EXIF orientation when decoding
+  function autoOrients(){
+    return typeof CSS !== 'undefined' && !!CSS.supports && CSS.supports('image-orientation', 'from-image');
+  }
+
+  async function decode(file){
+    if(typeof createImageBitmap === 'function'){
+      const bmp = await createImageBitmap(file);
+      return { source: bmp, width: bmp.width, height: bmp.height, close: () => bmp.close() };
+    }
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.src = url;
+    try { await img.decode(); } catch (e) { URL.revokeObjectURL(url); throw new Error('The image could not be read'); }
+    return { source: img, width: img.naturalWidth, height: img.naturalHeight, close: () => URL.revokeObjectURL(url) };
+  }
+
+  function canvas(w, h){
+    const c = document.createElement('canvas');
+    c.width = w; c.height = h;
+    return c;
+  }
+
+  // the decoded image drawn upright (orientation 2-8 need a transform)
+  function upright(img, turn){
+    if(turn === 1) return img.source;
+    const swap = turn >= 5;
+    const c = canvas(swap ? img.height : img.width, swap ? img.width : img.height);
+    const ctx = c.getContext('2d');
+    const w = img.width, h = img.height;
+    const t = { 2: [-1, 0, 0, 1, w, 0], 3: [-1, 0, 0, -1, w, h], 4: [1, 0, 0, -1, 0, h], 5: [0, 1, 1, 0, 0, 0], 6: [0, 1, -1, 0, h, 0], 7: [0, -1, -1, 0, h, w], 8: [0, -1, 1, 0, 0, w] }[turn];
+    ctx.transform(...t);
+    ctx.drawImage(img.source, 0, 0);
+    return c;
+  }
+
+  function toBlob(c, type, quality){
+    return new Promise((resolve, reject) => c.toBlob(b => b ? resolve(b) : reject(new Error('The image could not be encoded')), type, quality));
+  }
+
+  async function encode(source, crop, size, o, fallback){
+    const c = canvas(size.width, size.height);
+    const ctx = c.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(source, crop.sx, crop.sy, crop.sw, crop.sh, 0, 0, size.width, size.height);
+    const blob = await toBlob(c, o.type, o.quality);
+    // browsers that can't encode the type hand back PNG
+    return blob.type === o.type ? blob : toBlob(c, fallback, o.quality);
+  }
+
+  // -> {blob, thumb (null when the image is already card-sized), width, height, focal}
+  async function process(file, opts = {}){
+    const o = { ...DEFAULTS, ...opts };
+    if(!ACCEPT.includes(file.type)) throw new Error(`${file.type || 'That file'} is not a supported image (JPEG, PNG, WebP, GIF or AVIF)`);
+    if(file.size > MAX_BYTES) throw new Error(`The image is larger than ${MAX_BYTES / 1024 / 1024} MB`);
+    const head = file.type === 'image/jpeg' ? new Uint8Array(await file.slice(0, 256 * 1024).arrayBuffer()) : null;
+    const img = await decode(file);
+    try {
+      let turn = head ? orientation(head) : 1;
+      if(turn > 1){
+        // a swapped size tells for sure whether the decoder already turned it
+        const raw = jpegSize(head);
+        const applied = turn >= 5 && raw && raw.width !== raw.height ? img.width === raw.height : autoOrients();
+        if(applied) turn = 1;
+      }
+      const source = upright(img, turn);
+      const w = turn >= 5 ? img.height : img.width;
+      const h = turn >= 5 ? img.width : img.height;
+      const crop = cropRect(w, h, o.aspect, o.focal);
+      const size = fit(crop.sw, crop.sh, o.maxDimension);
+      const untouched = turn === 1 && crop.sw === w && crop.sh === h && size.width === w;
+      const fallback = file.type === 'image/jpeg' ? 'image/jpeg' : 'image/png';
+      let blob = untouched && file.type === 'image/gif' ? file : await encode(source, crop, size, o, fallback);
+      if(untouched && blob.size >= file.size) blob = file;
+      const small = fit(crop.sw, crop.sh, o.thumbDimension);
+      const thumb = o.thumb && small.width < size.width ? await encode(source, crop, small, o, fallback) : null;
+      return { blob, thumb, width: size.width, height: size.height, focal: focalIn(crop, w, h, o.focal) };
+    } finally {
+      img.close();
+    }
+  }
+
+  const api = { ACCEPT, MAX_BYTES, DEFAULTS, ASPECTS, orientation, jpegSize, fit, cropRect, focalIn, process };
+  if(typeof module !== 'undefined' && module.exports) module.exports = api;
+  else (window.BHub = window.BHub || {}).images = api;
+})();
@@ -0,0 +1,141 @@
+/* Business Hub — import planning
+   - preview(current, incoming, present) counts, per collection, what an
+     import would add, change or leave alone; a conflict is a record whose
+     id exists on both sides with different content
+   - merge(current, incoming, opts) builds the DB to store:
+       replace  the file's collections replace ours
+       merge    records are matched by id; conflicts follow opts.collisions:
+                'mine' keeps ours, 'theirs' takes the file's, 'both' keeps
+                ours and adds the file's under a new id
+       newest   records are matched by id and the later `updated` wins
+   - `incoming` is an already migrated + validated DB (storage.normalize);
+     `present` lists the collections the file actually contained
+   - The admin credentials are only taken from a file when opts.withAdmin is set
+   - Message delivery settings (settings.delivery, see outbox.js) are never
+     taken from a file: where contact messages go stays this site's choice
+   Works in the browser (BHub.importer) and in Node (require).
+*/
+
+(() => {
+  const COLLECTIONS = ['thoughts', 'work', 'projects', 'messages', 'spam', 'media'];
+  const STRATEGIES = {
+    replace: 'Replace everything',
+    merge: 'Merge by id',
+    newest: 'Keep the newest (by updated)'
+  };
+  const COLLISIONS = { mine: 'Keep mine', theirs: 'Use the file\'s', both: 'Keep both (file\'s copy gets a new id)' };
+  const LABELS = { thoughts: 'thoughts', work: 'work updates', projects: 'projects', messages: 'messages', spam: 'spam messages', media: 'library images' };
+
+  const newId = () => Math.random().toString(36).slice(2, 9);
+  const clone = v => JSON.parse(JSON.stringify(v));
+  // key-order independent JSON, so re-saved records still compare equal
+  function stable(v){
+    if(Array.isArray(v)) return '[' + v.map(stable).join(',') + ']';
+    if(v && typeof v === 'object') return '{' + Object.keys(v).sort().map(k => JSON.stringify(k) + ':' + stable(v[k])).join(',') + '}';
+    return JSON.stringify(v === undefined ? null : v);
+  }
+  const LOCAL_SETTINGS = ['delivery'];
+  // settings with the local-only keys put back to what `current` has
+  function keepLocal(settings, current){
+    LOCAL_SETTINGS.forEach(k => {
+      if(current && current[k] !== undefined) settings[k] = clone(current[k]);
+      else delete settings[k];
+    });
+    return settings;
+  }
+  const time = rec => { const t = Date.parse(rec.updated || rec.created); return Number.isNaN(t) ? 0 : t; };
+
+  // {collections: {name: {added, conflicts, same, removed, newer}}, quarantined, summary}
+  function preview(current, incoming, present = COLLECTIONS){
+    const collections = {};
+    present.filter(c => COLLECTIONS.includes(c)).forEach(c => {
+      const mine = new Map((current[c] || []).map(r => [r.id, r]));
+      const row = { added: 0, conflicts: 0, same: 0, removed: 0, newer: 0 };
+      (incoming[c] || []).forEach(r => {
+        const m = mine.get(r.id);
+        if(!m) row.added++;
+        else if(stable(m) === stable(r)) row.same++;
+        else { row.conflicts++; if(time(r) > time(m)) row.newer++; }
+      });
+      const theirs = new Set((incoming[c] || []).map(r => r.id));
+      row.removed = Array.from(mine.keys()).filter(id => !theirs.has(id)).length;
+      collections[c] = row;
+    });
+    const parts = Object.entries(collections).flatMap(([c, row]) => [
+      row.added ? `${row.added} new ${LABELS[c]}` : '',
+      row.conflicts ? `${row.conflicts} ${row.conflicts === 1 ? 'conflict' : 'conflicts'} in ${LABELS[c]}` : ''
+    ]).filter(Boolean);
+    return {
+      collections,
+      quarantined: (incoming.quarantine || []).length,
+      summary: parts.join(', ') || 'Nothing new in this file'
+    };
+  }
+
+  // one collection merged by id; returns {list, renamed: Map(oldId -> newId)}
+  function mergeList(mine, theirs, strategy, collisions){
+    const list = clone(mine);
+    const index = new Map(list.map((r, i) => [r.id, i]));
+    const renamed = new Map();
+    theirs.forEach(r => {
+      if(!index.has(r.id)){ index.set(r.id, list.push(clone(r)) - 1); return; }
+      const i = index.get(r.id);
+      if(stable(list[i]) === stable(r)) return;
+      if(strategy === 'newest'){ if(time(r) > time(list[i])) list[i] = clone(r); return; }
+      if(collisions === 'theirs') list[i] = clone(r);
+      else if(collisions === 'both'){
+        let id = newId();
+        while(index.has(id)) id = newId();
+        const copy = { ...clone(r), id };
+        if(typeof copy.title === 'string') copy.title += ' (imported)';
+        renamed.set(r.id, id);
+        index.set(id, list.push(copy) - 1);
+      }
+    });
+    return { list, renamed };
+  }
+
+  // opts: {strategy, collisions, present, withAdmin}; returns a new DB, `current` is untouched
+  function merge(current, incoming, { strategy = 'merge', collisions = 'mine', present = COLLECTIONS, withAdmin = false } = {}){
+    if(!STRATEGIES[strategy]) throw new Error(`Unknown import strategy "${strategy}"`);
+    if(strategy === 'merge' && !COLLISIONS[collisions]) throw new Error(`Unknown collision rule "${collisions}"`);
+    const db = clone(current);
+    const colls = present.filter(c => COLLECTIONS.includes(c));
+    const has = key => present.includes(key);
+
+    if(strategy === 'replace'){
+      colls.forEach(c => { db[c] = clone(incoming[c] || []); });
+      ['taxonomy', 'revisions', 'trash'].forEach(k => { if(has(k)) db[k] = clone(incoming[k]); });
+      if(has('settings')) db.settings = keepLocal(clone(incoming.settings || {}), current.settings);
+    } else {
+      const renamed = {};
+      colls.forEach(c => {
+        const res = mergeList(db[c] || [], incoming[c] || [], strategy, collisions);
+        db[c] = res.list;
+        renamed[c] = res.renamed;
+      });
+      // revisions/trash entries are only added, following any record that got a new id
+      const revs = (incoming.revisions || []).map(r => {
+        const to = renamed[r.coll] && renamed[r.coll].get(r.recordId);
+        return to ? { ...r, id: newId(), recordId: to, snapshot: { ...r.snapshot, id: to } } : r;
+      });
+      db.revisions = mergeList(db.revisions || [], revs, 'merge', 'mine').list;
+      db.trash = mergeList(db.trash || [], incoming.trash || [], 'merge', 'mine').list;
+      const tax = incoming.taxonomy || {};
+      const union = (a, b) => {
+        const seen = new Set();
+        return (a || []).concat(b || []).filter(n => { const k = String(n).toLowerCase(); return !seen.has(k) && seen.add(k); });
+      };
+      db.taxonomy = { categories: union(db.taxonomy && db.taxonomy.categories, tax.categories), tags: union(db.taxonomy && db.taxonomy.tags, tax.tags) };
+      // our settings win; the file only fills in what we don't have
+      db.settings = keepLocal({ ...clone(incoming.settings || {}), ...(db.settings || {}) }, current.settings);
+    }
+    db.quarantine = (db.quarantine || []).concat(clone(incoming.quarantine || []));
+    db.admin = withAdmin && incoming.admin ? clone(incoming.admin) : current.admin;
+    return db;
+  }
+
+  const api = { COLLECTIONS, STRATEGIES, COLLISIONS, LABELS, preview, merge };
+  if(typeof module !== 'undefined' && module.exports) module.exports = api;
+  else (window.BHub = window.BHub || {}).importer = api;
+})();
@@ -0,0 +1,168 @@
+/* Business Hub — content listings
+   - One component for the app's grids (thoughts, work updates, projects):
+     keyed DOM updates, so cards whose markup didn't change keep their nodes
+     (and their loaded images) and only new or edited cards are built
+   - Numbered pages (12 / 24 / 48 per page) or infinite scroll, where a
+     "Show more" button doubles as the IntersectionObserver sentinel
+   - SORTS / sort(list, by): newest, oldest, recently updated, title
+   - pageRange(): the page buttons to show ("1 … 4 5 6 … 20")
+   - Card images rendered with data-src / data-bg (see cards.js, ctx.lazy)
+     load once they come near the viewport
+   Works in the browser (BHub.listing) and in Node (require, pure parts only).
+*/
+
+(() => {
+  const SORTS = {
+    newest: 'Newest first',
+    oldest: 'Oldest first',
+    updated: 'Recently updated',
+    title: 'Title A–Z'
+  };
+  const VIEWS = { 12: '12 per page', 24: '24 per page', 48: '48 per page', infinite: 'Infinite scroll' };
+  const DEFAULT_VIEW = '12';
+  const PRELOAD = '400px'; // how far outside the viewport images and the next batch start loading
+
+  const time = v => { const t = Date.parse(v); return Number.isNaN(t) ? 0 : t; };
+  const COMPARE = {
+    newest: (a, b) => time(b.created) - time(a.created),
+    oldest: (a, b) => time(a.created) - time(b.created),
+    updated: (a, b) => time(b.updated || b.created) - time(a.updated || a.created),
+    title: (a, b) => String(a.title || '').localeCompare(String(b.title || ''), undefined, { sensitivity: 'base', numeric: true })
+  };
+
+  // a sorted copy; unknown orders keep the list as it is
+  function sort(list, by){
+    return COMPARE[by] ? list.slice().sort(COMPARE[by]) : list.slice();
+  }
+
+  // page numbers around the current one, with '…' for the gaps
+  function pageRange(page, count, around = 1){
+    const out = [];
+    for(let p = 1; p <= count; p++){
+      if(p === 1 || p === count || Math.abs(p - page) <= around) out.push(p);
+      else if(out[out.length - 1] !== '…') out.push('…');
+    }
+    return out;
+  }
+
+  // --------------------------
+  // Browser only
+  // --------------------------
+  const markup = new WeakMap(); // card node -> the HTML it was built from
+
+  function build(html){
+    const t = document.createElement('template');
+    t.innerHTML = html.trim();
+    return t.content.firstElementChild || document.createElement('div');
+  }
+
+  // makes el's children the given [{key, html}] rows, reusing nodes whose HTML is unchanged
+  function reconcile(el, rows){
+    const reusable = new Map();
+    Array.from(el.children).forEach(n => { if(n.dataset.key) reusable.set(n.dataset.key, n); });
+    let cursor = el.firstElementChild;
+    rows.forEach(({ key, html }) => {
+      let node = reusable.get(key);
+      if(node && markup.get(node) === html) reusable.delete(key);
+      else {
+        node = build(html);
+        node.dataset.key = key;
+        markup.set(node, html);
+      }
+      if(node === cursor) cursor = cursor.nextElementSibling;
+      else el.insertBefore(node, cursor);
+    });
+    // whatever is left after the cursor was dropped or replaced
+    while(cursor){ const next = cursor.nextElementSibling; cursor.remove(); cursor = next; }
+  }
+
+  function loadImage(node){
+    if(node.dataset.src){ node.src = node.dataset.src; delete node.dataset.src; }
+    if(node.dataset.bg){ node.style.backgroundImage = `url(${JSON.stringify(node.dataset.bg)})`; delete node.dataset.bg; }
+  }
+
+  // opts: key(item) -> unique string, noun ('thoughts') for the status line
+  function create(el, opts){
+    const io = typeof IntersectionObserver === 'function';
+    const images = io ? new IntersectionObserver(entries => entries.forEach(e => {
+      if(!e.isIntersecting) return;
+      images.unobserve(e.target);
+      loadImage(e.target);
+    }), { rootMargin: PRELOAD }) : null;
+
+    const footer = document.createElement('div');
+    footer.className = 'listing-footer';
+    el.after(footer);
+
+    let items = [], render = () => '', empty = '', view = DEFAULT_VIEW, page = 1, shown = 0, filterKey = null;
+    const size = () => view === 'infinite' ? 24 : Number(view);
+    const pageCount = () => Math.max(1, Math.ceil(items.length / size()));
+
+    const more = io ? new IntersectionObserver(entries => {
+      if(entries.some(e => e.isIntersecting) && shown < items.length) showMore();
+    }, { rootMargin: PRELOAD }) : null;
+
+    function showMore(){
+      shown = Math.min(items.length, shown + size());
+      draw();
+    }
+
+    function drawFooter(first, last){
+      if(more) more.disconnect();
+      if(!items.length){ footer.innerHTML = ''; return; }
+      const status = `<small class="muted" aria-live="polite">Showing ${first + 1}–${last} of ${items.length} ${opts.noun || 'items'}</small>`;
+      if(view === 'infinite'){
+        footer.innerHTML = status + (last < items.length ? ' <button type="button" class="btn small ghost" data-more>Show more</button>' : '');
+        const btn = footer.querySelector('[data-more]');
+        if(btn){ btn.onclick = showMore; if(more) more.observe(btn); }
+        return;
+      }
+      const count = pageCount();
+      footer.innerHTML = status + (count > 1 ? `
+        <nav class="pager" aria-label="Pages">
+          <button type="button" class="btn small ghost" data-page="${page - 1}"${page > 1 ? '' : ' disabled'} aria-label="Previous page">‹</button>
+          ${pageRange(page, count).map(p => p === '…' ? '<span class="muted">…</span>'
+            : `<button type="button" class="btn small${p === page ? ' primary' : ' ghost'}" data-page="${p}"${p === page ? ' aria-current="page"' : ''}>${p}</button>`).join('')}
+          <button type="button" class="btn small ghost" data-page="${page + 1}"${page < count ? '' : ' disabled'} aria-label="Next page">›</button>
+        </nav>` : '');
+      footer.querySelectorAll('[data-page]').forEach(b => b.onclick = () => {
+        page = Number(b.dataset.page);
+        draw();
+        if(el.scrollIntoView) el.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      });
+    }
+
+    function draw(){
+      let first, last;
+      if(view === 'infinite'){ first = 0; last = Math.min(items.length, Math.max(shown, size())); shown = last; }
+      else { page = Math.min(Math.max(1, page), pageCount()); first = (page - 1) * size(); last = Math.min(items.length, first + size()); }
+      const rows = items.slice(first, last).map(item => ({ key: 'k:' + opts.key(item), html: render(item) }));
+      reconcile(el, rows.length ? rows : [{ key: 'empty', html: empty }]);
+      if(images) images.disconnect(); // drops cards that left the page
+      el.querySelectorAll('[data-src], [data-bg]').forEach(n => images ? images.observe(n) : loadImage(n));
+      drawFooter(first, last);
+    }
+
+    return {
+      // list: items in display order; o.render(item) -> card HTML, o.empty: HTML when nothing is listed,
+      // o.filter: a string for the filters, sort and search that made the list; a new one starts over at page one
+      update(list, o){
+        items = list; render = o.render; empty = o.empty || '';
+        const key = o.filter || '';
+        if(key !== filterKey){ filterKey = key; page = 1; shown = 0; }
+        draw();
+      },
+      // '12' | '24' | '48' | 'infinite'
+      setView(v){
+        view = VIEWS[v] ? String(v) : DEFAULT_VIEW;
+        page = 1; shown = 0;
+        if(filterKey !== null) draw(); // nothing to show before the first update
+      },
+      get view(){ return view; }
+    };
+  }
+
+  const api = { SORTS, VIEWS, DEFAULT_VIEW, sort, pageRange, create };
+  if(typeof module !== 'undefined' && module.exports) module.exports = api;
+  else (window.BHub = window.BHub || {}).listing = api;
+})();
@@ -0,0 +1,288 @@
+/* Business Hub — Markdown module
+   - render(md): a small Markdown dialect -> HTML (headings, lists, quotes,
+     fenced code, rules, links, images, emphasis, inline code)
+   - Raw HTML in the source is never passed through: all text is escaped first
+     and the output is run through sanitize(), an allow-list of tags/attributes
+     with URL scheme checks
+   - toText(md): plain text for card excerpts and feeds
+   Works in the browser (BHub.markdown) and in Node (require).
+*/
+
+(() => {
+  // --------------------------
+  // Helpers
+  // --------------------------
+  function escapeHtml(s){
+    return String(s == null ? '' : s)
+      .replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;')
+      .replace(/"/g,'&quot;').replace(/'/g,'&#39;');
+  }
+  function unescapeHtml(s){
+    return String(s).replace(/&lt;/g,'<').replace(/&gt;/g,'>').replace(/&quot;/g,'"').replace(/&#39;/g,"'").replace(/&amp;/g,'&');
+  }
+
+  // http(s), mailto and relative links; images may also be blob: or data:image/*
+  function safeUrl(url, forImage){
+    const u = String(url).replace(/[\u0000- \u007f]/g, '').toLowerCase();
+    if(/^(https?:|mailto:)/.test(u)) return true;
+    if(forImage && /^(blob:|data:image\/(png|jpe?g|gif|webp);)/.test(u)) return true;
+    return !/^[a-z][a-z0-9+.-]*:/.test(u); // no scheme at all -> relative
+  }
+
+  // --------------------------
+  // Inline
+  // --------------------------
+  function inline(text){
+    // code spans, links and images become placeholders so emphasis never touches their insides
+    const held = [];
+    const hold = html => `\u0000${held.push(html) - 1}\u0000`;
+    // NUL marks the placeholders, so a literal one in the source (CommonMark: U+FFFD) can't fake one
+    let s = codeSpans(String(text).replace(/\u0000/g, '\uFFFD'), hold);
+    s = escapeHtml(s);
+    // labels stop at the next bracket and URLs / titles are length-capped, so a run of "[" or "[a](" stays linear
+    s = s.replace(/!\[([^[\]]{0,1000})\]\(\s*([^)\s]{1,2048})(?:\s+&quot;([^\n]{0,500}?)&quot;)?\s*\)/g, (m, alt, src, title) => {
+      if(!safeUrl(unescapeHtml(src), true)) return alt;
+      return hold(`<img src="${src}" alt="${alt}"${title ? ` title="${title}"` : ''} loading="lazy" />`);
+    });
+    s = s.replace(/\[([^[\]]{1,1000})\]\(\s*([^)\s]{1,2048})(?:\s+&quot;([^\n]{0,500}?)&quot;)?\s*\)/g, (m, label, href, title) => {
+      if(!safeUrl(unescapeHtml(href))) return label;
+      return hold(`<a href="${href}"${title ? ` title="${title}"` : ''} target="_blank" rel="noopener noreferrer">${emphasis(label)}</a>`);
+    });
+    s = s.replace(/&lt;((?:https?:\/\/|mailto:)[^\s&]+(?:&amp;[^\s&]+)*)&gt;/g,
+      (m, url) => hold(`<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>`));
+    s = hardBreaks(emphasis(s));
+    // placeholders can nest (emphasis inside a link label holding code), so restore until none are left
+    while(/\u0000\d+\u0000/.test(s)) s = s.replace(/\u0000(\d+)\u0000/g, (m, i) => held[i]);
+    return s;
+  }
+
+  // `code` between backtick runs of the same length; a run without a partner stays literal.
+  // One pass over the runs, where a backtracking regex went cubic on long runs of backticks
+  function codeSpans(s, hold){
+    const runs = [];
+    const re = /`+/g;
+    let m;
+    while((m = re.exec(s))) runs.push({ at: m.index, len: m[0].length });
+    const partner = new Array(runs.length).fill(-1);
+    const nextOfLength = new Map();
+    for(let r = runs.length - 1; r >= 0; r--){
+      if(nextOfLength.has(runs[r].len)) partner[r] = nextOfLength.get(runs[r].len);
+      nextOfLength.set(runs[r].len, r);
+    }
+    let out = '', last = 0;
+    for(let r = 0; r < runs.length; r++){
+      if(partner[r] < 0) continue;
+      const open = runs[r], close = runs[partner[r]];
+      out += s.slice(last, open.at) + hold(`<code>${escapeHtml(s.slice(open.at + open.len, close.at).trim())}</code>`);
+      last = close.at + close.len;
+      r = partner[r];
+    }
+    return out + s.slice(last);
+  }
+
+  // mark + non-space … non-space + mark, nearest closer first (what /(\*\*)(?=\S)([\s\S]*?\S)\1/g matched),
+  // in linear time: closers are listed once and each mark's pointer only moves forward
+  function delimited(s, marks, wrap){
+    const closers = marks.map(mark => {
+      const list = [];
+      for(let q = s.indexOf(mark, 1); q >= 0; q = s.indexOf(mark, q + 1)) if(/\S/.test(s[q - 1])) list.push(q);
+      return list;
+    });
+    const next = marks.map(() => 0);
+    let out = '', last = 0;
+    for(let i = 0; i < s.length;){
+      const k = marks.findIndex(mark => s.startsWith(mark, i));
+      const len = k < 0 ? 0 : marks[k].length;
+      if(k < 0 || !/\S/.test(s[i + len] || '')){ i++; continue; }
+      const list = closers[k];
+      while(next[k] < list.length && list[next[k]] < i + len + 1) next[k]++;
+      if(next[k] === list.length){ i++; continue; }
+      const q = list[next[k]];
+      out += s.slice(last, i) + wrap(marks[k], s.slice(i + len, q), i, s.slice(i, q + len), s);
+      i = last = q + len;
+    }
+    return out + s.slice(last);
+  }
+
+  function emphasis(s){
+    s = delimited(s, ['**', '__'], (mark, body) => `<strong>${body}</strong>`);
+    s = delimited(s, ['*', '_'], (mark, body, at, m, all) => {
+      // no intra-word underscores (snake_case stays as is)
+      if(mark === '_' && (/\w/.test(all[at - 1] || '') || /\w/.test(all[at + m.length] || ''))) return m;
+      return `<em>${body}</em>`;
+    });
+    return delimited(s, ['~~'], (mark, body) => `<del>${body}</del>`);
+  }
+
+  // two trailing spaces or a backslash before a newline; per line, as / {2,}\n/ rescans long runs of spaces
+  function hardBreaks(s){
+    const lines = s.split('\n');
+    return lines.map((l, i) => {
+      if(i === lines.length - 1) return l;
+      let end = l.length;
+      while(end && l[end - 1] === ' ') end--;
+      if(l.length - end >= 2) return l.slice(0, end) + '<br>';
+      return l.endsWith('\\') ? l.slice(0, -1) + '<br>' : l + '\n';
+    }).join('');
+  }
+
+  // --------------------------
+  // Blocks
+  // --------------------------
+  const RE = {
+    fence: /^\s{0,3}(```|~~~)\s*([\w-]*)\s*$/,
+    heading: /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/,
+    rule: /^\s{0,3}([-*_])(\s*\1){2,}\s*$/,
+    quote: /^\s{0,3}>\s?(.*)$/,
+    ul: /^(\s*)[-*+]\s+(.*)$/,
+    ol: /^(\s*)(\d{1,9})[.)]\s+(.*)$/,
+    blank: /^\s*$/
+  };
+
+  function render(md){
+    const lines = String(md == null ? '' : md).replace(/\r\n?/g, '\n').split('\n');
+    return sanitize(blocks(lines));
+  }
+
+  function blocks(lines){
+    const out = [];
+    let i = 0;
+    while(i < lines.length){
+      const line = lines[i];
+      let m;
+      if(RE.blank.test(line)){ i++; continue; }
+
+      if((m = line.match(RE.fence))){
+        const fence = m[1], lang = m[2], code = [];
+        i++;
+        while(i < lines.length && !lines[i].trim().startsWith(fence)) code.push(lines[i++]);
+        i++; // closing fence
+        out.push(`<pre><code${lang ? ` class="language-${escapeHtml(lang)}"` : ''}>${escapeHtml(code.join('\n'))}</code></pre>`);
+        continue;
+      }
+      if((m = line.match(RE.heading))){
+        const level = m[1].length;
+        out.push(`<h${level}>${inline(m[2])}</h${level}>`);
+        i++; continue;
+      }
+      if(RE.rule.test(line)){ out.push('<hr>'); i++; continue; }
+      if(RE.quote.test(line)){
+        const inner = [];
+        while(i < lines.length && (m = lines[i].match(RE.quote))){ inner.push(m[1]); i++; }
+        out.push(`<blockquote>${blocks(inner)}</blockquote>`);
+        continue;
+      }
+      if(RE.ul.test(line) || RE.ol.test(line)){
+        const res = list(lines, i);
+        out.push(res.html); i = res.next;
+        continue;
+      }
+      // paragraph: runs until a blank line or another block starts
+      const para = [];
+      while(i < lines.length && !RE.blank.test(lines[i]) && !startsBlock(lines[i])) para.push(lines[i++]);
+      if(!para.length) para.push(lines[i++]);
+      out.push(`<p>${inline(para.join('\n'))}</p>`);
+    }
+    return out.join('\n');
+  }
+
+  function startsBlock(line){
+    return RE.fence.test(line) || RE.heading.test(line) || RE.rule.test(line) || RE.quote.test(line) || RE.ul.test(line) || RE.ol.test(line);
+  }
+
+  // a list starting at lines[start]; deeper-indented items become nested lists
+  function list(lines, start){
+    const first = lines[start].match(RE.ul) || lines[start].match(RE.ol);
+    const indent = first[1].length;
+    const ordered = !lines[start].match(RE.ul);
+    const items = [];
+    let i = start;
+    while(i < lines.length){
+      const line = lines[i];
+      const m = ordered ? line.match(RE.ol) : line.match(RE.ul);
+      if(m && m[1].length === indent){
+        items.push({ text: [ordered ? m[3] : m[2]], sub: '' });
+        i++; continue;
+      }
+      const other = line.match(RE.ul) || line.match(RE.ol);
+      if(other && other[1].length > indent && items.length){
+        const res = list(lines, i);
+        items[items.length - 1].sub += res.html; i = res.next;
+        continue;
+      }
+      // lazy continuation of the previous item's text
+      if(items.length && !RE.blank.test(line) && !other && !startsBlock(line) && /^\s+/.test(line)){
+        items[items.length - 1].text.push(line.trim()); i++; continue;
+      }
+      break;
+    }
+    const tag = ordered ? 'ol' : 'ul';
+    const startAttr = ordered && first[2] !== '1' ? ` start="${parseInt(first[2], 10)}"` : '';
+    return {
+      html: `<${tag}${startAttr}>` + items.map(it => `<li>${inline(it.text.join('\n'))}${it.sub}</li>`).join('') + `</${tag}>`,
+      next: i
+    };
+  }
+
+  // --------------------------
+  // Sanitizer
+  // --------------------------
+  const ALLOWED = {
+    p: [], br: [], hr: [], h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    strong: [], em: [], del: [], code: ['class'], pre: [], blockquote: [],
+    ul: [], ol: ['start'], li: [],
+    a: ['href', 'title', 'target', 'rel'],
+    img: ['src', 'alt', 'title', 'loading']
+  };
+  const VOID = new Set(['br', 'hr', 'img']);
+
+  // keeps allow-listed tags/attributes only; anything else is escaped into text
+  function sanitize(html){
+    return String(html).replace(/<(\/?)([a-zA-Z][a-zA-Z0-9]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*\/?>/g, (m, close, name, attrs) => {
+      const tag = name.toLowerCase();
+      if(!ALLOWED[tag]) return escapeHtml(m);
+      if(close) return VOID.has(tag) ? '' : `</${tag}>`;
+      const kept = [];
+      const re = /([^\s=>/]+)(?:\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+      let a;
+      while((a = re.exec(attrs))){
+        const key = a[1].toLowerCase();
+        const val = a[3] != null ? a[3] : a[4] != null ? a[4] : (a[5] || '');
+        if(!ALLOWED[tag].includes(key)) continue;
+        if((key === 'href' || key === 'src') && !safeUrl(unescapeHtml(val), key === 'src')) continue;
+        if(key === 'class' && !/^language-[\w-]+$/.test(val)) continue;
+        if(key === 'target' && val !== '_blank') continue;
+        kept.push(`${key}="${escapeHtml(unescapeHtml(val))}"`);
+      }
+      if(tag === 'a' && kept.some(k => k.startsWith('target='))) {
+        if(!kept.some(k => k.startsWith('rel='))) kept.push('rel="noopener noreferrer"');
+      }
+      return `<${tag}${kept.length ? ' ' + kept.join(' ') : ''}${VOID.has(tag) ? ' /' : ''}>`;
+    });
+  }
+
+  // --------------------------
+  // Plain text
+  // --------------------------
+  // Markdown -> readable plain text (for excerpts, meta descriptions, feeds)
+  function toText(md){
+    return String(md == null ? '' : md)
+      .replace(/\r\n?/g, '\n')
+      .replace(/^\s{0,3}(```|~~~).*$/gm, '')
+      .replace(/!\[([^[\]]{0,1000})\]\([^)]{0,2048}\)/g, '$1')
+      .replace(/\[([^[\]]{1,1000})\]\([^)]{0,2048}\)/g, '$1')
+      .replace(/<((?:https?:\/\/|mailto:)[^>\s]+)>/g, '$1')
+      .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+      .replace(/^\s{0,3}>\s?/gm, '')
+      .replace(/^\s*([-*+]|\d{1,9}[.)])\s+/gm, '')
+      .replace(/^\s{0,3}([-*_])(\s*\1){2,}\s*$/gm, '')
+      .replace(/(\*\*|__|~~|`+)/g, '')
+      .replace(/(^|\W)[*_](\S[^*_]*)[*_](?=\W|$)/g, '$1$2')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  const api = { render, sanitize, toText, escapeHtml, safeUrl };
+  if(typeof module !== 'undefined' && module.exports) module.exports = api;
+  else (window.BHub = window.BHub || {}).markdown = api;
+})();
@@ -0,0 +1,94 @@
+/* Business Hub — media library
+   - db.media lists uploaded images: {id, imageId, thumbId, name, alt,
+     width, height, created}; stored images without an entry (uploaded
+     before the library existed) still show up, just unnamed
+   - usage(db): where each image is used — a record's image, a project
+     gallery, the site favicon
+   - assets(db, stored, kept): one row per stored image for the library,
+     thumbnails folded into their image; `kept` holds ids that history,
+     trash or backups still point at
+   - detach(db, imageId): takes an image off everything that uses it
+   Works in the browser (BHub.media) and in Node (require).
+*/
+
+(() => {
+  const CONTENT = ['thoughts', 'work', 'projects'];
+  const LABELS = { thoughts: 'Thought', work: 'Work', projects: 'Project', settings: 'Site' };
+
+  // imageId -> [{coll, id, title, field: 'image' | 'gallery' | 'favicon'}]
+  function usage(db){
+    const map = new Map();
+    const add = (imageId, use) => {
+      if(!imageId) return;
+      if(!map.has(imageId)) map.set(imageId, []);
+      map.get(imageId).push(use);
+    };
+    CONTENT.forEach(coll => (db[coll] || []).forEach(rec => {
+      add(rec.imageId, { coll, id: rec.id, title: rec.title, field: 'image' });
+      (rec.gallery || []).forEach(g => add(g.imageId, { coll, id: rec.id, title: rec.title, field: 'gallery' }));
+    }));
+    const fav = db.settings && db.settings.site && db.settings.site.favicon; // see site.js
+    if(fav) add(fav.imageId, { coll: 'settings', id: 'favicon', title: 'Favicon', field: 'favicon' });
+    return map;
+  }
+
+  // imageId -> thumbId, from the library and from everything that carries a thumbnail
+  function thumbnails(db){
+    const map = new Map();
+    const note = o => { if(o && o.imageId && o.thumbId) map.set(o.imageId, o.thumbId); };
+    (db.media || []).forEach(note);
+    CONTENT.forEach(coll => (db[coll] || []).forEach(rec => { note(rec); (rec.gallery || []).forEach(note); }));
+    return map;
+  }
+
+  // stored: [{id, size, type}]; newest library entries first, unnamed leftovers last
+  function assets(db, stored, kept = new Set()){
+    const thumbs = thumbnails(db);
+    const thumbIds = new Set(thumbs.values());
+    const uses = usage(db);
+    const entries = new Map((db.media || []).map(m => [m.imageId, m]));
+    const byId = new Map(stored.map(s => [s.id, s]));
+    return stored.filter(s => !thumbIds.has(s.id)).map(s => {
+      const entry = entries.get(s.id) || null;
+      const thumbId = thumbs.get(s.id) || null;
+      const thumb = thumbId && byId.get(thumbId);
+      return {
+        imageId: s.id,
+        thumbId,
+        entry,
+        name: entry ? entry.name : '',
+        alt: entry ? entry.alt : '',
+        type: s.type,
+        size: s.size + (thumb ? thumb.size : 0),
+        width: entry && entry.width, height: entry && entry.height,
+        created: entry ? entry.created : '',
+        uses: uses.get(s.id) || [],
+        kept: kept.has(s.id)
+      };
+    }).sort((a, b) => String(b.created).localeCompare(String(a.created)));
+  }
+
+  // returns how many places the image was taken off
+  function detach(db, imageId){
+    let n = 0;
+    CONTENT.forEach(coll => (db[coll] || []).forEach(rec => {
+      if(rec.imageId === imageId){ rec.imageId = null; rec.thumbId = null; rec.focal = null; n++; }
+      if(Array.isArray(rec.gallery)){
+        const before = rec.gallery.length;
+        rec.gallery = rec.gallery.filter(g => g.imageId !== imageId);
+        n += before - rec.gallery.length;
+      }
+    }));
+    const site = db.settings && db.settings.site;
+    if(site && site.favicon && site.favicon.imageId === imageId){ site.favicon = null; n++; }
+    return n;
+  }
+
+  function describe(use){
+    return use.field === 'favicon' ? 'Site favicon' : `${LABELS[use.coll]}: ${use.title}${use.field === 'gallery' ? ' (gallery)' : ''}`;
+  }
+
+  const api = { LABELS, usage, assets, detach, describe };
+  if(typeof module !== 'undefined' && module.exports) module.exports = api;
+  else (window.BHub = window.BHub || {}).media = api;
+})();
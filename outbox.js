@@ -0,0 +1,128 @@
+/* Business Hub — message outbox
+   - The delivery endpoint is set once by the admin (db.settings.delivery =
+     {kind: 'formspree' | 'webhook', url}); without one messages stay local
+   - Each message carries its own delivery state:
+     {state: 'pending' | 'sent' | 'failed', attempts, nextAttemptAt, lastError, sentAt}
+   - flush() posts every pending message that is due; failures back off
+     exponentially, 4xx answers (other than 408/429) and MAX_ATTEMPTS give up
+     as 'failed' until the admin retries
+   - The app calls flush() on load, on `online` and when the next retry is due
+   Works in the browser (BHub.outbox) and in Node (require); DB access and
+   fetch are passed in, so the queue can be driven against a stub server.
+*/
+
+(() => {
+  const KINDS = ['formspree', 'webhook'];
+  const MAX_ATTEMPTS = 8;
+  const BASE_DELAY = 30 * 1000; // first retry; doubles per attempt
+  const MAX_DELAY = 60 * 60 * 1000;
+  const TIMEOUT = 15 * 1000;
+
+  // the configured endpoint or null
+  function endpointOf(settings){
+    const d = settings && settings.delivery;
+    if(!d || !KINDS.includes(d.kind) || !/^https?:\/\//i.test(d.url || '')) return null;
+    return { kind: d.kind, url: d.url };
+  }
+
+  // ms to wait after the `attempts`-th failure
+  function backoff(attempts){
+    return Math.min(BASE_DELAY * 2 ** Math.max(0, attempts - 1), MAX_DELAY);
+  }
+
+  function pending(now){
+    return { state: 'pending', attempts: 0, nextAttemptAt: new Date(now).toISOString(), lastError: null };
+  }
+
+  // -> [url, fetch init]; Formspree wants its own field names, webhooks get the message as-is
+  function buildRequest(target, m){
+    const fields = { name: m.name, email: m.email, subject: m.subject || '', message: m.message, created: m.created };
+    const body = target.kind === 'formspree'
+      ? { name: fields.name, email: fields.email, _replyto: fields.email, _subject: fields.subject || 'New message', message: fields.message }
+      : { type: 'contact_message', id: m.id, ...fields };
+    return [target.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+      body: JSON.stringify(body)
+    }];
+  }
+
+  // {load, save, fetch, now} -> {flush, retry, nextDue}
+  function createOutbox({ load, save, fetch, now = () => Date.now() }){
+    let running = null;
+
+    async function post(target, m){
+      const [url, init] = buildRequest(target, m);
+      const ctrl = typeof AbortController !== 'undefined' ? new AbortController() : null;
+      const timer = ctrl && setTimeout(() => ctrl.abort(), TIMEOUT);
+      try {
+        const res = await fetch(url, { ...init, signal: ctrl ? ctrl.signal : undefined });
+        if(res.ok) return null;
+        const permanent = res.status >= 400 && res.status < 500 && res.status !== 408 && res.status !== 429;
+        return { error: `HTTP ${res.status}`, permanent };
+      } catch (e) {
+        return { error: e && e.name === 'AbortError' ? 'timed out' : 'network error', permanent: false };
+      } finally {
+        if(timer) clearTimeout(timer);
+      }
+    }
+
+    // re-reads the DB before writing, since other saves can happen while a request is in flight
+    function record(id, fail){
+      const db = load();
+      const m = db.messages.find(x => x.id === id);
+      if(!m || !m.delivery) return;
+      const t = now();
+      const attempts = (m.delivery.attempts || 0) + 1;
+      if(!fail) m.delivery = { state: 'sent', attempts, sentAt: new Date(t).toISOString(), lastError: null };
+      else if(fail.permanent || attempts >= MAX_ATTEMPTS) m.delivery = { state: 'failed', attempts, lastError: fail.error };
+      else m.delivery = { state: 'pending', attempts, lastError: fail.error, nextAttemptAt: new Date(t + backoff(attempts)).toISOString() };
+      save(db);
+    }
+
+    // sends everything due (or every pending message with {force: true}); -> {sent, failed}
+    function flush({ force = false } = {}){
+      if(running) return running;
+      running = (async () => {
+        const result = { sent: 0, failed: 0 };
+        const db = load();
+        const target = endpointOf(db.settings);
+        if(!target) return result;
+        const t = now();
+        const due = db.messages.filter(m => m.delivery && m.delivery.state === 'pending' &&
+          (force || Date.parse(m.delivery.nextAttemptAt || 0) <= t));
+        for(const m of due){
+          const fail = await post(target, m);
+          record(m.id, fail);
+          fail ? result.failed++ : result.sent++;
+        }
+        return result;
+      })().finally(() => { running = null; });
+      return running;
+    }
+
+    // puts a failed (or pending) message back at the front of the queue
+    function retry(id){
+      const db = load();
+      const m = db.messages.find(x => x.id === id);
+      if(!m) return false;
+      m.delivery = { ...pending(now()), attempts: 0 };
+      save(db);
+      return true;
+    }
+
+    // earliest nextAttemptAt among pending messages (ms), or null
+    function nextDue(){
+      const times = load().messages
+        .filter(m => m.delivery && m.delivery.state === 'pending')
+        .map(m => Date.parse(m.delivery.nextAttemptAt || 0));
+      return times.length ? Math.min(...times) : null;
+    }
+
+    return { flush, retry, nextDue };
+  }
+
+  const api = { KINDS, MAX_ATTEMPTS, endpointOf, backoff, pending, buildRequest, createOutbox };
+  if(typeof module !== 'undefined' && module.exports) module.exports = api;
+  else (window.BHub = window.BHub || {}).outbox = api;
+})();
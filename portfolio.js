@@ -0,0 +1,71 @@
+/* Business Hub — portfolio
+   - Projects double as case studies: client, role, start / end (YYYY-MM),
+     services, metrics [{value, label}], testimonial {quote, by}, gallery
+     [{imageId, thumbId, alt}], featured and a manual order
+   - sort(): featured projects first, then the manual order, then newest
+   - move(): shifts a project one place within its group (featured / not)
+   - parseMetrics / formatMetrics: the editor's "value | label" lines
+   - dateRange(): "Mar 2023 – Jun 2024", "Since Mar 2023"
+   - linkOf(): the project's link when it is an http(s) URL, '' otherwise
+   Works in the browser (BHub.portfolio) and in Node (require).
+*/
+
+(() => {
+  const MONTH = /^\d{4}-(0[1-9]|1[0-2])$/;
+  const LINK = /^https?:\/\/\S+$/i;
+  const UNORDERED = Number.MAX_SAFE_INTEGER; // projects from before manual ordering sort after the rest
+
+  const rank = p => typeof p.order === 'number' ? p.order : UNORDERED;
+  const time = p => { const t = Date.parse(p.created); return Number.isNaN(t) ? 0 : t; };
+
+  function sort(list){
+    return list.slice().sort((a, b) => (b.featured === true) - (a.featured === true) || rank(a) - rank(b) || time(b) - time(a));
+  }
+
+  // renumbers `order` over the whole list; false when the project can't move that way
+  function move(list, id, delta){
+    const sorted = sort(list);
+    const i = sorted.findIndex(p => p.id === id);
+    const j = i + delta;
+    if(i < 0 || j < 0 || j >= sorted.length || !!sorted[i].featured !== !!sorted[j].featured) return false;
+    [sorted[i], sorted[j]] = [sorted[j], sorted[i]];
+    sorted.forEach((p, k) => { p.order = k; });
+    return true;
+  }
+
+  // order for a new project, so it leads its group like it used to
+  function firstOrder(list){
+    return list.reduce((min, p) => Math.min(min, typeof p.order === 'number' ? p.order : 0), 0) - 1;
+  }
+
+  // "40% | faster checkout" per line -> [{value, label}]
+  function parseMetrics(text){
+    return String(text || '').split(/\r?\n/).map(line => {
+      const at = line.indexOf('|');
+      return at < 0 ? { value: line.trim(), label: '' } : { value: line.slice(0, at).trim(), label: line.slice(at + 1).trim() };
+    }).filter(m => m.value || m.label);
+  }
+  function formatMetrics(list){
+    return (list || []).map(m => m.label ? `${m.value} | ${m.label}` : m.value).join('\n');
+  }
+
+  function month(ym){
+    return new Date(ym + '-01T00:00:00').toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+  }
+  function dateRange(start, end){
+    const s = MONTH.test(start || '') ? month(start) : '';
+    const e = MONTH.test(end || '') ? month(end) : '';
+    if(s && e) return s === e ? s : `${s} – ${e}`;
+    if(s) return `Since ${s}`;
+    return e ? `Until ${e}` : '';
+  }
+
+  // only http(s) links are rendered, whatever a record carries (javascript: and friends never become an href)
+  function linkOf(p){
+    return typeof p.link === 'string' && LINK.test(p.link) ? p.link : '';
+  }
+
+  const api = { MONTH, LINK, linkOf, sort, move, firstOrder, parseMetrics, formatMetrics, dateRange };
+  if(typeof module !== 'undefined' && module.exports) module.exports = api;
+  else (window.BHub = window.BHub || {}).portfolio = api;
+})();
@@ -0,0 +1,50 @@
+/* Business Hub — publishing states
+   - Thoughts, work updates and projects carry `status`
+     (draft | scheduled | published | archived) and `publishAt` (ISO time)
+   - Nothing flips a scheduled record when its time comes: statusOf() and
+     isPublic() compare publishAt against the clock on every call
+   - Public listings, search and anything generated from the DB show only
+     isPublic() records; admins see the rest with a status badge
+   Works in the browser (BHub.publish) and in Node (require).
+*/
+
+(() => {
+  const STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+  const LABELS = { draft: 'Draft', scheduled: 'Scheduled', published: 'Published', archived: 'Archived' };
+
+  const time = iso => { const t = Date.parse(iso); return Number.isNaN(t) ? 0 : t; };
+
+  // the state a visitor would see right now; unknown statuses count as drafts
+  function statusOf(rec, now = Date.now()){
+    const status = STATUSES.includes(rec.status) ? rec.status : 'draft';
+    if(status === 'scheduled' || status === 'published') return time(rec.publishAt) > now ? 'scheduled' : 'published';
+    return status;
+  }
+
+  function isPublic(rec, now = Date.now()){
+    return statusOf(rec, now) === 'published';
+  }
+
+  // status + publishAt to store for an editor submission; throws when a schedule has no time
+  function normalize(status, publishAt, now = Date.now()){
+    if(!STATUSES.includes(status)) throw new Error(`Unknown status "${status}"`);
+    const at = publishAt ? time(publishAt) : 0;
+    if(publishAt && !at) throw new Error('Invalid publish time');
+    if(status === 'scheduled' && !at) throw new Error('Pick a publish time to schedule');
+    if(status === 'published' || status === 'scheduled') return { status, publishAt: at ? publishAt : new Date(now).toISOString() };
+    return { status, publishAt: at ? publishAt : null };
+  }
+
+  // earliest future go-live time among `records` (ms), or null when nothing is waiting
+  function nextGoLive(records, now = Date.now()){
+    return records.reduce((next, rec) => {
+      if(statusOf(rec, now) !== 'scheduled') return next;
+      const t = time(rec.publishAt);
+      return next == null || t < next ? t : next;
+    }, null);
+  }
+
+  const api = { STATUSES, LABELS, statusOf, isPublic, normalize, nextGoLive };
+  if(typeof module !== 'undefined' && module.exports) module.exports = api;
+  else (window.BHub = window.BHub || {}).publish = api;
+})();
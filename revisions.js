@@ -0,0 +1,181 @@
+/* Business Hub — revisions & trash
+   - db.revisions: [{id, coll, recordId, at, note, snapshot}], one snapshot of a
+     thought/work update/project per save, capped per record (oldest dropped)
+   - diff(a, b) lists the fields that changed between two snapshots, with a
+     line diff for the long text fields; diffHtml() renders it with <ins>/<del>
+   - db.trash: [{id, coll, record, deletedAt}]; deletes are soft until the
+     trash is emptied, and purging an item drops its revisions too
+   Works in the browser (BHub.revisions) and in Node (require).
+*/
+
+(() => {
+  const MAX_PER_RECORD = 50;
+  // fields compared and restored; anything else on the record (id, created) stays as is
+  const FIELDS = ['title', 'status', 'publishAt', 'category', 'tags', 'link', 'imageId', 'thumbId', 'imageAlt', 'focal', 'image', 'content', 'desc',
+    'client', 'role', 'start', 'end', 'services', 'metrics', 'testimonial', 'gallery', 'featured']; // project case studies
+  const TEXT_FIELDS = ['content', 'desc'];
+  const MAX_DIFF_CELLS = 4000000; // line-diff table size before falling back to "replaced"
+
+  const newId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+  const clone = v => JSON.parse(JSON.stringify(v));
+  const same = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+  function escapeHtml(s){
+    return String(s == null ? '' : s)
+      .replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;')
+      .replace(/"/g,'&quot;').replace(/'/g,'&#39;');
+  }
+
+  function listOf(db, key){
+    if(!Array.isArray(db[key])) db[key] = [];
+    return db[key];
+  }
+
+  // --------------------------
+  // Revisions
+  // --------------------------
+  // a record's revisions, newest first
+  function history(db, coll, recordId){
+    return listOf(db, 'revisions').filter(r => r.coll === coll && r.recordId === recordId).reverse();
+  }
+
+  function snapshotEntry(coll, rec, note, at){
+    return { id: newId(), coll, recordId: rec.id, at: at || new Date().toISOString(), note: note || '', snapshot: clone(rec) };
+  }
+
+  // stores `rec` as its newest revision (no-op when nothing changed since the last one).
+  // `before` is the record as it was prior to this save; it becomes the first revision
+  // of records that predate revision tracking.
+  function commit(db, coll, rec, { before, note } = {}){
+    const revs = listOf(db, 'revisions');
+    if(before && !revs.some(r => r.coll === coll && r.recordId === rec.id)){
+      revs.push(snapshotEntry(coll, before, 'Before first tracked edit', before.updated || before.created));
+    }
+    const last = history(db, coll, rec.id)[0];
+    if(last && !diff(last.snapshot, rec).length) return last;
+    const entry = snapshotEntry(coll, rec, note);
+    revs.push(entry);
+    const mine = revs.filter(r => r.coll === coll && r.recordId === rec.id);
+    if(mine.length > MAX_PER_RECORD){
+      const drop = new Set(mine.slice(0, mine.length - MAX_PER_RECORD));
+      db.revisions = revs.filter(r => !drop.has(r));
+    }
+    return entry;
+  }
+
+  // puts a revision's fields back on the live record and records that as a new revision
+  function restore(db, coll, recordId, revisionId){
+    const rec = (db[coll] || []).find(r => r.id === recordId);
+    if(!rec) throw new Error('Item not found (restore it from the Trash first)');
+    const rev = listOf(db, 'revisions').find(r => r.id === revisionId && r.recordId === recordId);
+    if(!rev) throw new Error('Revision not found');
+    FIELDS.forEach(f => {
+      if(rev.snapshot[f] === undefined) delete rec[f];
+      else rec[f] = clone(rev.snapshot[f]);
+    });
+    rec.updated = new Date().toISOString();
+    commit(db, coll, rec, { note: `Restored version from ${rev.at}` });
+    return rec;
+  }
+
+  // --------------------------
+  // Diff
+  // --------------------------
+  // [{field, before, after, lines?}]; lines = [{op: '+'|'-'|' ', text}] for text fields
+  function diff(a, b){
+    a = a || {}; b = b || {};
+    return FIELDS.filter(f => !same(a[f], b[f])).map(field => {
+      const change = { field, before: a[field], after: b[field] };
+      if(TEXT_FIELDS.includes(field)) change.lines = lineDiff(a[field] || '', b[field] || '');
+      return change;
+    });
+  }
+
+  // longest-common-subsequence line diff
+  function lineDiff(a, b){
+    const x = String(a).split('\n'), y = String(b).split('\n');
+    if(x.length * y.length > MAX_DIFF_CELLS){
+      return x.map(text => ({ op: '-', text })).concat(y.map(text => ({ op: '+', text })));
+    }
+    const lcs = Array.from({ length: x.length + 1 }, () => new Uint32Array(y.length + 1));
+    for(let i = x.length - 1; i >= 0; i--){
+      for(let j = y.length - 1; j >= 0; j--){
+        lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    const out = [];
+    let i = 0, j = 0;
+    while(i < x.length && j < y.length){
+      if(x[i] === y[j]){ out.push({ op: ' ', text: x[i] }); i++; j++; }
+      else if(lcs[i + 1][j] >= lcs[i][j + 1]) out.push({ op: '-', text: x[i++] });
+      else out.push({ op: '+', text: y[j++] });
+    }
+    while(i < x.length) out.push({ op: '-', text: x[i++] });
+    while(j < y.length) out.push({ op: '+', text: y[j++] });
+    return out;
+  }
+
+  function fieldText(v){
+    if(v === undefined || v === null || v === '') return '';
+    if(Array.isArray(v)) return v.map(fieldText).join(', ');
+    // metrics, testimonial, gallery entries
+    return typeof v === 'object' ? Object.values(v).map(fieldText).filter(Boolean).join(' – ') : String(v);
+  }
+
+  function diffHtml(changes){
+    if(!changes.length) return '<p class="muted">No changes.</p>';
+    return changes.map(c => {
+      const body = c.lines
+        ? `<pre class="diff">${c.lines.map(l => {
+            const text = escapeHtml(l.op + ' ' + l.text);
+            return l.op === '+' ? `<ins>${text}</ins>` : l.op === '-' ? `<del>${text}</del>` : text;
+          }).join('\n')}</pre>`
+        : `<div class="diff">${fieldText(c.before) ? `<del>${escapeHtml(fieldText(c.before))}</del>` : '<span class="muted">(empty)</span>'} → ${fieldText(c.after) ? `<ins>${escapeHtml(fieldText(c.after))}</ins>` : '<span class="muted">(empty)</span>'}</div>`;
+      return `<div class="diff-field"><strong>${escapeHtml(c.field)}</strong>${body}</div>`;
+    }).join('');
+  }
+
+  // --------------------------
+  // Trash
+  // --------------------------
+  // moves one record out of its collection; returns the trash entry or null
+  function trash(db, coll, id){
+    const list = db[coll] || [];
+    const idx = list.findIndex(r => r.id === id);
+    if(idx < 0) return null;
+    const entry = { id: newId(), coll, record: list.splice(idx, 1)[0], deletedAt: new Date().toISOString() };
+    listOf(db, 'trash').push(entry);
+    return entry;
+  }
+
+  // moves every record of the given collections; returns the trash entries
+  function trashAll(db, colls){
+    return colls.flatMap(coll => (db[coll] || []).map(r => r.id).map(id => trash(db, coll, id)).filter(Boolean));
+  }
+
+  function untrash(db, trashId){
+    const bin = listOf(db, 'trash');
+    const idx = bin.findIndex(t => t.id === trashId);
+    if(idx < 0) throw new Error('Not in the Trash');
+    const { coll, record } = bin[idx];
+    if(!Array.isArray(db[coll])) db[coll] = [];
+    if(db[coll].some(r => r.id === record.id)) throw new Error('An item with the same id already exists');
+    db[coll].push(record);
+    bin.splice(idx, 1);
+    return record;
+  }
+
+  // deletes trash entries for good (all of them when `ids` is omitted); returns how many
+  function purge(db, ids){
+    const bin = listOf(db, 'trash');
+    const gone = bin.filter(t => !ids || ids.includes(t.id));
+    const keys = new Set(gone.map(t => t.coll + ':' + t.record.id));
+    db.trash = bin.filter(t => !gone.includes(t));
+    db.revisions = listOf(db, 'revisions').filter(r => !keys.has(r.coll + ':' + r.recordId));
+    return gone.length;
+  }
+
+  const api = { MAX_PER_RECORD, FIELDS, history, commit, restore, diff, lineDiff, diffHtml, trash, trashAll, untrash, purge };
+  if(typeof module !== 'undefined' && module.exports) module.exports = api;
+  else (window.BHub = window.BHub || {}).revisions = api;
+})();
@@ -0,0 +1,84 @@
+/* Business Hub — hash router
+   - Routes look like #/thoughts/:id or #/thoughts?category=Strategy&q=pricing
+   - Plain section anchors (#thoughts) still work and are matched as /thoughts
+   - Back/forward come for free from hashchange; replace() updates the URL
+     without adding a history entry (used while typing in filters)
+   Loaded before script.js, which registers the routes.
+*/
+
+(() => {
+  const routes = []; // [{pattern, keys, re, handler}]
+  let notFound = () => {};
+  let current = null;
+
+  // '/thoughts/:id' -> /^\/thoughts\/([^/]+)$/ with keys ['id']
+  function compile(pattern){
+    const keys = [];
+    const src = pattern.replace(/\/:(\w+)/g, (m, key) => { keys.push(key); return '/([^/]+)'; });
+    return { keys, re: new RegExp('^' + src + '/?$') };
+  }
+
+  function add(pattern, handler){
+    routes.push({ pattern, handler, ...compile(pattern) });
+  }
+
+  function fallback(handler){ notFound = handler; }
+
+  // '#/thoughts/abc?q=x' or '#thoughts' -> { path: '/thoughts/abc', query: {q: 'x'} }
+  function parse(hash){
+    const raw = String(hash || '').replace(/^#/, '');
+    const [pathPart, queryPart = ''] = raw.split('?');
+    const path = '/' + pathPart.replace(/^\/+/, '');
+    const query = {};
+    new URLSearchParams(queryPart).forEach((v, k) => { query[k] = v; });
+    return { path: path === '/' ? '/home' : path, query };
+  }
+
+  // builds '#/path?k=v' leaving out empty params
+  function href(path, query = {}){
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([k, v]) => { if(v != null && v !== '') params.set(k, v); });
+    const qs = params.toString();
+    return '#' + path + (qs ? '?' + qs : '');
+  }
+
+  function resolve(){
+    const { path, query } = parse(location.hash);
+    current = { path, query };
+    for(const r of routes){
+      const m = path.match(r.re);
+      if(!m) continue;
+      const params = {};
+      try {
+        r.keys.forEach((k, i) => { params[k] = decodeURIComponent(m[i + 1]); });
+      } catch (e) {
+        break; // a malformed escape like %E0%A4 matches nothing
+      }
+      r.handler({ path, params, query });
+      return;
+    }
+    notFound({ path, params: {}, query });
+  }
+
+  function go(path, query){
+    const next = href(path, query);
+    if(next === location.hash) resolve();
+    else location.hash = next;
+  }
+
+  // same as go() but overwrites the current history entry; does not re-run handlers
+  function replace(path, query){
+    history.replaceState(history.state, '', href(path, query));
+    current = parse(location.hash);
+  }
+
+  function start(){
+    window.addEventListener('hashchange', resolve);
+    resolve();
+  }
+
+  (window.BHub = window.BHub || {}).router = {
+    add, fallback, start, go, replace, href, parse,
+    current: () => current
+  };
+})();
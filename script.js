@@ -1,45 +1,55 @@
 /* Business Hub — All client-side logic (no backend required)
    Features:
-   - Thoughts (blog) with categories + images (base64)
-   - Work updates
-   - Projects / Portfolio
-   - Contact form (local storage + optional Formspree)
-   - Admin: create/edit/delete; client-side login (local)
-   - Export / Import JSON DB
-   - Theme toggle (light/dark)
+   - Thoughts (blog), work updates and projects with shared categories/tags (see taxonomy.js)
+     and images (stored as Blobs, see storage.js)
+   - Draft / scheduled / published / archived states and editor autosave (see publish.js)
+   - Revision history with diff + restore, and a Trash for deleted items (see revisions.js)
+   - Markdown content with live editor preview (see markdown.js)
+   - Deep links to items and filtered lists (see router.js)
+   - Ranked full-text search across all content (see search.js)
+   - Contact form feeding an admin-only inbox, with validation and spam filtering
+     (see contact.js) and delivery to Formspree or a webhook through an offline outbox (see outbox.js)
+   - Admin: create/edit/delete behind a local session (see auth.js)
+   - Accessible dialogs for the editors, item views and alert / confirm / prompt, with
+     focus trapping, Escape / backdrop close and stacking (see dialogs.js)
+   - Typed commands for every card and admin-list button, keyboard shortcuts, and
+     undo for deletes instead of "are you sure?" prompts (see commands.js)
+   - Export / Import JSON DB (versioned + migrated via storage.js), with a preview, merge
+     strategies and an automatic backup before anything is replaced (see importer.js)
+   - Site settings: branding, hero, contact details, social links, accent colour, favicon (see site.js)
+   - RSS / Atom / JSON Feed downloads of thoughts and work updates (see feeds.js)
+   - Listing cards shared with the static site build (see cards.js, tools/build-site.js)
+   - Sortable listings with pages or infinite scroll, keyed DOM updates and lazy images (see listing.js)
+   - Media library with usage tracking, reused from the editors (see media.js)
+   - Projects as case studies with a gallery, featured flag and manual order (see portfolio.js)
+   - Light / dark / system theme per browser, and admin-made colour palettes previewed live (see theme.js)
+   - Local, cookie-free visit analytics with an admin dashboard (see analytics.js)
 */
 
 (() => {
   // --------------------------
-  // Simple client DB (localStorage)
+  // Client DB (see storage.js: versioned, migrated, validated; IndexedDB-backed)
   // --------------------------
-  const DB_KEY = 'bhub_db_v1';
-  // default structure
-  const DEFAULT_DB = {
-    thoughts: [],
-    work: [],
-    projects: [],
-    messages: [],
-    admin: null // {email, passHash}
-  };
+  const storage = window.BHub.storage;
+  // loadDB/saveDB are synchronous over storage's in-memory copy; storage.init() must have run
 
   function loadDB() {
-    try {
-      const raw = localStorage.getItem(DB_KEY);
-      return raw ? JSON.parse(raw) : JSON.parse(JSON.stringify(DEFAULT_DB));
-    } catch (e) {
-      console.error('DB load error', e);
-      return JSON.parse(JSON.stringify(DEFAULT_DB));
-    }
+    return storage.load();
   }
   function saveDB(db) {
-    localStorage.setItem(DB_KEY, JSON.stringify(db));
+    storage.save(db);
+    syncSearch(db);
+    watchSchedule(db);
     updateStats();
   }
+  // "Clear All Data": everything goes to the Trash (admin, settings and categories stay) until it is emptied; undoable
   function resetDB() {
-    localStorage.removeItem(DB_KEY);
-    showToast('DB cleared');
+    if(!requireAdmin()) return;
+    const db = loadDB();
+    const entries = revisions.trashAll(db, ['thoughts', 'work', 'projects', 'messages', 'spam']);
+    saveDB(db);
     initApp();
+    return undoTrash(entries, `${entries.length} item(s) moved to Trash`);
   }
 
   // --------------------------
@@ -48,41 +58,217 @@
   const qs = s => document.querySelector(s);
   const qsa = s => Array.from(document.querySelectorAll(s));
   const uid = () => Math.random().toString(36).slice(2,9);
-  function showToast(msg, timeout=2500){
-    const t = qs('#toast');
-    t.textContent = msg; t.classList.remove('hidden');
-    setTimeout(()=> t.classList.add('hidden'), timeout);
+  // announced through the toast's live region (see dialogs.js); action: {label, run} adds a button, e.g. Undo
+  function showToast(msg, timeout=2500, action){
+    window.BHub.dialogs.toast(msg, { timeout, action });
   }
   function nowISO(){ return new Date().toISOString(); }
+  // ISO time <-> <input type="datetime-local"> value (local time, to the minute)
+  function toLocalInput(iso){
+    if(!iso) return '';
+    const d = new Date(iso);
+    return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  }
+  function fromLocalInput(value){ return value ? new Date(value).toISOString() : null; }
 
   // --------------------------
-  // Image file -> base64 helper
+  // Images (Blobs in the image store, referenced by imageId)
   // --------------------------
-  function fileToBase64(file){
-    return new Promise((res, rej) => {
-      if(!file) return res(null);
-      const reader = new FileReader();
-      reader.onload = () => res(reader.result);
-      reader.onerror = e => rej(e);
-      reader.readAsDataURL(file);
+  // resolves to the new imageId, null when no file; toasts and rethrows when storage is full
+  async function storeImage(file){
+    if(!file) return null;
+    try {
+      return await storage.putImage(file);
+    } catch (e) {
+      showToast('Could not store image: ' + (e && e.name === 'QuotaExceededError' ? 'storage is full' : e.message), 4000);
+      throw e;
+    }
+  }
+  // URL to show for a record's image (stored Blob or legacy external URL)
+  function imgSrc(rec){
+    return storage.imageUrl(rec.imageId) || rec.image || '';
+  }
+
+  // downscales/recompresses an upload (see images.js) and stores it with its card thumbnail;
+  // resolves to {imageId, thumbId, focal, width, height}; toasts and rethrows when that fails
+  async function storeUpload(file, opts){
+    let out;
+    try {
+      out = await images.process(file, opts);
+    } catch (e) {
+      showToast('Could not use that image: ' + e.message, 4000);
+      throw e;
+    }
+    const imageId = await storeImage(out.blob);
+    const thumbId = out.thumb ? await storeImage(out.thumb) : null;
+    return { imageId, thumbId, focal: out.focal, width: out.width, height: out.height };
+  }
+  // stores an upload and lists it in the media library (see media.js)
+  async function uploadToLibrary(file, alt = ''){
+    const stored = await storeUpload(file);
+    const db = loadDB();
+    db.media.push({ id: uid(), imageId: stored.imageId, thumbId: stored.thumbId, name: file.name || '', alt, width: stored.width, height: stored.height, created: nowISO() });
+    saveDB(db);
+    return stored;
+  }
+
+  // an editor's image preview; with a crop select (projects) also the crop frame and focal point.
+  // The image comes from an upload, the library (Choose from library) or the record itself.
+  function imageField(els){
+    const tools = els.image.closest('.editor').querySelector('.image-tools');
+    const preview = tools.querySelector('img');
+    const dot = tools.querySelector('.focal-dot');
+    const box = tools.querySelector('.crop-box');
+    const clearBtn = qs('#' + els.image.id + 'Clear');
+    let rec = null, focal = null, url = '';
+    let picked = null, removed = false; // a library asset chosen instead of the record's image / the image taken off
+    const pct = v => (v * 100).toFixed(2) + '%';
+    function draw(){
+      const src = els.image.files[0] ? url : picked ? storage.imageUrl(picked.imageId) : rec && !removed ? imgSrc(rec) : '';
+      tools.classList.toggle('hidden', !src);
+      clearBtn.classList.toggle('hidden', !src);
+      if(preview.getAttribute('src') !== src) preview.src = src;
+      if(!els.aspect) return;
+      dot.classList.toggle('hidden', !focal);
+      if(focal){ dot.style.left = pct(focal.x); dot.style.top = pct(focal.y); }
+      const w = preview.naturalWidth, h = preview.naturalHeight;
+      const crop = els.aspect.value && w ? images.cropRect(w, h, els.aspect.value, focal) : null;
+      box.classList.toggle('hidden', !crop);
+      if(crop) Object.assign(box.style, { left: pct(crop.sx / w), top: pct(crop.sy / h), width: pct(crop.sw / w), height: pct(crop.sh / h) });
+    }
+    function reset(){ if(url) URL.revokeObjectURL(url); url = ''; }
+    els.image.addEventListener('change', () => {
+      reset();
+      if(els.image.files[0]){ url = URL.createObjectURL(els.image.files[0]); picked = null; removed = false; }
+      focal = null;
+      draw();
+    });
+    qs('#' + els.image.id + 'Pick').addEventListener('click', async () => {
+      const [asset] = await pickMedia();
+      if(!asset) return;
+      reset(); els.image.value = '';
+      picked = asset; removed = false; focal = null;
+      if(!els.alt.value.trim()) els.alt.value = asset.alt;
+      draw();
     });
+    clearBtn.addEventListener('click', () => {
+      reset(); els.image.value = '';
+      picked = null; removed = true; focal = null;
+      draw();
+    });
+    preview.addEventListener('load', draw);
+    if(els.aspect){
+      els.aspect.addEventListener('change', draw);
+      preview.addEventListener('click', e => {
+        const r = preview.getBoundingClientRect();
+        const clamp = v => Math.round(Math.max(0, Math.min(1, v)) * 1000) / 1000;
+        focal = { x: clamp((e.clientX - r.left) / r.width), y: clamp((e.clientY - r.top) / r.height) };
+        draw();
+      });
+    }
+    return {
+      // call when the editor opens, with the record being edited (null for a new one)
+      load(r){
+        rec = r; focal = (r && r.focal) || null; picked = null; removed = false;
+        els.image.value = ''; els.alt.value = (r && r.imageAlt) || '';
+        if(els.aspect) els.aspect.value = '';
+        reset(); draw();
+      },
+      hasImage: () => !!(els.image.files[0] || picked || (rec && !removed && (rec.imageId || rec.image))),
+      // stores a new upload (into the library too), or re-crops the chosen image; resolves to the
+      // image fields for the record, with imageId only when the image changed
+      async save(){
+        const aspect = els.aspect ? els.aspect.value : '';
+        const file = els.image.files[0];
+        if(file){
+          const stored = await uploadToLibrary(file, els.alt.value.trim());
+          // the library keeps the whole image; the record gets the crop
+          const out = aspect ? await storeUpload(file, { aspect, focal }) : { ...stored, focal };
+          reset();
+          return { imageId: out.imageId, thumbId: out.thumbId, focal: out.focal };
+        }
+        if(removed && !picked) return { imageId: null, thumbId: null, focal: null };
+        const current = picked || (rec && rec.imageId ? rec : null);
+        if(aspect && current){
+          const source = ((await storage.imageBlobs([current.imageId]))[0] || {}).blob;
+          if(source){
+            const out = await storeUpload(source, { aspect, focal });
+            return { imageId: out.imageId, thumbId: out.thumbId, focal: out.focal };
+          }
+        }
+        return picked ? { imageId: picked.imageId, thumbId: picked.thumbId, focal } : { focal };
+      }
+    };
+  }
+
+  // the project editor's gallery, [{imageId, thumbId, alt}] in display order
+  function galleryField(strip){
+    let items = [];
+    function draw(){
+      strip.innerHTML = items.map((g, i) => `<div class="gallery-item">
+        <img src="${escapeHtml(storage.imageUrl(g.thumbId) || storage.imageUrl(g.imageId))}" alt="" />
+        <input data-idx="${i}" value="${escapeHtml(g.alt)}" placeholder="Alt text (required)" aria-label="Alt text for gallery image ${i + 1}" />
+        <div class="row">
+          <button class="btn small ghost" data-idx="${i}" data-move="-1" aria-label="Move earlier"${i ? '' : ' disabled'}>←</button>
+          <button class="btn small ghost" data-idx="${i}" data-move="1" aria-label="Move later"${i < items.length - 1 ? '' : ' disabled'}>→</button>
+          <button class="btn small ghost" data-idx="${i}" data-remove>Remove</button>
+        </div>
+      </div>`).join('') || '<small class="muted">No gallery images yet.</small>';
+    }
+    strip.addEventListener('input', e => { if(e.target.dataset.idx) items[e.target.dataset.idx].alt = e.target.value; });
+    strip.addEventListener('click', e => {
+      const b = e.target.closest('button[data-idx]');
+      if(!b) return;
+      const i = Number(b.dataset.idx);
+      if('remove' in b.dataset) items.splice(i, 1);
+      else { const j = i + Number(b.dataset.move); [items[i], items[j]] = [items[j], items[i]]; }
+      draw();
+    });
+    return {
+      load(list){ items = (list || []).map(g => ({ ...g })); draw(); },
+      add(assets){ items.push(...assets.map(a => ({ imageId: a.imageId, thumbId: a.thumbId || null, alt: a.alt || '' }))); draw(); },
+      items: () => items.map(g => ({ ...g, alt: g.alt.trim() }))
+    };
   }
 
   // --------------------------
-  // Crypto: hash password (SHA-256)
+  // Auth guard (see auth.js)
   // --------------------------
-  async function hashText(text){
-    const enc = new TextEncoder();
-    const data = enc.encode(text);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map(b => b.toString(16).padStart(2,'0')).join('');
+  const auth = window.BHub.auth;
+  const md = window.BHub.markdown;
+  const router = window.BHub.router;
+  const searchIndex = window.BHub.search.createIndex();
+  const taxonomy = window.BHub.taxonomy;
+  const publish = window.BHub.publish;
+  const revisions = window.BHub.revisions;
+  const csv = window.BHub.csv;
+  const contact = window.BHub.contact;
+  const outboxApi = window.BHub.outbox;
+  const site = window.BHub.site;
+  const theme = window.BHub.theme;
+  const cards = window.BHub.cards;
+  const feeds = window.BHub.feeds;
+  const importer = window.BHub.importer;
+  const zip = window.BHub.zip;
+  const bundle = window.BHub.bundle;
+  const images = window.BHub.images;
+  const portfolio = window.BHub.portfolio;
+  const listing = window.BHub.listing;
+  const media = window.BHub.media;
+  const commands = window.BHub.commands;
+  const dialogs = window.BHub.dialogs;
+  const analytics = window.BHub.analytics;
+  // true when an admin session is live (and extends it); otherwise tells the visitor and returns false
+  function requireAdmin(){
+    if(auth.isAuthed()){ auth.touch(); return true; }
+    showToast('Admin login required');
+    applyAuthState();
+    return false;
   }
 
   // --------------------------
   // DOM elements
   // --------------------------
-  const dbEl = loadDB();
   const themeToggle = qs('#themeToggle');
   const yearEl = qs('#year');
 
@@ -92,8 +278,12 @@
   const thoughtFormEls = {
     title: qs('#thoughtTitle'),
     category: qs('#thoughtCategory'),
+    tags: qs('#thoughtTags'),
     content: qs('#thoughtContent'),
-    image: qs('#thoughtImage')
+    status: qs('#thoughtStatus'),
+    publishAt: qs('#thoughtPublishAt'),
+    image: qs('#thoughtImage'),
+    alt: qs('#thoughtImageAlt')
   };
   let editingThoughtId = null;
 
@@ -101,9 +291,13 @@
   const workEditor = qs('#workEditor');
   const workFormEls = {
     title: qs('#workTitle'),
+    category: qs('#workCategory'),
     tags: qs('#workTags'),
     content: qs('#workContent'),
-    image: qs('#workImage')
+    status: qs('#workStatus'),
+    publishAt: qs('#workPublishAt'),
+    image: qs('#workImage'),
+    alt: qs('#workImageAlt')
   };
   let editingWorkId = null;
 
@@ -112,13 +306,33 @@
   const projectFormEls = {
     title: qs('#projectTitle'),
     link: qs('#projectLink'),
+    category: qs('#projectCategory'),
+    tags: qs('#projectTags'),
     desc: qs('#projectDesc'),
-    image: qs('#projectImage')
+    status: qs('#projectStatus'),
+    publishAt: qs('#projectPublishAt'),
+    image: qs('#projectImage'),
+    alt: qs('#projectImageAlt'),
+    aspect: qs('#projectImageAspect'),
+    client: qs('#projectClient'),
+    role: qs('#projectRole'),
+    start: qs('#projectStart'),
+    end: qs('#projectEnd'),
+    services: qs('#projectServices'),
+    metrics: qs('#projectMetrics'),
+    quote: qs('#projectQuote'),
+    quoteBy: qs('#projectQuoteBy'),
+    featured: qs('#projectFeatured')
   };
   let editingProjectId = null;
+  const projectDetail = qs('#projectDetail');
+
+  const thoughtImage = imageField(thoughtFormEls);
+  const workImage = imageField(workFormEls);
+  const projectImage = imageField(projectFormEls);
+  const projectGallery = galleryField(qs('#projectGallery'));
 
   const contactForm = qs('#contactForm');
-  const savedMessagesEl = qs('#savedMessages');
 
   const adminLoginBox = qs('#loginBox');
   const adminPanel = qs('#adminPanel');
@@ -145,115 +359,163 @@
   const manageThoughtsBtn = qs('#manageThoughts');
   const manageWorkBtn = qs('#manageWork');
   const manageProjectsBtn = qs('#manageProjects');
-  const clearDataBtn = qs('#clearData');
   const downloadDbBtn = qs('#downloadDbBtn');
 
   const categoryFilter = qs('#categoryFilter');
   const searchThoughts = qs('#searchThoughts');
+  // selected tag chips per listing; a record has to carry every selected tag
+  const tagFilters = { thoughts: new Set(), work: new Set(), projects: new Set() };
+  const tagFilterEls = { thoughts: qs('#thoughtTagFilter'), work: qs('#workTagFilter'), projects: qs('#projectTagFilter') };
+
+  // --------------------------
+  // Listings (see listing.js)
+  // --------------------------
+  // sort order and page size per listing, remembered in this browser
+  const LISTING_KEY = 'bhub_listing';
+  const LISTING_SORTS = { thoughts: listing.SORTS, work: listing.SORTS, projects: { featured: 'Featured first', ...listing.SORTS } };
+  const listingPrefs = (() => {
+    let saved = {};
+    try { saved = JSON.parse(localStorage.getItem(LISTING_KEY)) || {}; } catch (e) { /* start from the defaults */ }
+    return Object.fromEntries(Object.keys(LISTING_SORTS).map(coll => {
+      const p = saved[coll] || {};
+      return [coll, { sort: LISTING_SORTS[coll][p.sort] ? p.sort : Object.keys(LISTING_SORTS[coll])[0], view: listing.VIEWS[p.view] ? p.view : listing.DEFAULT_VIEW }];
+    }));
+  })();
+  const listings = {
+    thoughts: listing.create(thoughtGrid, { key: r => r.id, noun: 'thoughts' }),
+    work: listing.create(workList, { key: r => r.id, noun: 'updates' }),
+    projects: listing.create(projectGrid, { key: r => r.id, noun: 'projects' })
+  };
+  const listingControls = {
+    thoughts: { sort: qs('#thoughtSort'), view: qs('#thoughtView') },
+    work: { sort: qs('#workSort'), view: qs('#workView') },
+    projects: { sort: qs('#projectSort'), view: qs('#projectView') }
+  };
+  function sortListing(coll, list){
+    return coll === 'projects' && listingPrefs.projects.sort === 'featured' ? portfolio.sort(list) : listing.sort(list, listingPrefs[coll].sort);
+  }
+  function saveListingPrefs(){
+    try { localStorage.setItem(LISTING_KEY, JSON.stringify(listingPrefs)); } catch (e) { /* not remembered */ }
+  }
 
   // --------------------------
   // Renderers
   // --------------------------
   function updateStats(){
     const db = loadDB();
-    qs('#statThoughts').textContent = db.thoughts.length;
-    qs('#statProjects').textContent = db.projects.length;
+    qs('#statThoughts').textContent = db.thoughts.filter(t => publish.isPublic(t)).length;
+    qs('#statProjects').textContent = db.projects.filter(p => publish.isPublic(p)).length;
     qs('#statContacts').textContent = db.messages.length;
   }
 
   function renderCategoryOptions(){
     const db = loadDB();
-    const cats = Array.from(new Set(db.thoughts.map(t => t.category || 'Uncategorized')));
+    // only what this visitor can list, so unpublished category names stay private
+    const cats = Array.from(new Set(db.thoughts.filter(listed).map(t => t.category || 'Uncategorized')));
+    const cur = categoryFilter.value;
     categoryFilter.innerHTML = '<option value="all">All categories</option>' +
-      cats.map(c => `<option value="${c}">${c}</option>`).join('');
+      cats.map(c => `<option value="${escapeHtml(c)}">${escapeHtml(c)}</option>`).join('');
+    if(cats.includes(cur)) categoryFilter.value = cur;
+    // editor autocomplete draws from the managed list; it is in the page, so only for the admin
+    qs('#categoryOptions').innerHTML = !auth.isAuthed() ? '' : taxonomy.taxonomyOf(db).categories.map(c => `<option value="${escapeHtml(c)}"></option>`).join('');
+  }
+
+  // tag chips above a listing: every tag on the items it can show, selected ones highlighted
+  function renderTagFilter(coll, rerender){
+    const used = new Set(tagFilters[coll]);
+    loadDB()[coll].filter(listed).forEach(r => (r.tags || []).forEach(t => used.add(t)));
+    const el = tagFilterEls[coll];
+    el.innerHTML = Array.from(used).sort((a, b) => a.localeCompare(b)).map(t =>
+      `<button type="button" class="chip${tagFilters[coll].has(t) ? ' active' : ''}" data-tag="${escapeHtml(t)}">#${escapeHtml(t)}</button>`).join('');
+    el.querySelectorAll('[data-tag]').forEach(b => b.onclick = () => {
+      const set = tagFilters[coll];
+      set.has(b.dataset.tag) ? set.delete(b.dataset.tag) : set.add(b.dataset.tag);
+      if(coll === 'thoughts') router.replace('/thoughts', thoughtQuery());
+      rerender();
+    });
+  }
+  const tagLine = cards.tagLine;
+  // visitors get live items only; admins also get drafts and scheduled ones (archived stay in the Drafts view)
+  function listed(rec){
+    return auth.isAuthed() ? publish.statusOf(rec) !== 'archived' : publish.isPublic(rec);
+  }
+  function viewable(rec){ return auth.isAuthed() || publish.isPublic(rec); }
+  function statusBadge(rec){
+    const s = publish.statusOf(rec);
+    if(s === 'published') return '';
+    return `<span class="badge status-${s}">${publish.LABELS[s]}${s === 'scheduled' ? ' · ' + new Date(rec.publishAt).toLocaleString() : ''}</span>`;
+  }
+  // how the listing cards (see cards.js) render in the app: stored images (loaded once visible), status badges, admin buttons
+  function cardCtx(){
+    return { imgSrc: rec => storage.imageUrl(rec.thumbId) || imgSrc(rec), badge: statusBadge, admin: auth.isAuthed(), lazy: true };
+  }
+  function renderContent(){
+    renderCategoryOptions(); renderThoughts(); renderWork(); renderProjects();
   }
 
   function renderThoughts(){
     const db = loadDB();
-    const q = searchThoughts.value.trim().toLowerCase();
+    const q = searchThoughts.value.trim();
     const cat = categoryFilter.value;
-    let items = db.thoughts.slice().reverse();
-    if(cat && cat !== 'all') items = items.filter(it => (it.category||'').toLowerCase()===cat.toLowerCase());
-    if(q) items = items.filter(it => (it.title + ' ' + it.content).toLowerCase().includes(q));
-    thoughtGrid.innerHTML = items.map(t => `
-      <div class="card">
-        ${t.image ? `<div style="background-image:url('${t.image}');height:140px;background-size:cover;border-radius:8px;margin-bottom:10px"></div>` : ''}
-        <h3>${escapeHtml(t.title)}</h3>
-        <small class="muted">${escapeHtml(t.category || 'Uncategorized')} • ${new Date(t.updated||t.created).toLocaleString()}</small>
-        <p>${escapeHtml(truncate(t.content, 220))}</p>
-        <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:8px">
-          <button class="btn small" data-id="${t.id}" data-action="view">View</button>
-          <button class="btn small ghost" data-id="${t.id}" data-action="edit">Edit</button>
-          <button class="btn small ghost" data-id="${t.id}" data-action="delete">Delete</button>
-        </div>
-      </div>
-    `).join('') || '<div class="card">No thoughts yet — create one!</div>';
-
-    // attach actions
-    qsa('[data-action]').forEach(btn => {
-      btn.onclick = (e) => {
-        const id = btn.dataset.id;
-        const action = btn.dataset.action;
-        if(action === 'view') viewThought(id);
-        if(action === 'edit') openThoughtEditorFor(id);
-        if(action === 'delete') { if(confirm('Delete this thought?')) deleteThought(id); }
-      };
+    renderTagFilter('thoughts', renderThoughts);
+    const tags = Array.from(tagFilters.thoughts);
+    let items = sortListing('thoughts', db.thoughts.filter(it => listed(it) && taxonomy.matches(it, { category: cat, tags })));
+    // with a query, order by search rank and show the matching snippet instead of the excerpt
+    const snippets = new Map();
+    if(q){
+      const hits = searchIndex.search(q, { types: ['thoughts'] });
+      hits.forEach(h => snippets.set(h.id, h.snippet));
+      const rank = new Map(hits.map((h, i) => [h.id, i]));
+      items = items.filter(it => rank.has(it.id)).sort((a, b) => rank.get(a.id) - rank.get(b.id));
+    }
+    listingControls.thoughts.sort.disabled = !!q;
+    listingControls.thoughts.sort.title = q ? 'Sorted by best match while searching' : '';
+    const ctx = cardCtx();
+    listings.thoughts.update(items, {
+      render: t => cards.thoughtCard(t, { ...ctx, snippet: snippets.get(t.id) }),
+      empty: `<div class="card">${db.thoughts.some(listed) ? 'No thoughts match these filters.' : 'No thoughts yet — create one!'}</div>`,
+      filter: JSON.stringify([cat, tags, q, listingPrefs.thoughts.sort])
     });
   }
 
   function renderWork(){
     const db = loadDB();
-    workList.innerHTML = db.work.slice().reverse().map(w => `
-      <div class="card">
-        <div style="display:flex;gap:12px">
-          ${w.image ? `<img src="${w.image}" style="width:140px;height:100px;object-fit:cover;border-radius:6px" />` : ''}
-          <div>
-            <h3>${escapeHtml(w.title)}</h3>
-            <small class="muted">${(w.tags||[]).join(', ')} • ${new Date(w.updated||w.created).toLocaleDateString()}</small>
-            <p>${escapeHtml(truncate(w.content,220))}</p>
-            <div style="display:flex;gap:8px;justify-content:flex-end">
-              <button class="btn small" data-id="${w.id}" data-action="editw">Edit</button>
-              <button class="btn small ghost" data-id="${w.id}" data-action="delw">Delete</button>
-            </div>
-          </div>
-        </div>
-      </div>
-    `).join('') || '<div class="card">No work updates yet.</div>';
-
-    qsa('[data-action="editw"]').forEach(btn => btn.onclick = ()=> openWorkEditorFor(btn.dataset.id));
-    qsa('[data-action="delw"]').forEach(btn => btn.onclick = ()=> { if(confirm('Delete update?')) deleteWork(btn.dataset.id); });
+    renderTagFilter('work', renderWork);
+    const tags = Array.from(tagFilters.work);
+    const ctx = cardCtx();
+    listings.work.update(sortListing('work', db.work.filter(w => listed(w) && taxonomy.matches(w, { tags }))), {
+      render: w => cards.workCard(w, ctx),
+      empty: `<div class="card">${db.work.some(listed) ? 'No updates match these tags.' : 'No work updates yet.'}</div>`,
+      filter: JSON.stringify([tags, listingPrefs.work.sort])
+    });
   }
 
   function renderProjects(){
     const db = loadDB();
-    projectGrid.innerHTML = db.projects.slice().reverse().map(p => `
-      <div class="card project-card">
-        <div class="project-thumb" style="background-image:url('${p.image || ''}')"></div>
-        <h3>${escapeHtml(p.title)}</h3>
-        <p>${escapeHtml(truncate(p.desc,150))}</p>
-        <div style="display:flex;gap:8px;justify-content:space-between;align-items:center">
-          <div><a href="${p.link||'#'}" target="_blank" class="btn small outline">Open</a></div>
-          <div>
-            <button class="btn small ghost" data-id="${p.id}" data-action="editp">Edit</button>
-            <button class="btn small ghost" data-id="${p.id}" data-action="delp">Delete</button>
-          </div>
-        </div>
-      </div>
-    `).join('') || '<div class="card">No projects yet.</div>';
-
-    qsa('[data-action="editp"]').forEach(btn => btn.onclick = ()=> openProjectEditorFor(btn.dataset.id));
-    qsa('[data-action="delp"]').forEach(btn => btn.onclick = ()=> { if(confirm('Delete project?')) deleteProject(btn.dataset.id); });
+    renderTagFilter('projects', renderProjects);
+    const tags = Array.from(tagFilters.projects);
+    const ctx = cardCtx();
+    listings.projects.update(sortListing('projects', db.projects.filter(p => listed(p) && taxonomy.matches(p, { tags }))), {
+      render: p => cards.projectCard(p, ctx),
+      empty: `<div class="card">${db.projects.some(listed) ? 'No projects match these tags.' : 'No projects yet.'}</div>`,
+      filter: JSON.stringify([tags, listingPrefs.projects.sort])
+    });
   }
 
+  // messages are admin-only: this keeps the unread badge current and refreshes an open inbox
   function renderMessages(){
-    const db = loadDB();
-    savedMessagesEl.innerHTML = db.messages.slice().reverse().map(m => `<li><strong>${escapeHtml(m.name)}</strong>: ${escapeHtml(truncate(m.message,80))}</li>`).join('') || '<li class="muted">No messages</li>';
+    const unread = loadDB().messages.filter(m => messageStatus(m) === 'unread').length;
+    const badge = qs('#inboxCount');
+    badge.textContent = unread;
+    badge.classList.toggle('hidden', !unread);
+    if(auth.isAuthed() && qs('#adminArea').dataset.area === 'inbox') renderInboxList();
   }
 
   // --------------------------
   // CRUD: Thoughts
   // --------------------------
   async function openThoughtEditorFor(id = null){
+    if(!requireAdmin()) return;
     editingThoughtId = id;
     if(id){
       const db = loadDB();
@@ -261,747 +523,1866 @@
       if(!it) return showToast('Not found');
       thoughtFormEls.title.value = it.title;
       thoughtFormEls.category.value = it.category || '';
+      thoughtFormEls.tags.value = (it.tags||[]).join(', ');
       thoughtFormEls.content.value = it.content;
-      thoughtFormEls.image.value = '';
+      thoughtImage.load(it);
+      fillPublishFields(thoughtFormEls, it);
       qs('#thoughtEditorTitle').textContent = 'Edit Thought';
     } else {
       thoughtFormEls.title.value = '';
       thoughtFormEls.category.value = '';
+      thoughtFormEls.tags.value = '';
       thoughtFormEls.content.value = '';
-      thoughtFormEls.image.value = '';
+      thoughtImage.load(null);
+      fillPublishFields(thoughtFormEls, null);
       qs('#thoughtEditorTitle').textContent = 'New Thought';
     }
-    thoughtEditor.classList.remove('hidden');
+    await thoughtAutosave.restore();
+    qs('#thoughtHistoryBtn').classList.toggle('hidden', !id);
+    renderPreview(thoughtFormEls.content, qs('#thoughtPreview'));
+    dialogs.open(thoughtEditor, { onDismiss: cancelThought });
   }
   async function saveThought(){
+    if(!requireAdmin()) return;
     const title = thoughtFormEls.title.value.trim();
-    if(!title) return alert('Title required');
-    const category = thoughtFormEls.category.value.trim() || 'Uncategorized';
+    if(!title) return dialogs.alert('Title required');
     const content = thoughtFormEls.content.value.trim();
-    const file = thoughtFormEls.image.files[0];
-    const img = await fileToBase64(file);
+    const pub = readPublishFields(thoughtFormEls); if(!pub) return;
+    const imageAlt = thoughtFormEls.alt.value.trim();
+    if(thoughtImage.hasImage() && !imageAlt) return dialogs.alert('Describe the image in the alt text field');
+    let img;
+    try { img = await thoughtImage.save(); } catch (e) { return; }
 
     const db = loadDB();
+    const { category, tags } = taxonomy.ensure(db, {
+      category: thoughtFormEls.category.value.trim() || 'Uncategorized',
+      tags: taxonomy.parseTags(thoughtFormEls.tags.value)
+    });
     if(editingThoughtId){
       const t = db.thoughts.find(x => x.id === editingThoughtId);
       if(!t) return showToast('Not found');
-      t.title = title; t.category = category; t.content = content; if(img) t.image = img; t.updated = nowISO();
+      const before = JSON.parse(JSON.stringify(t));
+      t.title = title; t.category = category || 'Uncategorized'; t.tags = tags; t.content = content; Object.assign(t, pub, img, { imageAlt }); if('imageId' in img) delete t.image; t.updated = nowISO();
+      revisions.commit(db, 'thoughts', t, { before });
       showToast('Thought updated');
     } else {
-      db.thoughts.push({ id: uid(), title, category, content, image: img||null, created: nowISO() });
+      const t = { id: uid(), title, category: category || 'Uncategorized', tags, content, ...pub, imageId: null, thumbId: null, ...img, imageAlt, created: nowISO() };
+      db.thoughts.push(t); revisions.commit(db, 'thoughts', t);
       showToast('Thought saved');
     }
-    saveDB(db);
-    thoughtEditor.classList.add('hidden');
+    thoughtAutosave.clear();
+    saveDB(db); storage.pruneImages(db);
+    dialogs.close(thoughtEditor);
     renderCategoryOptions(); renderThoughts();
   }
-  function cancelThought(){ thoughtEditor.classList.add('hidden'); }
+  function cancelThought(){ thoughtAutosave.flush(); dialogs.close(thoughtEditor); }
   function deleteThought(id){
+    if(!requireAdmin()) return;
     const db = loadDB();
-    db.thoughts = db.thoughts.filter(t => t.id !== id);
-    saveDB(db); renderCategoryOptions(); renderThoughts();
-    showToast('Thought deleted');
+    const entry = revisions.trash(db, 'thoughts', id);
+    if(!entry) return;
+    saveDB(db); renderCategoryOptions(); renderThoughts(); refreshAdminList();
+    return undoTrash([entry], 'Thought moved to Trash');
   }
-  function viewThought(id){
+  function viewThought(id, onClose){
     const db = loadDB(); const t = db.thoughts.find(x=>x.id===id);
-    if(!t) return showToast('Not found');
-    // show a quick modal
-    const tmp = document.createElement('div');
-    tmp.className = 'modal';
-    tmp.style.position='fixed'; tmp.style.inset='10px'; tmp.style.background='rgba(0,0,0,0.6)'; tmp.style.display='flex'; tmp.style.alignItems='center'; tmp.style.justifyContent='center';
-    tmp.innerHTML = `<div style="max-width:800px;background:var(--card);padding:20px;border-radius:10px;overflow:auto">
-      ${t.image?`<img src="${t.image}" style="max-width:100%;border-radius:8px;margin-bottom:8px" />`:''}
-      <h2>${escapeHtml(t.title)}</h2>
-      <small class="muted">${escapeHtml(t.category)} • ${new Date(t.created).toLocaleString()}</small>
-      <div style="margin-top:12px">${nl2br(escapeHtml(t.content))}</div>
-      <div style="text-align:right;margin-top:12px"><button id="closeModal" class="btn">Close</button></div>
-    </div>`;
-    document.body.appendChild(tmp);
-    qs('#closeModal').onclick = ()=> tmp.remove();
+    if(!t || !viewable(t)) return showToast('Not found');
+    track('open', { coll: 'thoughts', id });
+    showViewer(onClose, `
+      ${imgSrc(t)?`<img src="${escapeHtml(imgSrc(t))}" alt="${escapeHtml(t.imageAlt || '')}" style="max-width:100%;border-radius:8px;margin-bottom:8px" />`:''}
+      <h2>${escapeHtml(t.title)} ${statusBadge(t)}</h2>
+      <small class="muted">${escapeHtml(t.category)} • ${new Date(t.created).toLocaleString()} ${tagLine(t)}</small>
+      <div class="md-body" style="margin-top:12px">${md.render(t.content)}</div>`);
+  }
+  // show a quick dialog with already-safe HTML; only one viewer is open at a time (over an editor is fine)
+  let viewerEl = null;
+  function showViewer(onClose, html){
+    closeViewer();
+    viewerEl = dialogs.show(html, {
+      className: 'viewer',
+      onDismiss: () => { closeViewer(); if(onClose) onClose(); }
+    });
+  }
+  function closeViewer(){
+    if(viewerEl) dialogs.close(viewerEl);
+    viewerEl = null;
   }
 
   // --------------------------
   // CRUD: Work
   // --------------------------
   async function openWorkEditorFor(id = null){
+    if(!requireAdmin()) return;
     editingWorkId = id;
     if(id){
       const db = loadDB(); const w = db.work.find(x=>x.id===id);
-      workFormEls.title.value = w.title; workFormEls.tags.value = (w.tags||[]).join(',');
-      workFormEls.content.value = w.content; workFormEls.image.value = '';
+      if(!w) return showToast('Not found');
+      workFormEls.title.value = w.title; workFormEls.category.value = w.category || ''; workFormEls.tags.value = (w.tags||[]).join(', ');
+      workFormEls.content.value = w.content; workImage.load(w);
+      fillPublishFields(workFormEls, w);
       qs('#workEditorTitle').textContent = 'Edit Work';
     } else {
-      workFormEls.title.value = ''; workFormEls.tags.value = ''; workFormEls.content.value = ''; workFormEls.image.value = '';
+      workFormEls.title.value = ''; workFormEls.category.value = ''; workFormEls.tags.value = ''; workFormEls.content.value = ''; workImage.load(null);
+      fillPublishFields(workFormEls, null);
       qs('#workEditorTitle').textContent = 'New Work';
     }
-    workEditor.classList.remove('hidden');
+    await workAutosave.restore();
+    qs('#workHistoryBtn').classList.toggle('hidden', !id);
+    renderPreview(workFormEls.content, qs('#workPreview'));
+    dialogs.open(workEditor, { onDismiss: cancelWork });
   }
   async function saveWork(){
-    const title = workFormEls.title.value.trim(); if(!title) return alert('Title required');
-    const tags = workFormEls.tags.value.split(',').map(s=>s.trim()).filter(Boolean);
+    if(!requireAdmin()) return;
+    const title = workFormEls.title.value.trim(); if(!title) return dialogs.alert('Title required');
     const content = workFormEls.content.value.trim();
-    const file = workFormEls.image.files[0];
-    const img = await fileToBase64(file);
+    const pub = readPublishFields(workFormEls); if(!pub) return;
+    const imageAlt = workFormEls.alt.value.trim();
+    if(workImage.hasImage() && !imageAlt) return dialogs.alert('Describe the image in the alt text field');
+    let img;
+    try { img = await workImage.save(); } catch (e) { return; }
 
     const db = loadDB();
+    const { category, tags } = taxonomy.ensure(db, { category: workFormEls.category.value, tags: taxonomy.parseTags(workFormEls.tags.value) });
     if(editingWorkId){
       const w = db.work.find(x=>x.id===editingWorkId);
-      w.title = title; w.tags = tags; w.content = content; if(img) w.image = img; w.updated = nowISO();
+      if(!w) return showToast('Not found');
+      const before = JSON.parse(JSON.stringify(w));
+      w.title = title; w.category = category; w.tags = tags; w.content = content; Object.assign(w, pub, img, { imageAlt }); if('imageId' in img) delete w.image; w.updated = nowISO();
+      revisions.commit(db, 'work', w, { before });
       showToast('Work updated');
     } else {
-      db.work.push({ id: uid(), title, tags, content, image: img||null, created: nowISO() });
+      const w = { id: uid(), title, category, tags, content, ...pub, imageId: null, thumbId: null, ...img, imageAlt, created: nowISO() };
+      db.work.push(w); revisions.commit(db, 'work', w);
       showToast('Work saved');
     }
-    saveDB(db); workEditor.classList.add('hidden'); renderWork();
+    workAutosave.clear();
+    saveDB(db); storage.pruneImages(db); dialogs.close(workEditor); renderCategoryOptions(); renderWork();
+  }
+  function viewWork(id, onClose){
+    const db = loadDB(); const w = db.work.find(x=>x.id===id);
+    if(!w || !viewable(w)) return showToast('Not found');
+    track('open', { coll: 'work', id });
+    showViewer(onClose, `
+      ${imgSrc(w)?`<img src="${escapeHtml(imgSrc(w))}" alt="${escapeHtml(w.imageAlt || '')}" style="max-width:100%;border-radius:8px;margin-bottom:8px" />`:''}
+      <h2>${escapeHtml(w.title)} ${statusBadge(w)}</h2>
+      <small class="muted">${w.category ? escapeHtml(w.category) + ' • ' : ''}${new Date(w.updated||w.created).toLocaleDateString()} ${tagLine(w)}</small>
+      <div class="md-body" style="margin-top:12px">${md.render(w.content)}</div>`);
+  }
+  function cancelWork(){ workAutosave.flush(); dialogs.close(workEditor); }
+  function deleteWork(id){
+    if(!requireAdmin()) return;
+    const db = loadDB();
+    const entry = revisions.trash(db, 'work', id);
+    if(!entry) return;
+    saveDB(db); renderWork(); refreshAdminList();
+    return undoTrash([entry], 'Work moved to Trash');
   }
-  function cancelWork(){ workEditor.classList.add('hidden'); }
-  function deleteWork(id){ const db = loadDB(); db.work = db.work.filter(w=>w.id!==id); saveDB(db); renderWork(); showToast('Work deleted'); }
 
   // --------------------------
   // CRUD: Projects
   // --------------------------
   async function openProjectEditorFor(id=null){
+    if(!requireAdmin()) return;
     editingProjectId = id;
     if(id){
       const db = loadDB(); const p = db.projects.find(x=>x.id===id);
+      if(!p) return showToast('Not found');
       projectFormEls.title.value = p.title; projectFormEls.link.value = p.link || ''; projectFormEls.desc.value = p.desc || '';
-      projectFormEls.image.value = ''; qs('#projectEditorTitle').textContent = 'Edit Project';
+      projectFormEls.category.value = p.category || ''; projectFormEls.tags.value = (p.tags||[]).join(', ');
+      projectImage.load(p); fillPublishFields(projectFormEls, p); fillCaseStudy(p);
+      qs('#projectEditorTitle').textContent = 'Edit Project';
     } else {
-      projectFormEls.title.value=''; projectFormEls.link.value=''; projectFormEls.desc.value=''; projectFormEls.image.value='';
+      projectFormEls.title.value=''; projectFormEls.link.value=''; projectFormEls.desc.value=''; projectImage.load(null);
+      projectFormEls.category.value=''; projectFormEls.tags.value='';
+      fillPublishFields(projectFormEls, null); fillCaseStudy(null);
       qs('#projectEditorTitle').textContent = 'New Project';
     }
-    projectEditor.classList.remove('hidden');
+    await projectAutosave.restore();
+    qs('#projectHistoryBtn').classList.toggle('hidden', !id);
+    renderPreview(projectFormEls.desc, qs('#projectPreview'));
+    dialogs.open(projectEditor, { onDismiss: cancelProject });
   }
   async function saveProject(){
-    const title = projectFormEls.title.value.trim(); if(!title) return alert('Title required');
+    if(!requireAdmin()) return;
+    const title = projectFormEls.title.value.trim(); if(!title) return dialogs.alert('Title required');
     const link = projectFormEls.link.value.trim();
+    if(link && !portfolio.LINK.test(link)) return dialogs.alert('The link should be a full web address starting with http:// or https://');
     const desc = projectFormEls.desc.value.trim();
-    const file = projectFormEls.image.files[0];
-    const img = await fileToBase64(file);
+    const pub = readPublishFields(projectFormEls); if(!pub) return;
+    const imageAlt = projectFormEls.alt.value.trim();
+    if(projectImage.hasImage() && !imageAlt) return dialogs.alert('Describe the image in the alt text field');
+    const caseStudy = readCaseStudy(); if(!caseStudy) return;
+    let img;
+    try { img = await projectImage.save(); } catch (e) { return; }
 
     const db = loadDB();
+    const { category, tags } = taxonomy.ensure(db, { category: projectFormEls.category.value, tags: taxonomy.parseTags(projectFormEls.tags.value) });
     if(editingProjectId){
       const p = db.projects.find(x=>x.id===editingProjectId);
-      p.title = title; p.link = link; p.desc = desc; if(img) p.image = img; p.updated = nowISO();
+      if(!p) return showToast('Not found');
+      const before = JSON.parse(JSON.stringify(p));
+      p.title = title; p.link = link; p.category = category; p.tags = tags; p.desc = desc; Object.assign(p, pub, caseStudy, img, { imageAlt }); if('imageId' in img) delete p.image; p.updated = nowISO();
+      revisions.commit(db, 'projects', p, { before });
       showToast('Project updated');
     } else {
-      db.projects.push({ id: uid(), title, link, desc, image: img||null, created: nowISO() });
+      const p = { id: uid(), title, link, category, tags, desc, ...pub, ...caseStudy, order: portfolio.firstOrder(db.projects), imageId: null, thumbId: null, ...img, imageAlt, created: nowISO() };
+      db.projects.push(p); revisions.commit(db, 'projects', p);
       showToast('Project saved');
     }
-    saveDB(db); projectEditor.classList.add('hidden'); renderProjects();
+    projectAutosave.clear();
+    saveDB(db); storage.pruneImages(db); dialogs.close(projectEditor); renderCategoryOptions(); renderProjects();
+  }
+  // case-study fields (see portfolio.js)
+  function fillCaseStudy(p){
+    const els = projectFormEls;
+    els.client.value = (p && p.client) || ''; els.role.value = (p && p.role) || '';
+    els.start.value = (p && p.start) || ''; els.end.value = (p && p.end) || '';
+    els.services.value = ((p && p.services) || []).join(', ');
+    els.metrics.value = portfolio.formatMetrics(p && p.metrics);
+    els.quote.value = (p && p.testimonial && p.testimonial.quote) || ''; els.quoteBy.value = (p && p.testimonial && p.testimonial.by) || '';
+    els.featured.checked = !!(p && p.featured);
+    projectGallery.load(p && p.gallery);
+  }
+  // the case-study fields for the record, or null (after telling the admin) when they don't add up
+  function readCaseStudy(){
+    const els = projectFormEls;
+    const start = els.start.value, end = els.end.value;
+    if([start, end].some(m => m && !portfolio.MONTH.test(m))){ dialogs.alert('Enter the dates as year and month, e.g. 2024-03'); return null; }
+    if(start && end && end < start){ dialogs.alert('The project ends before it starts'); return null; }
+    const gallery = projectGallery.items();
+    if(gallery.some(g => !g.alt)){ dialogs.alert('Describe every gallery image in its alt text field'); return null; }
+    const quote = els.quote.value.trim();
+    return {
+      client: els.client.value.trim(), role: els.role.value.trim(), start, end,
+      services: els.services.value.split(',').map(x => x.trim()).filter(Boolean),
+      metrics: portfolio.parseMetrics(els.metrics.value),
+      testimonial: quote ? { quote, by: els.quoteBy.value.trim() } : null,
+      gallery, featured: els.featured.checked
+    };
+  }
+  // the case-study page replaces the Portfolio grid until the route changes (see showSection)
+  function viewProject(id, onClose){
+    const db = loadDB(); const p = db.projects.find(x=>x.id===id);
+    if(!p || !viewable(p)) return showToast('Not found');
+    track('open', { coll: 'projects', id });
+    closeViewer();
+    projectDetail.innerHTML = `<p class="small"><button id="projectBack" class="btn small ghost">← All projects</button></p>` +
+      cards.projectDetail(p, { imgSrc, imageUrl: storage.imageUrl, badge: statusBadge });
+    qs('#projects').classList.add('viewing-item'); // hides the listing, see styles.css
+    projectDetail.classList.remove('hidden');
+    qs('#projectBack').onclick = onClose;
+  }
+  function closeProject(){
+    if(projectDetail.classList.contains('hidden')) return;
+    projectDetail.classList.add('hidden'); projectDetail.innerHTML = '';
+    qs('#projects').classList.remove('viewing-item');
+  }
+  function cancelProject(){ projectAutosave.flush(); dialogs.close(projectEditor); }
+  function deleteProject(id){
+    if(!requireAdmin()) return;
+    const db = loadDB();
+    const entry = revisions.trash(db, 'projects', id);
+    if(!entry) return;
+    saveDB(db); renderProjects(); refreshAdminList();
+    return undoTrash([entry], 'Project moved to Trash');
   }
-  function cancelProject(){ projectEditor.classList.add('hidden'); }
-  function deleteProject(id){ const db = loadDB(); db.projects = db.projects.filter(p=>p.id!==id); saveDB(db); renderProjects(); showToast('Project deleted'); }
 
   // --------------------------
-  // Contact handling
+  // Publishing fields (see publish.js)
   // --------------------------
-  contactForm.addEventListener('submit', async (e) => {
-    e.preventDefault();
-    const name = qs('#cname').value.trim();
-    const email = qs('#cemail').value.trim();
-    const subject = qs('#csubject').value.trim();
-    const message = qs('#cmessage').value.trim();
-    const endpoint = qs('#formspreeEndpoint').value.trim();
+  // new items default to publishing on save
+  function fillPublishFields(els, rec){
+    els.status.value = rec ? publish.statusOf(rec) : 'published';
+    els.publishAt.value = rec ? toLocalInput(rec.publishAt) : '';
+    els.publishAt.dataset.iso = (rec && rec.publishAt) || ''; // the input drops seconds; keep the exact time when untouched
+  }
+  // {status, publishAt} for the record, or null (after telling the admin) when the schedule is incomplete
+  function readPublishFields(els){
+    const iso = els.publishAt.dataset.iso && els.publishAt.value === toLocalInput(els.publishAt.dataset.iso) ? els.publishAt.dataset.iso : fromLocalInput(els.publishAt.value);
+    try { return publish.normalize(els.status.value, iso); }
+    catch (e) { dialogs.alert(e.message); return null; }
+  }
 
-    if(!name || !email || !message) return alert('Fill required fields');
+  // re-render when a scheduled item goes live while the page is open
+  let nextGoLive = null;
+  function watchSchedule(db){
+    nextGoLive = publish.nextGoLive([...db.thoughts, ...db.work, ...db.projects]);
+  }
 
-    const payload = { name, email, subject, message, created: nowISO() };
+  // --------------------------
+  // Editor autosave
+  // --------------------------
+  // unsaved editor fields per record ('thoughts:new', 'work:<id>') stay in localStorage until saved;
+  // closing the modal keeps them and reopening the same record offers them back
+  const AUTOSAVE_KEY = 'bhub_autosave';
+  const AUTOSAVE_DELAY = 600;
+  const AUTOSAVE_KINDS = { thoughts: 'Thought', work: 'Work update', projects: 'Project' };
+  function readAutosaves(){
+    try { return JSON.parse(localStorage.getItem(AUTOSAVE_KEY)) || {}; } catch (e) { return {}; }
+  }
+  function writeAutosaves(all){
+    try { localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(all)); } catch (e) { /* full: the editor still has the text */ }
+  }
+  function editorValues(els){
+    const out = {};
+    Object.keys(els).forEach(k => {
+      if(els[k].type === 'checkbox') out[k] = els[k].checked;
+      else if(els[k].type !== 'file') out[k] = els[k].value;
+    });
+    return out;
+  }
 
-    if(endpoint){
-      // try post to Formspree (user-provided endpoint). This is optional.
-      try {
-        const res = await fetch(endpoint, { method: 'POST', headers: {'Content-Type':'application/json'}, body: JSON.stringify(payload) });
-        if(res.ok) {
-          showToast('Message sent via Formspree');
+  function attachAutosave(kind, editorEl, els, currentId){
+    const note = editorEl.querySelector('[id$="Autosave"]');
+    const key = () => kind + ':' + (currentId() || 'new');
+    let timer = null, baseline = '';
+    function write(){
+      timer = null;
+      const values = editorValues(els);
+      const all = readAutosaves();
+      if(JSON.stringify(values) === baseline) delete all[key()];
+      else all[key()] = { values, at: nowISO() };
+      writeAutosaves(all);
+      note.textContent = all[key()] ? 'Changes kept locally · ' + new Date().toLocaleTimeString() : '';
+    }
+    const schedule = () => { clearTimeout(timer); timer = setTimeout(write, AUTOSAVE_DELAY); };
+    editorEl.addEventListener('input', schedule);
+    editorEl.addEventListener('change', schedule);
+    return {
+      // call once the editor holds the record's saved values
+      async restore(){
+        clearTimeout(timer); timer = null;
+        baseline = JSON.stringify(editorValues(els));
+        note.textContent = '';
+        const saved = readAutosaves()[key()];
+        if(!saved || JSON.stringify(saved.values) === baseline) return;
+        if(await dialogs.confirm(`Restore unsaved changes from ${new Date(saved.at).toLocaleString()}?`, { ok: 'Restore', cancel: 'Discard' })){
+          Object.keys(saved.values).forEach(k => {
+            if(!els[k]) return;
+            if(els[k].type === 'checkbox') els[k].checked = !!saved.values[k];
+            else els[k].value = saved.values[k];
+          });
+          note.textContent = 'Restored unsaved changes';
         } else {
-          showToast('Formspree returned error; saved locally');
-          saveLocalMessage(payload);
+          const all = readAutosaves(); delete all[key()]; writeAutosaves(all);
         }
-      } catch (err) {
-        console.error(err);
-        saveLocalMessage(payload);
-        showToast('Network error; saved locally');
+      },
+      flush(){ if(timer){ clearTimeout(timer); write(); } },
+      clear(){
+        clearTimeout(timer); timer = null;
+        const all = readAutosaves(); delete all[key()]; writeAutosaves(all);
+        note.textContent = '';
       }
+    };
+  }
+  const thoughtAutosave = attachAutosave('thoughts', thoughtEditor, thoughtFormEls, () => editingThoughtId);
+  const workAutosave = attachAutosave('work', workEditor, workFormEls, () => editingWorkId);
+  const projectAutosave = attachAutosave('projects', projectEditor, projectFormEls, () => editingProjectId);
+  window.addEventListener('pagehide', () => [thoughtAutosave, workAutosave, projectAutosave].forEach(a => a.flush()));
+
+  // --------------------------
+  // Revision history (see revisions.js)
+  // --------------------------
+  const EDITOR_OPENERS = { thoughts: id => openThoughtEditorFor(id), work: id => openWorkEditorFor(id), projects: id => openProjectEditorFor(id) };
+  const EDITOR_ELS = { thoughts: () => thoughtEditor, work: () => workEditor, projects: () => projectEditor };
+  const EDITING_IDS = { thoughts: () => editingThoughtId, work: () => editingWorkId, projects: () => editingProjectId };
+
+  // revisions newest first; the selected one is diffed against the version before it
+  function showHistory(coll, id, revId){
+    if(!requireAdmin()) return;
+    const db = loadDB();
+    const rec = db[coll].find(x => x.id === id);
+    const revs = revisions.history(db, coll, id);
+    if(!rec || !revs.length) return showToast('No history yet — it starts with the next save');
+    const idx = Math.max(0, revs.findIndex(r => r.id === revId));
+    const sel = revs[idx], prev = revs[idx + 1];
+    showViewer(null, `
+      <h3>History: ${escapeHtml(rec.title)}</h3>
+      <div class="history">
+        <div class="history-list">${revs.map((r, i) => `<button type="button" class="${i === idx ? 'active' : ''}" data-rev="${escapeHtml(r.id)}">${new Date(r.at).toLocaleString()}${i === 0 ? ' <span class="badge">current</span>' : ''}${r.note ? `<br><small class="muted">${escapeHtml(r.note)}</small>` : ''}</button>`).join('')}</div>
+        <div>
+          ${prev ? revisions.diffHtml(revisions.diff(prev.snapshot, sel.snapshot)) : '<p class="muted">First recorded version.</p>'}
+          ${idx > 0 ? `<button class="btn small primary" data-restore="${escapeHtml(sel.id)}">Restore this version</button>` : ''}
+        </div>
+      </div>`);
+    viewerEl.querySelectorAll('[data-rev]').forEach(b => b.onclick = () => showHistory(coll, id, b.dataset.rev));
+    const restoreBtn = viewerEl.querySelector('[data-restore]');
+    if(restoreBtn) restoreBtn.onclick = () => {
+      if(!requireAdmin()) return;
+      const d = loadDB();
+      try { revisions.restore(d, coll, id, restoreBtn.dataset.restore); } catch (e) { return dialogs.alert(e.message); }
+      saveDB(d); storage.pruneImages(d); renderContent();
+      closeViewer();
+      // an open editor for this item would save the old text over the restore
+      if(dialogs.isOpen(EDITOR_ELS[coll]()) && EDITING_IDS[coll]() === id) EDITOR_OPENERS[coll](id);
+      showToast('Version restored');
+    };
+  }
+
+  // --------------------------
+  // Contact handling
+  // --------------------------
+  const CONTACT_LOG_KEY = 'bhub_contact_log'; // this browser's recent sends, for the rate limit
+  const CONTACT_FIELDS = { name: '#cname', email: '#cemail', subject: '#csubject', message: '#cmessage' };
+  // page load, then each send; feeds the time-to-submit check. Not first focus: autofill + Enter never fires it
+  let contactOpenedAt = Date.now();
+
+  function spamRules(){
+    const settings = loadDB().settings || {};
+    return contact.rulesFrom(settings.spam);
+  }
+
+  function setContactStatus(text, isError){
+    const el = qs('#contactStatus');
+    el.textContent = text;
+    el.classList.toggle('error', !!isError);
+  }
+
+  // marks the invalid fields and lists what to fix; returns true when there was nothing to fix
+  function showContactErrors(errors){
+    Object.entries(CONTACT_FIELDS).forEach(([field, sel]) => {
+      if(errors.some(err => err.field === field)) qs(sel).setAttribute('aria-invalid', 'true');
+      else qs(sel).removeAttribute('aria-invalid');
+    });
+    setContactStatus(errors.map(err => err.message).join(' '), errors.length > 0);
+    if(errors.length) qs(CONTACT_FIELDS[errors[0].field]).focus();
+    return !errors.length;
+  }
+
+  contactForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const fields = {};
+    Object.entries(CONTACT_FIELDS).forEach(([field, sel]) => { fields[field] = qs(sel).value; });
+    const { values, errors } = contact.validate(fields);
+    if(!showContactErrors(errors)) return;
+
+    const rules = spamRules();
+    const limiter = contact.createRateLimiter(localStorage, CONTACT_LOG_KEY, rules);
+    const wait = limiter.wait();
+    if(wait) return setContactStatus(`You've sent a few messages already. Please try again in ${Math.ceil(wait / 60000)} min.`, true);
+    const verdict = contact.spamScore(values, {
+      honeypot: qs('#cwebsite').value,
+      elapsedMs: Date.now() - contactOpenedAt
+    }, rules);
+    limiter.record();
+
+    const payload = { ...values, created: nowISO() };
+    contactForm.reset();
+    const received = 'Thanks, your message has been received';
+
+    if(verdict.spam){
+      // filed quietly: the sender gets the usual confirmation and nothing is posted
+      saveSpamMessage(payload, verdict);
+      showToast(received);
     } else {
-      saveLocalMessage(payload);
-      showToast('Message saved locally');
+      const id = saveLocalMessage(payload);
+      track('contact');
+      const queued = loadDB().messages.find(m => m.id === id).delivery;
+      if(queued) await runOutbox();
+      const m = loadDB().messages.find(x => x.id === id);
+      showToast(m && m.delivery && m.delivery.state === 'pending'
+        ? 'Saved. Your message will be sent automatically once the connection is back.'
+        : received, 4000);
     }
 
-    contactForm.reset();
+    contactOpenedAt = Date.now();
+    setContactStatus('');
     renderMessages();
   });
 
+  // stores the message (queued for delivery when an endpoint is set up); returns its id
   function saveLocalMessage(payload){
     const db = loadDB();
-    db.messages.push({ id: uid(), ...payload });
+    const target = outboxApi.endpointOf(db.settings);
+    const m = { id: uid(), ...payload, status: 'unread', delivery: target ? outboxApi.pending(Date.now()) : null };
+    db.messages.push(m);
+    saveDB(db);
+    return m.id;
+  }
+  function saveSpamMessage(payload, verdict){
+    const db = loadDB();
+    db.spam.push({ id: uid(), ...payload, status: 'unread', spamScore: verdict.score, spamReasons: verdict.reasons });
     saveDB(db);
   }
 
+  // --------------------------
+  // Outbox (see outbox.js)
+  // --------------------------
+  const outbox = outboxApi.createOutbox({
+    load: loadDB,
+    save: db => { saveDB(db); renderMessages(); },
+    fetch: (url, init) => fetch(url, init)
+  });
+  let outboxTimer = null;
+
+  // sends what is due, then sleeps until the next retry; offline, it waits for `online`
+  async function runOutbox(opts){
+    clearTimeout(outboxTimer);
+    if(navigator.onLine !== false) await outbox.flush(opts);
+    const next = outbox.nextDue();
+    if(next != null && navigator.onLine !== false){
+      outboxTimer = setTimeout(runOutbox, Math.max(1000, next - Date.now()));
+    }
+  }
+  window.addEventListener('online', () => runOutbox({ force: true }));
+
+  function deliveryLabel(m){
+    const d = m.delivery;
+    if(!d) return 'stored locally';
+    if(d.state === 'sent') return `delivered ${new Date(d.sentAt).toLocaleString()}`;
+    if(d.state === 'failed') return `not delivered (${d.lastError || 'error'})`;
+    return `queued${d.attempts ? ` · ${d.attempts} failed attempt(s), last: ${d.lastError}` : ''} · next try ${new Date(d.nextAttemptAt).toLocaleTimeString()}`;
+  }
+
   // --------------------------
   // Admin (client-side)
   // --------------------------
   async function setupAdmin(){
     const email = adminEmailEl.value.trim();
     const pass = adminPassEl.value;
-    if(!email || !pass) return alert('Email + password required');
-    const passHash = await hashText(pass);
-    const db = loadDB();
-    db.admin = { email, passHash };
-    saveDB(db);
+    if(loadDB().admin && auth.isAuthed() && !await dialogs.confirm('Replace the current admin credentials? You will be logged out.', { ok: 'Replace' })) return;
+    try {
+      await auth.createAdmin(email, pass);
+    } catch (e) {
+      return dialogs.alert(e.message);
+    }
+    adminPassEl.value = '';
     showToast('Admin created (local)');
   }
 
   async function loginAdmin(){
     const email = adminEmailEl.value.trim();
     const pass = adminPassEl.value;
-    if(!email || !pass) return alert('Email + password required');
-    const db = loadDB();
-    if(!db.admin) return alert('No admin set. Use Create Admin.');
-    const passHash = await hashText(pass);
-    if(db.admin.email === email && db.admin.passHash === passHash){
-      // show admin panel
-      adminLoginBox.classList.add('hidden');
-      adminPanel.classList.remove('hidden');
-      logoutBtn.classList.remove('hidden');
-      showToast('Logged in');
-    } else {
-      alert('Invalid credentials');
+    try {
+      await auth.login(email, pass);
+    } catch (e) {
+      return dialogs.alert(e.message);
     }
+    adminPassEl.value = '';
+    showToast('Logged in');
   }
 
   function logout(){
-    adminLoginBox.classList.remove('hidden');
-    adminPanel.classList.add('hidden');
-    logoutBtn.classList.add('hidden');
+    auth.logout();
     showToast('Logged out');
   }
 
+  // shows/hides the admin panel and every .admin-only control for the current session
+  function applyAuthState(){
+    const authed = auth.isAuthed();
+    document.body.classList.toggle('is-admin', authed);
+    adminLoginBox.classList.toggle('hidden', authed);
+    adminPanel.classList.toggle('hidden', !authed);
+    logoutBtn.classList.toggle('hidden', !authed);
+    if(!authed){
+      // through the dialog manager, so they leave its stack and can open again after the next sign-in
+      [cancelThought, cancelWork, cancelProject].forEach(cancel => cancel());
+      closeViewer();
+      commands.clearUndo(); // logout and session expiry both land here; undo is an admin action
+      qs('#adminArea').innerHTML = '';
+      delete qs('#adminArea').dataset.area;
+    } else {
+      renderStorageUsage();
+    }
+    renderContent(); // drafts show up / disappear
+  }
+
+  async function renderStorageUsage(){
+    const el = qs('#storageUsage');
+    const { usage, quota, adapter } = await storage.estimate();
+    const mb = n => (n / 1024 / 1024).toFixed(1) + ' MB';
+    el.textContent = quota
+      ? `Storage (${adapter}): ${mb(usage)} of ${mb(quota)} used (${Math.round(usage / quota * 100)}%)`
+      : `Storage (${adapter}): ${mb(usage)} used`;
+  }
+
   function adminManage(area){
+    if(!requireAdmin()) return;
     const adminArea = qs('#adminArea');
     const db = loadDB();
-    if(area === 'thoughts'){
-      adminArea.innerHTML = `<h4>All Thoughts</h4>` + db.thoughts.map(t => `<div style="padding:8px;border-bottom:1px solid rgba(0,0,0,0.04)"><strong>${escapeHtml(t.title)}</strong> • ${escapeHtml(t.category)} <div style="float:right"><button class="btn small" data-id="${t.id}" data-act="edit">Edit</button> <button class="btn small ghost" data-id="${t.id}" data-act="del">Delete</button></div><div style="clear:both"></div></div>`).join('');
-      qsa('#adminArea [data-act]').forEach(b=> b.onclick = ()=>{ if(b.dataset.act==='edit') openThoughtEditorFor(b.dataset.id); else if(confirm('Delete?')) deleteThought(b.dataset.id); });
+    if(['site', 'theme'].includes(adminArea.dataset.area)) applySite(db); // drops an unsaved colour preview
+    adminArea.dataset.area = area;
+    if(area === 'inbox'){
+      renderInbox();
+    } else if(area === 'delivery'){
+      const cur = (db.settings && db.settings.delivery) || {};
+      const queued = db.messages.filter(m => m.delivery && m.delivery.state === 'pending').length;
+      const failed = db.messages.filter(m => m.delivery && m.delivery.state === 'failed');
+      adminArea.innerHTML = `<h4>Message delivery</h4>
+        <p class="small muted">Contact messages are always kept in the inbox. With an endpoint set they are also posted there; failed sends wait in an outbox and retry with backoff.</p>
+        <div class="row" style="flex-wrap:wrap">
+          <select id="deliveryKind" aria-label="Delivery">
+            <option value="">Keep messages local only</option>
+            <option value="formspree">Formspree</option>
+            <option value="webhook">JSON webhook</option>
+          </select>
+          <input id="deliveryUrl" placeholder="https://formspree.io/f/… or your webhook URL" value="${escapeHtml(cur.url || '')}" style="flex:1;min-width:240px" />
+        </div>
+        <div class="row" style="margin-top:8px"><button id="saveDelivery" class="btn small primary">Save</button> <button id="testDelivery" class="btn small ghost">Send test</button></div>
+        <p class="small">Outbox: ${queued} queued, ${failed.length} not delivered ${queued || failed.length ? '<button id="retryOutbox" class="btn small ghost">Retry all now</button>' : ''}</p>`;
+      qs('#deliveryKind').value = cur.kind || '';
+      const read = () => ({ kind: qs('#deliveryKind').value, url: qs('#deliveryUrl').value.trim() });
+      qs('#saveDelivery').onclick = () => {
+        const delivery = read();
+        if(delivery.kind && !outboxApi.endpointOf({ delivery })) return dialogs.alert('Enter an http(s) URL for the endpoint');
+        const d = loadDB(); d.settings = { ...(d.settings || {}), delivery: delivery.kind ? delivery : null }; saveDB(d);
+        adminManage('delivery'); showToast('Delivery settings saved');
+        runOutbox({ force: true });
+      };
+      qs('#testDelivery').onclick = () => {
+        const target = outboxApi.endpointOf({ delivery: read() });
+        if(!target) return dialogs.alert('Choose Formspree or webhook and enter a URL first');
+        const [url, init] = outboxApi.buildRequest(target, { id: 'test', name: site.siteOf(loadDB().settings).title, email: 'test@example.com', subject: 'Delivery test', message: 'Test message from the admin panel.', created: nowISO() });
+        fetch(url, init).then(res => showToast(res.ok ? 'Test delivered' : `Endpoint answered HTTP ${res.status}`), () => showToast('Could not reach the endpoint'));
+      };
+      const retryBtn = qs('#retryOutbox');
+      if(retryBtn) retryBtn.onclick = async () => {
+        failed.forEach(m => outbox.retry(m.id));
+        await runOutbox({ force: true });
+        adminManage('delivery');
+      };
+    } else if(area === 'site'){
+      renderSiteSettings(site.siteOf(db.settings));
+    } else if(area === 'theme'){
+      renderThemeSettings(theme.themeOf(db.settings));
+    } else if(area === 'export'){
+      renderExport();
+    } else if(area === 'media'){
+      adminArea.innerHTML = '<div class="muted">Loading images…</div>';
+      renderMedia();
+    } else if(area === 'import'){
+      renderImport();
+    } else if(area === 'feeds'){
+      const s = site.siteOf(db.settings);
+      adminArea.innerHTML = `<h4>Feeds</h4>
+        <p class="small muted">Published thoughts and work updates, newest first (up to ${feeds.MAX_ITEMS}). ${s.url
+          ? `Links point at the static pages under ${escapeHtml(s.url)}; the static build writes these same files.`
+          : 'Links point at this app. Set the published site URL in Site Settings to link to the static pages instead.'}</p>
+        <div class="row" style="flex-wrap:wrap">
+          <select id="feedFormat" aria-label="Format">${Object.entries(feeds.FORMATS).map(([k, f]) => `<option value="${k}">${f.label} (${f.file})</option>`).join('')}</select>
+          <select id="feedCategory" aria-label="Category"><option value="">All categories</option>${feeds.categories(db).map(c => `<option value="${escapeHtml(c)}">${escapeHtml(c)}</option>`).join('')}</select>
+          <button id="downloadFeed" class="btn small primary">Download</button>
+        </div>`;
+      qs('#downloadFeed').onclick = () => {
+        const format = qs('#feedFormat').value, category = qs('#feedCategory').value;
+        downloadFile((category ? taxonomy.slugify(category) + '-' : '') + feeds.FORMATS[format].file, feedText(format, category), feeds.FORMATS[format].type);
+      };
+    } else if(area === 'spamRules'){
+      const rules = spamRules();
+      const num = (key, label) => `<label class="small">${label} <input type="number" min="0" step="1" data-rule="${key}" value="${rules[key]}" style="width:80px" /></label>`;
+      adminArea.innerHTML = `<h4>Spam rules</h4>
+        <p class="small muted">Each signal adds to a message's score; at or over the threshold it goes to the Spam folder instead of the inbox.</p>
+        <div class="row" style="flex-wrap:wrap">
+          ${num('threshold', 'Threshold')} ${num('minSeconds', 'Min. seconds to submit')}
+          ${num('maxLinks', 'Links allowed')} ${num('linkWeight', 'Score per extra link')}
+          ${num('keywordWeight', 'Score per keyword')} ${num('rateMax', 'Sends per browser')} ${num('rateWindowMinutes', 'per minutes')}
+        </div>
+        <label class="small">Keywords (one per line)<br><textarea id="spamKeywords" rows="5" style="width:100%">${escapeHtml(rules.keywords.join('\n'))}</textarea></label>
+        <div class="row" style="margin-top:8px"><button id="saveSpamRules" class="btn small primary">Save</button> <button id="resetSpamRules" class="btn small ghost">Reset to defaults</button> <button id="backToInbox" class="btn small ghost">Back to Inbox</button></div>`;
+      const store = spam => { const d = loadDB(); d.settings = { ...(d.settings || {}), spam }; saveDB(d); adminManage('spamRules'); showToast('Spam rules saved'); };
+      qs('#saveSpamRules').onclick = () => {
+        const spam = { keywords: qs('#spamKeywords').value.split('\n').map(k => k.trim()).filter(Boolean) };
+        qsa('#adminArea [data-rule]').forEach(i => { spam[i.dataset.rule] = Number(i.value); });
+        store(spam);
+      };
+      qs('#resetSpamRules').onclick = () => store(undefined);
+      qs('#backToInbox').onclick = () => adminManage('inbox');
+    } else if(area === 'thoughts'){
+      adminArea.innerHTML = `<h4>All Thoughts</h4>` + db.thoughts.map(t => `<div style="padding:8px;border-bottom:1px solid rgba(0,0,0,0.04)"><strong>${escapeHtml(t.title)}</strong> • ${escapeHtml(t.category)} <div style="float:right"><button class="btn small" data-id="${escapeHtml(t.id)}" data-action="thought.edit">Edit</button> <button class="btn small ghost" data-id="${escapeHtml(t.id)}" data-action="thought.history">History</button> <button class="btn small ghost" data-id="${escapeHtml(t.id)}" data-action="thought.delete">Delete</button></div><div style="clear:both"></div></div>`).join('');
     } else if(area === 'work'){
-      adminArea.innerHTML = `<h4>Work</h4>` + db.work.map(w => `<div style="padding:8px;border-bottom:1px solid rgba(0,0,0,0.04)"><strong>${escapeHtml(w.title)}</strong> <div style="float:right"><button class="btn small" data-id="${w.id}" data-act="editw">Edit</button><button class="btn small ghost" data-id="${w.id}" data-act="delw">Delete</button></div><div style="clear:both"></div></div>`).join('');
-      qsa('#adminArea [data-act="editw"]').forEach(b=> b.onclick = ()=> openWorkEditorFor(b.dataset.id));
-      qsa('#adminArea [data-act="delw"]').forEach(b=> b.onclick = ()=> { if(confirm('Delete?')) deleteWork(b.dataset.id); });
+      adminArea.innerHTML = `<h4>Work</h4>` + db.work.map(w => `<div style="padding:8px;border-bottom:1px solid rgba(0,0,0,0.04)"><strong>${escapeHtml(w.title)}</strong> <div style="float:right"><button class="btn small" data-id="${escapeHtml(w.id)}" data-action="work.edit">Edit</button><button class="btn small ghost" data-id="${escapeHtml(w.id)}" data-action="work.history">History</button><button class="btn small ghost" data-id="${escapeHtml(w.id)}" data-action="work.delete">Delete</button></div><div style="clear:both"></div></div>`).join('');
     } else if(area === 'projects'){
-      adminArea.innerHTML = `<h4>Projects</h4>` + db.projects.map(p => `<div style="padding:8px;border-bottom:1px solid rgba(0,0,0,0.04)"><strong>${escapeHtml(p.title)}</strong> <div style="float:right"><button class="btn small" data-id="${p.id}" data-act="editp">Edit</button><button class="btn small ghost" data-id="${p.id}" data-act="delp">Delete</button></div><div style="clear:both"></div></div>`).join('');
-      qsa('#adminArea [data-act="editp"]').forEach(b=> b.onclick = ()=> openProjectEditorFor(b.dataset.id));
-      qsa('#adminArea [data-act="delp"]').forEach(b=> b.onclick = ()=> { if(confirm('Delete?')) deleteProject(b.dataset.id); });
+      // in Portfolio order; featured projects stay ahead of the rest
+      const list = portfolio.sort(db.projects);
+      adminArea.innerHTML = `<h4>Projects</h4><p class="small muted">The Portfolio grid shows them in this order.</p>` + list.map((p, i) => `<div style="padding:8px;border-bottom:1px solid rgba(0,0,0,0.04)"><strong>${escapeHtml(p.title)}</strong> ${p.featured ? '<span class="badge featured">Featured</span>' : ''} <div style="float:right"><button class="btn small ghost" data-id="${escapeHtml(p.id)}" data-action="project.move" data-delta="-1" aria-label="Move up"${i && !!list[i - 1].featured === !!p.featured ? '' : ' disabled'}>↑</button><button class="btn small ghost" data-id="${escapeHtml(p.id)}" data-action="project.move" data-delta="1" aria-label="Move down"${i < list.length - 1 && !!list[i + 1].featured === !!p.featured ? '' : ' disabled'}>↓</button> <button class="btn small" data-id="${escapeHtml(p.id)}" data-action="project.edit">Edit</button><button class="btn small ghost" data-id="${escapeHtml(p.id)}" data-action="project.history">History</button><button class="btn small ghost" data-id="${escapeHtml(p.id)}" data-action="project.delete">Delete</button></div><div style="clear:both"></div></div>`).join('');
+    } else if(area === 'drafts'){
+      const order = { draft: 0, scheduled: 1, archived: 2 };
+      const rows = Object.keys(TYPES).flatMap(coll => db[coll].filter(r => !publish.isPublic(r)).map(r => ({ coll, r })))
+        .sort((a, b) => order[publish.statusOf(a.r)] - order[publish.statusOf(b.r)] || String(a.r.publishAt || '').localeCompare(String(b.r.publishAt || '')));
+      const unsaved = Object.entries(readAutosaves()).map(([key, v]) => ({ coll: key.split(':')[0], id: key.split(':')[1], v }))
+        .filter(u => TYPES[u.coll] && (u.id === 'new' || db[u.coll].some(r => r.id === u.id)));
+      adminArea.innerHTML = `<h4>Drafts</h4>` + (rows.map(({ coll, r }) => `<div style="padding:8px;border-bottom:1px solid rgba(0,0,0,0.04)"><span class="badge">${AUTOSAVE_KINDS[coll]}</span> <strong>${escapeHtml(r.title)}</strong> ${statusBadge(r)} <div style="float:right"><button class="btn small" data-id="${escapeHtml(r.id)}" data-action="${TYPES[coll]}.edit">Edit</button> <button class="btn small ghost" data-coll="${coll}" data-id="${escapeHtml(r.id)}" data-action="draft.publish">Publish now</button></div><div style="clear:both"></div></div>`).join('') || '<div class="muted">No drafts, scheduled or archived items.</div>') +
+        (unsaved.length ? `<h4>Unsaved editor changes</h4>` + unsaved.map(u => `<div style="padding:8px;border-bottom:1px solid rgba(0,0,0,0.04)"><span class="badge">${AUTOSAVE_KINDS[u.coll]}</span> <strong>${escapeHtml(u.v.values.title || '(untitled)')}</strong> <small class="muted">${u.id === 'new' ? 'new' : 'edit'} • ${new Date(u.v.at).toLocaleString()}</small> <div style="float:right"><button class="btn small"${u.id === 'new' ? '' : ` data-id="${escapeHtml(u.id)}"`} data-action="${TYPES[u.coll]}.edit">Resume</button></div><div style="clear:both"></div></div>`).join('') : '');
+    } else if(area === 'taxonomy'){
+      const block = (kind, label) => {
+        const rows = Array.from(taxonomy.usage(db, kind)).sort((a, b) => a[0].localeCompare(b[0]));
+        return `<h4>${label}</h4>` + (rows.map(([name, n]) => `<div style="padding:8px;border-bottom:1px solid rgba(0,0,0,0.04)"><label><input type="checkbox" data-kind="${kind}" value="${escapeHtml(name)}" /> <strong>${escapeHtml(name)}</strong></label> <small class="muted">${n} item(s)</small> <div style="float:right"><button class="btn small" data-kind="${kind}" data-name="${escapeHtml(name)}" data-action="taxonomy.rename">Rename</button> <button class="btn small ghost" data-kind="${kind}" data-name="${escapeHtml(name)}" data-action="taxonomy.remove">Delete</button></div><div style="clear:both"></div></div>`).join('') || '<div class="muted">None yet.</div>') +
+          `<div class="row" style="margin-top:8px"><input id="newTax_${kind}" placeholder="New ${kind}" /> <button class="btn small" data-kind="${kind}" data-action="taxonomy.add">Add</button> <button class="btn small ghost" data-kind="${kind}" data-action="taxonomy.merge">Merge selected…</button></div>`;
+      };
+      adminArea.innerHTML = block('category', 'Categories') + block('tag', 'Tags');
+    } else if(area === 'trash'){
+      const LABELS = { ...AUTOSAVE_KINDS, messages: 'Message', spam: 'Spam' };
+      const bin = db.trash.slice().reverse();
+      adminArea.innerHTML = `<h4>Trash</h4>` + (bin.map(t => `<div style="padding:8px;border-bottom:1px solid rgba(0,0,0,0.04)"><span class="badge">${LABELS[t.coll] || escapeHtml(t.coll)}</span> <strong>${escapeHtml(t.record.title || t.record.subject || t.record.name || t.record.id)}</strong> <small class="muted">deleted ${new Date(t.deletedAt).toLocaleString()}</small> <div style="float:right"><button class="btn small" data-id="${escapeHtml(t.id)}" data-action="trash.restore">Restore</button> <button class="btn small ghost" data-id="${escapeHtml(t.id)}" data-action="trash.purge">Delete forever</button></div><div style="clear:both"></div></div>`).join('') || '<div class="muted">Trash is empty.</div>') +
+        (bin.length ? `<div style="margin-top:8px;text-align:right"><button class="btn small ghost" data-action="trash.empty">Empty Trash</button></div>` : '');
+    } else if(area === 'analytics'){
+      adminArea.innerHTML = '<div class="muted">Loading analytics…</div>';
+      renderAnalytics();
+    } else if(area === 'quarantine'){
+      // rows storage.js refused to load; shown raw so they can be fixed by hand and re-imported
+      adminArea.innerHTML = `<h4>Quarantine</h4>` + (db.quarantine.map((q, i) => `<div style="padding:8px;border-bottom:1px solid rgba(0,0,0,0.04)"><strong>${escapeHtml(q.collection)}</strong> • ${escapeHtml(q.errors.join(', '))} <div style="float:right"><button class="btn small ghost" data-idx="${i}" data-action="quarantine.discard">Discard</button></div><pre style="clear:both;white-space:pre-wrap;font-size:12px">${escapeHtml(truncate(JSON.stringify(q.record), 400))}</pre></div>`).join('') || '<div class="muted">Nothing quarantined.</div>');
     }
   }
 
   // --------------------------
-  // Export / Import
+  // Inbox (admin view of contact messages)
   // --------------------------
-  exportBtn.addEventListener('click', () => {
-    const db = loadDB();
-    const blob = new Blob([JSON.stringify(db, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a'); a.href = url; a/* Business Hub — All client-side logic (no backend required)
-   Features:
-   - Thoughts (blog) with categories + images (base64)
-   - Work updates
-   - Projects / Portfolio
-   - Contact form (local storage + optional Formspree)
-   - Admin: create/edit/delete; client-side login (local)
-   - Export / Import JSON DB
-   - Theme toggle (light/dark)
-*/
-
-(() => {
-  // --------------------------
-  // Simple client DB (localStorage)
-  // --------------------------
-  const DB_KEY = 'bhub_db_v1';
-  // default structure
-  const DEFAULT_DB = {
-    thoughts: [],
-    work: [],
-    projects: [],
-    messages: [],
-    admin: null // {email, passHash}
+  // folders over db.messages, plus db.spam where suspected spam is filed
+  const INBOX_FOLDERS = {
+    inbox: { label: 'Inbox', source: 'messages', test: m => ['unread', 'read'].includes(messageStatus(m)) },
+    unread: { label: 'Unread', source: 'messages', test: m => messageStatus(m) === 'unread' },
+    archived: { label: 'Archived', source: 'messages', test: m => messageStatus(m) === 'archived' },
+    spam: { label: 'Spam', source: 'spam', test: () => true }
+  };
+  const INBOX_SORTS = {
+    newest: (a, b) => b.created.localeCompare(a.created),
+    oldest: (a, b) => a.created.localeCompare(b.created),
+    sender: (a, b) => a.name.localeCompare(b.name) || b.created.localeCompare(a.created),
+    subject: (a, b) => (a.subject || '').localeCompare(b.subject || '') || b.created.localeCompare(a.created)
   };
+  const inboxView = { folder: 'inbox', q: '', sort: 'newest', openId: null };
 
-  function loadDB() {
-    try {
-      const raw = localStorage.getItem(DB_KEY);
-      return raw ? JSON.parse(raw) : JSON.parse(JSON.stringify(DEFAULT_DB));
-    } catch (e) {
-      console.error('DB load error', e);
-      return JSON.parse(JSON.stringify(DEFAULT_DB));
+  function messageStatus(m){ return m.status || 'unread'; }
+
+  // the messages in the current folder, filtered by the search box and sorted
+  function inboxMessages(db){
+    const folder = INBOX_FOLDERS[inboxView.folder];
+    let list = db[folder.source].filter(folder.test);
+    if(inboxView.q){
+      const hits = new Set(searchIndex.search(inboxView.q, { types: [folder.source] }).map(h => h.id));
+      list = list.filter(m => hits.has(m.id));
     }
+    return list.sort(INBOX_SORTS[inboxView.sort]);
   }
-  function saveDB(db) {
-    localStorage.setItem(DB_KEY, JSON.stringify(db));
-    updateStats();
+
+  // toolbar once; the list and the open message re-render on their own so typing keeps focus
+  function renderInbox(){
+    qs('#adminArea').innerHTML = `<h4>Inbox</h4>
+      <div class="row inbox-toolbar">
+        <div id="inboxFolders" class="tag-filter" style="margin:0"></div>
+        <input id="inboxSearch" type="search" placeholder="Search messages" value="${escapeHtml(inboxView.q)}" />
+        <select id="inboxSort" aria-label="Sort">
+          <option value="newest">Newest first</option><option value="oldest">Oldest first</option>
+          <option value="sender">Sender</option><option value="subject">Subject</option>
+        </select>
+        <button id="inboxCsv" class="btn small ghost">Export CSV</button>
+        <button id="inboxRules" class="btn small ghost">Spam rules</button>
+      </div>
+      <div id="inboxList"></div>
+      <div id="inboxMessage"></div>`;
+    qs('#inboxSort').value = inboxView.sort;
+    qs('#inboxSearch').addEventListener('input', e => { inboxView.q = e.target.value.trim(); renderInboxList(); });
+    qs('#inboxSort').addEventListener('change', e => { inboxView.sort = e.target.value; renderInboxList(); });
+    qs('#inboxCsv').addEventListener('click', exportMessagesCsv);
+    qs('#inboxRules').addEventListener('click', () => adminManage('spamRules'));
+    renderInboxList();
   }
-  function resetDB() {
-    localStorage.removeItem(DB_KEY);
-    showToast('DB cleared');
-    initApp();
+
+  function renderInboxList(){
+    const db = loadDB();
+    qs('#inboxFolders').innerHTML = Object.entries(INBOX_FOLDERS).map(([key, f]) =>
+      `<button type="button" class="chip${inboxView.folder === key ? ' active' : ''}" data-folder="${key}">${f.label} (${db[f.source].filter(f.test).length})</button>`).join('');
+    qsa('#inboxFolders [data-folder]').forEach(b => b.onclick = () => { inboxView.folder = b.dataset.folder; inboxView.openId = null; renderInboxList(); });
+    const list = inboxMessages(db);
+    qs('#inboxList').innerHTML = list.map(m => `
+      <button type="button" class="inbox-row${messageStatus(m) === 'unread' ? ' unread' : ''}${m.id === inboxView.openId ? ' open' : ''}" data-id="${escapeHtml(m.id)}">
+        <span><strong>${escapeHtml(m.name)}</strong></span>
+        <span>${escapeHtml(m.subject || '(no subject)')} <small class="muted">— ${escapeHtml(truncate(m.message, 90))}</small></span>
+        <small class="muted">${m.delivery && m.delivery.state !== 'sent' ? `<span class="badge delivery-${m.delivery.state}">${m.delivery.state === 'failed' ? 'not sent' : 'queued'}</span> ` : ''}${new Date(m.created).toLocaleDateString()}</small>
+      </button>`).join('') || `<div class="muted" style="padding:8px">${inboxView.q ? 'No messages match.' : 'No messages here.'}</div>`;
+    qsa('#inboxList [data-id]').forEach(b => b.onclick = () => openMessage(b.dataset.id));
+    renderOpenMessage(db);
   }
 
-  // --------------------------
-  // Utility helpers
-  // --------------------------
-  const qs = s => document.querySelector(s);
-  const qsa = s => Array.from(document.querySelectorAll(s));
-  const uid = () => Math.random().toString(36).slice(2,9);
-  function showToast(msg, timeout=2500){
-    const t = qs('#toast');
-    t.textContent = msg; t.classList.remove('hidden');
-    setTimeout(()=> t.classList.add('hidden'), timeout);
+  function openMessage(id){
+    inboxView.openId = id;
+    const db = loadDB();
+    const m = db[INBOX_FOLDERS[inboxView.folder].source].find(x => x.id === id);
+    if(m && messageStatus(m) === 'unread'){
+      m.status = 'read'; m.readAt = nowISO();
+      saveDB(db); renderMessages();
+    }
+    renderInboxList();
   }
-  function nowISO(){ return new Date().toISOString(); }
 
-  // --------------------------
-  // Image file -> base64 helper
-  // --------------------------
-  function fileToBase64(file){
-    return new Promise((res, rej) => {
-      if(!file) return res(null);
-      const reader = new FileReader();
-      reader.onload = () => res(reader.result);
-      reader.onerror = e => rej(e);
-      reader.readAsDataURL(file);
-    });
+  function replyHref(m){
+    const quoted = m.message.split('\n').map(l => '> ' + l).join('\n');
+    return `mailto:${encodeURIComponent(m.email)}?subject=${encodeURIComponent('Re: ' + (m.subject || 'your message'))}` +
+      `&body=${encodeURIComponent(`\n\nOn ${new Date(m.created).toLocaleString()}, ${m.name} wrote:\n${quoted}`)}`;
+  }
+
+  function renderOpenMessage(db){
+    const el = qs('#inboxMessage');
+    const m = db[INBOX_FOLDERS[inboxView.folder].source].find(x => x.id === inboxView.openId);
+    if(!m){ el.innerHTML = ''; return; }
+    if(inboxView.folder === 'spam') return renderOpenSpam(el, m);
+    const status = messageStatus(m);
+    el.innerHTML = `<div class="card inbox-message">
+      <h4>${escapeHtml(m.subject || '(no subject)')} <span class="badge">${escapeHtml(status)}</span></h4>
+      <div class="small muted">From ${escapeHtml(m.name)} &lt;${escapeHtml(m.email)}&gt; • ${new Date(m.created).toLocaleString()}${m.repliedAt ? ` • replied ${new Date(m.repliedAt).toLocaleString()}` : ''}</div>
+      <div class="small muted">Delivery: ${escapeHtml(deliveryLabel(m))}</div>
+      <p>${escapeHtml(m.message)}</p>
+      <div class="row" style="flex-wrap:wrap">
+        <a class="btn small primary" href="${escapeHtml(replyHref(m))}" data-msg="reply">Reply</a>
+        ${status === 'read' ? '<button class="btn small ghost" data-msg="unread">Mark unread</button>' : ''}
+        <button class="btn small ghost" data-msg="${status === 'archived' ? 'read' : 'archived'}">${status === 'archived' ? 'Move to Inbox' : 'Archive'}</button>
+        <button class="btn small ghost" data-msg="spam">Spam</button>
+        ${m.delivery && m.delivery.state !== 'sent' ? '<button class="btn small ghost" data-msg="resend">Send now</button>' : ''}
+        <button class="btn small ghost" data-id="${escapeHtml(m.id)}" data-action="message.delete">Delete</button>
+      </div>
+    </div>`;
+    el.querySelectorAll('[data-msg]').forEach(b => b.onclick = () => b.dataset.msg === 'reply'
+      ? setTimeout(() => messageAction(m.id, 'reply')) // re-render after the mailto link has been followed
+      : messageAction(m.id, b.dataset.msg));
+  }
+
+  // spam is shown without a reply link, with why it was filed
+  function renderOpenSpam(el, m){
+    el.innerHTML = `<div class="card inbox-message">
+      <h4>${escapeHtml(m.subject || '(no subject)')} <span class="badge">spam${m.spamScore != null ? ' · score ' + m.spamScore : ''}</span></h4>
+      <div class="small muted">From ${escapeHtml(m.name)} &lt;${escapeHtml(m.email)}&gt; • ${new Date(m.created).toLocaleString()}</div>
+      ${(m.spamReasons || []).length ? `<div class="small muted">Filed because: ${escapeHtml(m.spamReasons.join(', '))}</div>` : ''}
+      <p>${escapeHtml(m.message)}</p>
+      <div class="row">
+        <button class="btn small" data-msg="notspam">Not spam</button>
+        <button class="btn small ghost" data-id="${escapeHtml(m.id)}" data-action="message.delete">Delete</button>
+      </div>
+    </div>`;
+    el.querySelectorAll('[data-msg]').forEach(b => b.onclick = () => messageAction(m.id, b.dataset.msg));
+  }
+
+  // reply / unread / read / archived / spam / notspam / resend / delete; delete returns an undo entry
+  function messageAction(id, act){
+    if(!requireAdmin()) return;
+    let trashed = null;
+    const db = loadDB();
+    const source = INBOX_FOLDERS[inboxView.folder].source;
+    const m = db[source].find(x => x.id === id);
+    if(!m) return;
+    if(act === 'resend'){ outbox.retry(id); runOutbox(); return; }
+    if(act === 'delete'){ trashed = revisions.trash(db, source, id); inboxView.openId = null; }
+    else if(act === 'reply') m.repliedAt = nowISO(); // the mailto link itself opens the mail client
+    else if(act === 'spam' || act === 'notspam'){
+      // moves between db.messages and db.spam
+      db[source] = db[source].filter(x => x !== m);
+      if(act === 'spam') db.spam.push({ ...m, spamReasons: ['marked by admin'] });
+      else { const { spamScore, spamReasons, ...rest } = m; db.messages.push({ ...rest, status: 'read' }); }
+      inboxView.openId = null;
+      showToast(act === 'spam' ? 'Moved to Spam' : 'Moved to Inbox');
+    } else {
+      m.status = act;
+      if(act === 'unread') inboxView.openId = null;
+    }
+    saveDB(db);
+    renderMessages();
+    if(trashed) return undoTrash([trashed], 'Message moved to Trash');
+  }
+
+  function exportMessagesCsv(){
+    if(!requireAdmin()) return;
+    const list = inboxMessages(loadDB());
+    const text = csv.stringify(list.map(m => ({ ...m, status: messageStatus(m) })),
+      ['created', 'status', 'name', 'email', 'subject', 'message', 'readAt', 'repliedAt', 'id']);
+    downloadFile(`messages-${inboxView.folder}-${nowISO().slice(0, 10)}.csv`, text, 'text/csv');
+    showToast(`${list.length} message(s) exported`);
   }
 
   // --------------------------
-  // Crypto: hash password (SHA-256)
+  // Export / Import
   // --------------------------
-  async function hashText(text){
-    const enc = new TextEncoder();
-    const data = enc.encode(text);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map(b => b.toString(16).padStart(2,'0')).join('');
+  function downloadFile(name, text, type){
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement('a'); a.href = url; a.download = name; a.click();
+    URL.revokeObjectURL(url);
+  }
+  async function exportFullDB(){
+    if(!requireAdmin()) return;
+    const db = await storage.exportDB({ stripAdmin: !qs('#exportCredentials').checked });
+    downloadFile('business-hub-db.json', JSON.stringify(db, null, 2), 'application/json');
+    showToast('DB exported');
   }
+  exportBtn.addEventListener('click', () => { router.go('/admin'); adminManage('export'); });
+  importBtn.addEventListener('click', () => { if(requireAdmin()) importFileInput.click(); });
+  importFileInput.addEventListener('change', () => importDBFile(importFileInput));
+
+  qs('#exportDb').addEventListener('click', exportFullDB);
+  qs('#importDb').addEventListener('click', () => { if(requireAdmin()) qs('#dbImportFile').click(); });
+  qs('#dbImportFile').addEventListener('change', () => importDBFile(qs('#dbImportFile')));
+  downloadDbBtn.addEventListener('click', exportFullDB);
 
   // --------------------------
-  // DOM elements
+  // Selective export (see bundle.js)
   // --------------------------
-  const dbEl = loadDB();
-  const themeToggle = qs('#themeToggle');
-  const yearEl = qs('#year');
+  const EXPORT_FORMATS = { json: { label: 'JSON', collections: ['thoughts', 'work', 'projects', 'messages'] }, ...bundle.FORMATS };
 
-  // Sections / UI
-  const thoughtGrid = qs('#thoughtGrid');
-  const thoughtEditor = qs('#thoughtEditor');
-  const thoughtFormEls = {
-    title: qs('#thoughtTitle'),
-    category: qs('#thoughtCategory'),
-    content: qs('#thoughtContent'),
-    image: qs('#thoughtImage')
-  };
-  let editingThoughtId = null;
+  function renderExport(){
+    const db = loadDB();
+    const el = qs('#adminArea');
+    el.innerHTML = `<h4>Export</h4>
+      <p class="small muted">Pick a format, then the collections and items to include. CSV opens in spreadsheets; the Markdown files carry YAML front matter for static-site generators. Every format imports back here.</p>
+      <div class="import-options">${Object.entries(EXPORT_FORMATS).map(([k, f], i) => `<label class="small"><input type="radio" name="exportFormat" value="${k}" ${i === 0 ? 'checked' : ''} /> ${f.label}</label>`).join('')}</div>
+      <div id="exportColls"></div>
+      <p id="exportHint" class="small muted"></p>
+      <div class="row"><button id="runExport" class="btn small primary">Export</button> <button id="exportAll" class="btn small ghost">Whole DB as JSON</button></div>`;
+    const format = () => qs('input[name="exportFormat"]:checked').value;
+    const itemLabel = (c, r) => c === 'messages' ? `${r.name} — ${r.subject || r.message.slice(0, 60)}` : r.title;
+    const draw = () => {
+      const f = format();
+      qs('#exportColls').innerHTML = EXPORT_FORMATS[f].collections.map(c => `
+        <div class="export-coll">
+          <label><input type="checkbox" data-coll="${c}" ${db[c].length ? 'checked' : 'disabled'} /> ${importer.LABELS[c]} (${db[c].length})</label>
+          ${db[c].length ? `<details><summary class="small">Choose items</summary>
+            ${db[c].map(r => `<label class="small"><input type="checkbox" data-item="${c}" value="${escapeHtml(r.id)}" checked /> ${escapeHtml(itemLabel(c, r))}</label>`).join('')}
+          </details>` : ''}
+        </div>`).join('');
+      qs('#exportHint').textContent = {
+        json: 'A JSON file in the same format as the full export, limited to what is picked here. Admin credentials follow the checkbox above.',
+        csv: 'One CSV file per collection; several are zipped together.',
+        markdown: 'A ZIP of .md files, one per item. Images are left out; use "ZIP with images" to include them.',
+        zip: 'Markdown for thoughts, work and projects, messages.csv, and the images in images/.'
+      }[f];
+      qsa('#exportColls [data-coll]').forEach(box => box.addEventListener('change', () => {
+        qsa(`#exportColls [data-item="${box.dataset.coll}"]`).forEach(i => { i.checked = box.checked; });
+      }));
+      qsa('#exportColls [data-item]').forEach(i => i.addEventListener('change', () => {
+        const items = qsa(`#exportColls [data-item="${i.dataset.item}"]`);
+        const box = qs(`#exportColls [data-coll="${i.dataset.item}"]`);
+        box.checked = items.some(x => x.checked);
+        box.indeterminate = box.checked && items.some(x => !x.checked);
+      }));
+    };
+    qsa('input[name="exportFormat"]').forEach(i => i.addEventListener('change', draw));
+    draw();
+    qs('#exportAll').onclick = exportFullDB;
+    qs('#runExport').onclick = () => {
+      const selection = {};
+      qsa('#exportColls [data-item]:checked').forEach(i => { (selection[i.dataset.item] = selection[i.dataset.item] || []).push(i.value); });
+      exportSelection(format(), selection).catch(e => { console.error(e); dialogs.alert('Export failed: ' + e.message); });
+    };
+  }
 
-  const workList = qs('#workList');
-  const workEditor = qs('#workEditor');
-  const workFormEls = {
-    title: qs('#workTitle'),
-    tags: qs('#workTags'),
-    content: qs('#workContent'),
-    image: qs('#workImage')
-  };
-  let editingWorkId = null;
+  // selection: {collection: [ids]}
+  async function exportSelection(format, selection){
+    if(!requireAdmin()) return;
+    const colls = Object.keys(selection);
+    if(!colls.length) return dialogs.alert('Pick at least one item to export');
+    const stamp = nowISO().slice(0, 10);
+    const count = colls.reduce((n, c) => n + selection[c].length, 0);
+    if(format === 'json'){
+      const full = await storage.exportDB({ stripAdmin: !qs('#exportCredentials').checked });
+      const out = { schemaVersion: full.schemaVersion, admin: full.admin, settings: full.settings, taxonomy: full.taxonomy };
+      colls.forEach(c => { out[c] = full[c].filter(r => selection[c].includes(r.id)); });
+      const used = storage.referencedImageIds(out);
+      out.images = Object.fromEntries(Object.entries(full.images).filter(([id]) => used.has(id)));
+      downloadFile(`business-hub-${stamp}.json`, JSON.stringify(out, null, 2), 'application/json');
+      return showToast(`${count} item(s) exported`);
+    }
+    const db = loadDB();
+    const picked = Object.fromEntries(colls.map(c => [c, db[c].filter(r => selection[c].includes(r.id))]));
+    const blobs = format === 'zip' ? await storage.imageBlobs(Array.from(storage.referencedImageIds(picked))) : [];
+    const imageFiles = bundle.imageFileNames(Object.fromEntries(blobs.map(i => [i.id, i.blob.type])));
+    const files = bundle.pack(db, format, selection, { imageFiles });
+    if(format === 'csv' && files.length === 1){
+      downloadFile(files[0].name.replace(/\.csv$/, `-${stamp}.csv`), files[0].data, 'text/csv');
+      return showToast(`${count} item(s) exported`);
+    }
+    for(const img of blobs) files.push({ name: imageFiles[img.id], data: new Uint8Array(await img.blob.arrayBuffer()) });
+    downloadFile(`business-hub-${format}-${stamp}.zip`, zip.create(files), 'application/zip');
+    showToast(`${count} item(s) exported${blobs.length ? ` with ${blobs.length} image(s)` : ''}`);
+  }
 
-  const projectGrid = qs('#projectGrid');
-  const projectEditor = qs('#projectEditor');
-  const projectFormEls = {
-    title: qs('#projectTitle'),
-    link: qs('#projectLink'),
-    desc: qs('#projectDesc'),
-    image: qs('#projectImage')
-  };
-  let editingProjectId = null;
+  // --------------------------
+  // Import preview (see importer.js)
+  // --------------------------
+  const MAX_IMPORT_BYTES = 50 * 1024 * 1024;
+  const IMPORT_TYPES = ['json', 'csv', 'md', 'markdown', 'zip'];
+  let pendingImport = null; // {name, incoming, present, images, moved, droppedImages, fromVersion, skipped}
+
+  // reads + validates the file, then shows what it would change; nothing is stored yet
+  function importDBFile(input){
+    const file = input.files[0];
+    input.value = '';
+    if(!file) return;
+    if(!requireAdmin()) return;
+    if(file.size > MAX_IMPORT_BYTES) return dialogs.alert(`That file is ${(file.size / 1024 / 1024).toFixed(1)} MB; imports are limited to ${MAX_IMPORT_BYTES / 1024 / 1024} MB.`);
+    const ext = ((file.name.match(/\.([a-z0-9]+)$/i) || [])[1] || '').toLowerCase();
+    if(!IMPORT_TYPES.includes(ext)) return dialogs.alert('Import takes a JSON export, a CSV or Markdown file, or a ZIP of them.');
+    const reader = new FileReader();
+    reader.onload = async () => {
+      try {
+        if(ext === 'json') return stageImport(file.name, JSON.parse(reader.result));
+        // CSV, Markdown and ZIP bundles (see bundle.js) arrive as plain collections at the current schema
+        const files = ext === 'zip' ? await zip.read(reader.result) : [{ name: file.name, data: reader.result }];
+        const { raw, skipped } = bundle.unpack(files);
+        stageImport(file.name, { ...raw, schemaVersion: storage.SCHEMA_VERSION }, skipped.length);
+      } catch (e) {
+        console.error(e);
+        dialogs.alert('Import failed: ' + (e instanceof SyntaxError ? 'the file is not valid JSON' : e.message));
+      }
+    };
+    if(ext === 'zip') reader.readAsArrayBuffer(file);
+    else reader.readAsText(file);
+  }
 
-  const contactForm = qs('#contactForm');
-  const savedMessagesEl = qs('#savedMessages');
+  function stageImport(name, raw, skipped = 0){
+    if(!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('the file is not a Business Hub export');
+    const present = importer.COLLECTIONS.concat(['taxonomy', 'revisions', 'trash', 'settings']).filter(k => raw[k] !== undefined);
+    if(!importer.COLLECTIONS.some(c => Array.isArray(raw[c]))) throw new Error('the file has none of thoughts, work, projects or messages');
+    const { db: incoming, images, moved, droppedImages, fromVersion } = storage.normalize(raw);
+    pendingImport = { name, incoming, present, images, moved, droppedImages, fromVersion, skipped };
+    router.go('/admin');
+    adminManage('import');
+  }
 
-  const adminLoginBox = qs('#loginBox');
-  const adminPanel = qs('#adminPanel');
-  const adminEmailEl = qs('#adminEmail');
-  const adminPassEl = qs('#adminPassword');
-  const loginBtn = qs('#loginBtn');
-  const setupBtn = qs('#setupBtn');
-  const logoutBtn = qs('#logoutBtn');
+  function renderImport(){
+    const el = qs('#adminArea');
+    if(!pendingImport){
+      el.innerHTML = `<h4>Import</h4>
+        <p class="small muted">Pick an export (JSON, CSV, Markdown or ZIP) to see what it contains before anything changes. A backup is taken before every import.</p>
+        <button id="pickImport" class="btn small">Choose file…</button>
+        <div id="backupList"></div>`;
+      qs('#pickImport').onclick = () => importFileInput.click();
+      renderBackups();
+      return;
+    }
+    const plan = pendingImport;
+    const p = importer.preview(loadDB(), plan.incoming, plan.present);
+    const rows = Object.entries(p.collections).map(([c, row]) => `<tr><td>${importer.LABELS[c]}</td><td>${row.added}</td><td>${row.conflicts}${row.conflicts ? ` <small class="muted">(${row.newer} newer in file)</small>` : ''}</td><td>${row.same}</td><td>${row.removed}</td></tr>`).join('');
+    const notes = [
+      plan.fromVersion !== storage.SCHEMA_VERSION ? `Upgraded from schema v${plan.fromVersion}.` : '',
+      plan.moved ? `${plan.moved} invalid record(s) will go to Quarantine.` : '',
+      plan.images.length ? `${plan.images.length} image(s).` : '',
+      plan.droppedImages ? `${plan.droppedImages} image(s) of an unsupported type skipped.` : '',
+      plan.skipped ? `${plan.skipped} file(s) that are neither content nor images skipped.` : '',
+      plan.incoming.admin ? 'The file contains admin credentials.' : '',
+      plan.incoming.settings && plan.incoming.settings.delivery ? 'Its message delivery settings are ignored; this site keeps its own.' : ''
+    ].filter(Boolean).join(' ');
+    el.innerHTML = `<h4>Import ${escapeHtml(plan.name)}</h4>
+      <p><strong>${escapeHtml(p.summary)}</strong></p>
+      <table class="import-table">
+        <thead><tr><th></th><th>New</th><th>Conflicts</th><th>Unchanged</th><th>Only here</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      ${notes ? `<p class="small muted">${escapeHtml(notes)}</p>` : ''}
+      <div class="import-options">
+        ${Object.entries(importer.STRATEGIES).map(([k, label], i) => `<label class="small"><input type="radio" name="importStrategy" value="${k}" ${i === 1 ? 'checked' : ''} /> ${label}</label>`).join('')}
+        <label class="small" id="collisionRow">Same id, different content:
+          <select id="importCollisions">${Object.entries(importer.COLLISIONS).map(([k, label]) => `<option value="${k}">${label}</option>`).join('')}</select>
+        </label>
+        ${plan.incoming.admin ? '<label class="small"><input id="importAdmin" type="checkbox" /> Also replace the admin login with the one in the file</label>' : ''}
+      </div>
+      <p id="importHint" class="small muted"></p>
+      <div class="row"><button id="applyImport" class="btn small primary">Import</button> <button id="cancelImport" class="btn small ghost">Cancel</button></div>`;
+    const strategy = () => qs('input[name="importStrategy"]:checked').value;
+    const hint = () => {
+      const s = strategy();
+      qs('#collisionRow').classList.toggle('hidden', s !== 'merge');
+      qs('#importHint').textContent = s === 'replace'
+        ? 'Everything in the collections above is replaced by the file ("Only here" items go away).'
+        : s === 'newest' ? 'Conflicting items keep whichever side was updated last; nothing is removed.'
+        : 'New items are added; nothing is removed.';
+    };
+    qsa('input[name="importStrategy"]').forEach(i => i.addEventListener('change', hint));
+    hint();
+    qs('#cancelImport').onclick = () => { pendingImport = null; adminManage('import'); };
+    qs('#applyImport').onclick = () => applyImport({
+      strategy: strategy(),
+      collisions: qs('#importCollisions').value,
+      withAdmin: !!(qs('#importAdmin') && qs('#importAdmin').checked)
+    });
+  }
 
-  // others
-  const newThoughtBtn = qs('#newThoughtBtn');
-  const cancelThoughtBtn = qs('#cancelThought');
-  const saveThoughtBtn = qs('#saveThought');
-  const newWorkBtn = qs('#newWorkBtn');
-  const cancelWorkBtn = qs('#cancelWork');
-  const saveWorkBtn = qs('#saveWork');
-  const newProjectBtn = qs('#newProjectBtn');
-  const cancelProjectBtn = qs('#cancelProject');
-  const saveProjectBtn = qs('#saveProject');
-  const exportBtn = qs('#exportBtn');
-  const importBtn = qs('#importBtn');
-  const importFileInput = qs('#importFile');
+  async function applyImport(opts){
+    if(!requireAdmin() || !pendingImport) return;
+    const plan = pendingImport;
+    if(opts.strategy === 'replace' && !await dialogs.confirm('Replace the current content with the file? A backup is taken first.', { ok: 'Replace' })) return;
+    try {
+      await storage.backup(`Before importing ${plan.name}`);
+    } catch (e) {
+      console.error(e);
+      return dialogs.alert('Could not take a backup, so nothing was imported: ' + (e && e.name === 'QuotaExceededError' ? 'storage is full' : e.message));
+    }
+    try {
+      const merged = importer.merge(loadDB(), plan.incoming, { ...opts, present: plan.present });
+      const images = Object.fromEntries(plan.images.map(i => [i.id, i.dataUrl]));
+      await storage.importDB({ ...merged, images });
+      pendingImport = null;
+      initApp();
+      adminManage('import');
+      showToast(plan.moved ? `Imported (${plan.moved} invalid record(s) quarantined)` : 'Imported');
+    } catch (e) {
+      console.error(e);
+      dialogs.alert('Import failed: ' + e.message);
+    }
+  }
 
-  const manageThoughtsBtn = qs('#manageThoughts');
-  const manageWorkBtn = qs('#manageWork');
-  const manageProjectsBtn = qs('#manageProjects');
-  const clearDataBtn = qs('#clearData');
-  const downloadDbBtn = qs('#downloadDbBtn');
+  async function renderBackups(){
+    const list = await storage.listBackups();
+    const el = qs('#backupList');
+    if(!el) return;
+    el.innerHTML = `<h4>Backups</h4>` + (list.map(b => `<div style="padding:8px;border-bottom:1px solid rgba(0,0,0,0.04)"><strong>${new Date(b.at).toLocaleString()}</strong> <small class="muted">${escapeHtml(b.note)} • ${importer.COLLECTIONS.map(c => `${b.counts[c]} ${importer.LABELS[c]}`).join(', ')}</small> <div style="float:right"><button class="btn small" data-id="${escapeHtml(b.id)}" data-action="backup.restore">Restore</button> <button class="btn small ghost" data-id="${escapeHtml(b.id)}" data-action="backup.delete">Delete</button></div><div style="clear:both"></div></div>`).join('') || '<div class="muted">No backups yet.</div>');
+  }
+  async function restoreBackup(id){
+    if(!requireAdmin() || !await dialogs.confirm('Replace the current DB with this backup? The current state is backed up first.', { ok: 'Restore' })) return;
+    try {
+      await storage.backup('Before restoring a backup');
+      await storage.restoreBackup(id);
+    } catch (e) { return dialogs.alert('Restore failed: ' + e.message); }
+    initApp(); adminManage('import'); showToast('Backup restored');
+  }
+  async function deleteBackup(id){
+    if(!requireAdmin() || !await dialogs.confirm('Delete this backup?', { ok: 'Delete', danger: true })) return;
+    await storage.deleteBackup(id);
+    renderBackups();
+  }
 
-  const categoryFilter = qs('#categoryFilter');
-  const searchThoughts = qs('#searchThoughts');
+  // a feed as the static build would write it when the site URL is set, else linking into this app
+  function feedText(format, category){
+    const db = loadDB();
+    const s = site.siteOf(db.settings);
+    const appUrl = location.href.split('#')[0];
+    return feeds.render(format, db, {
+      site: s, category,
+      homeUrl: s.url || appUrl,
+      selfUrl: s.url ? s.url + (category ? `category/${categorySlug(db, category)}/` : '') + feeds.FORMATS[format].file : '',
+      link: (coll, rec) => s.url ? `${s.url}${coll}/${rec.id}/` : appUrl + router.href(`/${coll}/${rec.id}`),
+      imageUrl: rec => rec.image && /^https?:\/\//i.test(rec.image) ? rec.image : ''
+    });
+  }
+
+  // the category's folder in the static build, which numbers published categories that slugify alike
+  function categorySlug(db, category){
+    const names = new Set(['thoughts', 'work', 'projects'].flatMap(c => db[c].filter(r => publish.isPublic(r) && r.category).map(r => r.category)));
+    return taxonomy.slugs(Array.from(names).sort((a, b) => a.localeCompare(b))).get(category);
+  }
 
   // --------------------------
-  // Renderers
+  // Media library (see media.js)
   // --------------------------
-  function updateStats(){
+  const sizeLabel = n => n >= 1024 * 1024 ? (n / 1024 / 1024).toFixed(1) + ' MB' : Math.max(1, Math.round(n / 1024)) + ' KB';
+  const assetSrc = a => storage.imageUrl(a.thumbId) || storage.imageUrl(a.imageId);
+
+  // every stored image; those that only revisions or the trash still use are marked `kept`
+  async function libraryAssets(){
     const db = loadDB();
-    qs('#statThoughts').textContent = db.thoughts.length;
-    qs('#statProjects').textContent = db.projects.length;
-    qs('#statContacts').textContent = db.messages.length;
+    const kept = storage.referencedImageIds({ revisions: db.revisions, trash: db.trash });
+    return media.assets(db, await storage.listImages(), kept);
   }
 
-  function renderCategoryOptions(){
-    const db = loadDB();
-    const cats = Array.from(new Set(db.thoughts.map(t => t.category || 'Uncategorized')));
-    categoryFilter.innerHTML = '<option value="all">All categories</option>' +
-      cats.map(c => `<option value="${c}">${c}</option>`).join('');
+  // resolves to the chosen assets, [] when closed; one unless opts.multiple
+  async function pickMedia(opts = {}){
+    const list = await libraryAssets();
+    if(!list.length){ showToast('The media library is empty — upload an image first'); return []; }
+    return new Promise(resolve => {
+      showViewer(() => resolve([]), `
+        <h3>${opts.multiple ? 'Choose images' : 'Choose an image'}</h3>
+        <div class="media-grid">${list.map((a, i) => `<button type="button" class="media-item" data-idx="${i}" aria-pressed="false">
+          <img src="${escapeHtml(assetSrc(a))}" alt="${escapeHtml(a.alt)}" />
+          <small>${escapeHtml(a.name || 'Untitled')}${a.width ? ` · ${a.width}×${a.height}` : ''}</small>
+        </button>`).join('')}</div>
+        ${opts.multiple ? '<div style="margin-top:8px"><button id="pickMediaDone" class="btn small primary">Add selected</button></div>' : ''}`);
+      const done = picked => { closeViewer(); resolve(picked); };
+      qsa('.media-item').forEach(b => b.onclick = () => {
+        if(!opts.multiple) return done([list[b.dataset.idx]]);
+        b.setAttribute('aria-pressed', String(b.getAttribute('aria-pressed') !== 'true'));
+      });
+      if(opts.multiple) qs('#pickMediaDone').onclick = () => done(qsa('.media-item[aria-pressed="true"]').map(b => list[b.dataset.idx]));
+    });
   }
 
-  function renderThoughts(){
-    const db = loadDB();
-    const q = searchThoughts.value.trim().toLowerCase();
-    const cat = categoryFilter.value;
-    let items = db.thoughts.slice().reverse();
-    if(cat && cat !== 'all') items = items.filter(it => (it.category||'').toLowerCase()===cat.toLowerCase());
-    if(q) items = items.filter(it => (it.title + ' ' + it.content).toLowerCase().includes(q));
-    thoughtGrid.innerHTML = items.map(t => `
-      <div class="card">
-        ${t.image ? `<div style="background-image:url('${t.image}');height:140px;background-size:cover;border-radius:8px;margin-bottom:10px"></div>` : ''}
-        <h3>${escapeHtml(t.title)}</h3>
-        <small class="muted">${escapeHtml(t.category || 'Uncategorized')} • ${new Date(t.updated||t.created).toLocaleString()}</small>
-        <p>${escapeHtml(truncate(t.content, 220))}</p>
-        <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:8px">
-          <button class="btn small" data-id="${t.id}" data-action="view">View</button>
-          <button class="btn small ghost" data-id="${t.id}" data-action="edit">Edit</button>
-          <button class="btn small ghost" data-id="${t.id}" data-action="delete">Delete</button>
-        </div>
-      </div>
-    `).join('') || '<div class="card">No thoughts yet — create one!</div>';
-
-    // attach actions
-    qsa('[data-action]').forEach(btn => {
-      btn.onclick = (e) => {
-        const id = btn.dataset.id;
-        const action = btn.dataset.action;
-        if(action === 'view') viewThought(id);
-        if(action === 'edit') openThoughtEditorFor(id);
-        if(action === 'delete') { if(confirm('Delete this thought?')) deleteThought(id); }
-      };
+  async function renderMedia(){
+    const adminArea = qs('#adminArea');
+    const list = await libraryAssets();
+    if(adminArea.dataset.area !== 'media') return;
+    const total = list.reduce((n, a) => n + a.size, 0);
+    adminArea.innerHTML = `<h4>Media library</h4>
+      <p class="small muted">${list.length} image(s), ${sizeLabel(total)} including thumbnails. Editor uploads are added here too; reuse them with “Choose from library”.</p>
+      <label class="file"><input id="mediaUpload" type="file" accept="${images.ACCEPT.join(',')}" multiple /><span>Upload images</span></label>` +
+      (list.map(a => `<div class="media-row" style="padding:8px;border-bottom:1px solid rgba(0,0,0,0.04)"><img src="${escapeHtml(assetSrc(a))}" alt="" /><strong>${escapeHtml(a.name || 'Untitled')}</strong> <small class="muted">${sizeLabel(a.size)}${a.width ? ` • ${a.width}×${a.height}` : ''}${a.created ? ' • ' + new Date(a.created).toLocaleDateString() : ''}</small> <div style="float:right"><button class="btn small ghost" data-id="${escapeHtml(a.imageId)}" data-action="media.delete">Delete</button></div>
+        <div class="small">${a.uses.length ? 'Used by ' + a.uses.map(u => escapeHtml(media.describe(u))).join(', ') : a.kept ? 'Only kept by history or the Trash' : '<span class="muted">Not used</span>'}</div>
+        ${a.entry ? `<input data-alt="${escapeHtml(a.entry.id)}" value="${escapeHtml(a.alt)}" placeholder="Default alt text" aria-label="Default alt text for ${escapeHtml(a.name || 'this image')}" />` : ''}<div style="clear:both"></div></div>`).join('') || '<div class="muted">No images yet.</div>');
+    qs('#mediaUpload').onchange = async e => {
+      const files = Array.from(e.target.files);
+      let n = 0;
+      for(const file of files){
+        try { await uploadToLibrary(file); n++; } catch (err) { /* storeUpload told the admin */ }
+      }
+      renderMedia();
+      if(n) showToast(`${n} image(s) added`);
+    };
+    qsa('#adminArea [data-alt]').forEach(input => input.onchange = () => {
+      const d = loadDB(); const entry = d.media.find(m => m.id === input.dataset.alt);
+      if(!entry) return;
+      entry.alt = input.value.trim(); saveDB(d); showToast('Alt text saved');
     });
   }
+  // the blobs are pruned straight away, so this one still asks first
+  async function deleteMedia(imageId){
+    if(!requireAdmin()) return;
+    const a = (await libraryAssets()).find(x => x.imageId === imageId);
+    if(!a) return;
+    const question = a.uses.length
+      ? `This image is used by ${a.uses.map(media.describe).join(', ')}. Delete it and take it off ${a.uses.length === 1 ? 'that item' : 'those items'}?`
+      : 'Delete this image?';
+    if(!await dialogs.confirm(question, { ok: 'Delete', danger: true })) return;
+    const d = loadDB();
+    const n = media.detach(d, a.imageId);
+    d.media = d.media.filter(m => m.imageId !== a.imageId);
+    saveDB(d); await storage.pruneImages(d);
+    if(n){ applySite(d); renderContent(); }
+    renderMedia();
+    showToast(a.kept ? 'Image deleted; history and the Trash keep their copy until cleared' : 'Image deleted');
+  }
 
-  function renderWork(){
-    const db = loadDB();
-    workList.innerHTML = db.work.slice().reverse().map(w => `
-      <div class="card">
-        <div style="display:flex;gap:12px">
-          ${w.image ? `<img src="${w.image}" style="width:140px;height:100px;object-fit:cover;border-radius:6px" />` : ''}
-          <div>
-            <h3>${escapeHtml(w.title)}</h3>
-            <small class="muted">${(w.tags||[]).join(', ')} • ${new Date(w.updated||w.created).toLocaleDateString()}</small>
-            <p>${escapeHtml(truncate(w.content,220))}</p>
-            <div style="display:flex;gap:8px;justify-content:flex-end">
-              <button class="btn small" data-id="${w.id}" data-action="editw">Edit</button>
-              <button class="btn small ghost" data-id="${w.id}" data-action="delw">Delete</button>
-            </div>
-          </div>
-        </div>
-      </div>
-    `).join('') || '<div class="card">No work updates yet.</div>';
+  // --------------------------
+  // Text helpers
+  // --------------------------
+  function escapeHtml(s){
+    return String(s == null ? '' : s)
+      .replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;')
+      .replace(/"/g,'&quot;').replace(/'/g,'&#39;');
+  }
+  function truncate(s, n){ s = s || ''; return s.length > n ? s.slice(0, n - 1) + '…' : s; }
+  // plain-text card excerpt of Markdown content
+  function excerpt(s, n){ return truncate(md.toText(s), n); }
+  function renderPreview(textarea, preview){ preview.innerHTML = md.render(textarea.value) || '<span class="muted">Preview</span>'; }
 
-    qsa('[data-action="editw"]').forEach(btn => btn.onclick = ()=> openWorkEditorFor(btn.dataset.id));
-    qsa('[data-action="delw"]').forEach(btn => btn.onclick = ()=> { if(confirm('Delete update?')) deleteWork(btn.dataset.id); });
+  // --------------------------
+  // Tag autocomplete
+  // --------------------------
+  // suggestion chips under a comma-separated tag input, completing the tag being typed
+  function attachTagSuggest(input){
+    const box = document.createElement('div');
+    box.className = 'tag-suggest';
+    input.after(box);
+    const update = () => {
+      const parts = input.value.split(',');
+      const cur = parts[parts.length - 1].trim().toLowerCase();
+      const have = new Set(parts.slice(0, -1).map(t => t.trim().toLowerCase()));
+      const hits = taxonomy.taxonomyOf(loadDB()).tags
+        .filter(t => !have.has(t.toLowerCase()) && t.toLowerCase() !== cur && t.toLowerCase().startsWith(cur))
+        .slice(0, 8);
+      box.innerHTML = hits.map(t => `<button type="button" class="chip" data-tag="${escapeHtml(t)}">${escapeHtml(t)}</button>`).join('');
+      box.querySelectorAll('[data-tag]').forEach(b => {
+        b.onmousedown = e => e.preventDefault(); // keep focus in the input
+        b.onclick = () => {
+          parts[parts.length - 1] = b.dataset.tag;
+          input.value = parts.map(t => t.trim()).join(', ') + ', ';
+          input.dispatchEvent(new Event('input', { bubbles: true })); // refreshes chips + autosave
+        };
+      });
+    };
+    input.addEventListener('input', update);
+    input.addEventListener('focus', update);
+    input.addEventListener('blur', () => { box.innerHTML = ''; });
   }
+  [thoughtFormEls.tags, workFormEls.tags, projectFormEls.tags].forEach(attachTagSuggest);
 
-  function renderProjects(){
-    const db = loadDB();
-    projectGrid.innerHTML = db.projects.slice().reverse().map(p => `
-      <div class="card project-card">
-        <div class="project-thumb" style="background-image:url('${p.image || ''}')"></div>
-        <h3>${escapeHtml(p.title)}</h3>
-        <p>${escapeHtml(truncate(p.desc,150))}</p>
-        <div style="display:flex;gap:8px;justify-content:space-between;align-items:center">
-          <div><a href="${p.link||'#'}" target="_blank" class="btn small outline">Open</a></div>
-          <div>
-            <button class="btn small ghost" data-id="${p.id}" data-action="editp">Edit</button>
-            <button class="btn small ghost" data-id="${p.id}" data-action="delp">Delete</button>
-          </div>
-        </div>
-      </div>
-    `).join('') || '<div class="card">No projects yet.</div>';
+  // --------------------------
+  // Global search (see search.js)
+  // --------------------------
+  const globalSearch = qs('#globalSearch');
+  const searchResults = qs('#searchResults');
+  const SEARCH_TYPES = { thoughts: 'Thought', work: 'Work', projects: 'Project', messages: 'Message' };
+
+  // plain-text docs for the index; messages are indexed but only returned to admins, spam only in the inbox
+  function searchDocs(db){
+    return [
+      ...db.thoughts.map(t => ({ key: 'thoughts:' + t.id, type: 'thoughts', id: t.id, title: t.title, tags: [t.category || '', ...(t.tags || [])], body: md.toText(t.content) })),
+      ...db.work.map(w => ({ key: 'work:' + w.id, type: 'work', id: w.id, title: w.title, tags: [w.category || '', ...(w.tags || [])], body: md.toText(w.content) })),
+      ...db.projects.map(p => ({ key: 'projects:' + p.id, type: 'projects', id: p.id, title: p.title, tags: [p.category || '', ...(p.tags || [])], body: md.toText(p.desc) })),
+      ...db.messages.map(m => ({ key: 'messages:' + m.id, type: 'messages', id: m.id, title: m.subject || m.name, tags: [m.name, m.email], body: m.message })),
+      ...db.spam.map(m => ({ key: 'spam:' + m.id, type: 'spam', id: m.id, title: m.subject || m.name, tags: [m.name, m.email], body: m.message }))
+    ];
+  }
+  function syncSearch(db){ searchIndex.sync(searchDocs(db)); }
 
-    qsa('[data-action="editp"]').forEach(btn => btn.onclick = ()=> openProjectEditorFor(btn.dataset.id));
-    qsa('[data-action="delp"]').forEach(btn => btn.onclick = ()=> { if(confirm('Delete project?')) deleteProject(btn.dataset.id); });
+  function resultHref(r){
+    return r.type === 'messages' ? router.href('/admin/messages/' + r.id) : router.href(`/${r.type}/${r.id}`);
   }
 
-  function renderMessages(){
+  function renderSearchResults(){
+    const q = globalSearch.value.trim();
+    if(!q){ searchResults.classList.add('hidden'); return; }
+    const types = ['thoughts', 'work', 'projects'].concat(auth.isAuthed() ? ['messages'] : []);
     const db = loadDB();
-    savedMessagesEl.innerHTML = db.messages.slice().reverse().map(m => `<li><strong>${escapeHtml(m.name)}</strong>: ${escapeHtml(truncate(m.message,80))}</li>`).join('') || '<li class="muted">No messages</li>';
+    const hits = searchIndex.search(q, { types })
+      .filter(r => r.type === 'messages' || db[r.type].some(x => x.id === r.id && listed(x)))
+      .slice(0, 8);
+    searchResults.innerHTML = hits.map(r => `
+      <a class="search-hit" href="${escapeHtml(resultHref(r))}">
+        <span class="badge">${SEARCH_TYPES[r.type]}</span> <strong>${r.titleHtml}</strong>
+        <small class="muted">${r.snippet}</small>
+      </a>`).join('') || '<div class="muted small" style="padding:8px">No results</div>';
+    searchResults.classList.remove('hidden');
   }
 
+  globalSearch.addEventListener('input', renderSearchResults);
+  globalSearch.addEventListener('focus', renderSearchResults);
+  globalSearch.addEventListener('keydown', e => {
+    if(e.key === 'Escape'){ globalSearch.value = ''; searchResults.classList.add('hidden'); }
+    if(e.key === 'Enter'){ const first = searchResults.querySelector('a'); if(first) first.click(); }
+  });
+  searchResults.addEventListener('click', e => { if(e.target.closest('a')) searchResults.classList.add('hidden'); });
+  document.addEventListener('click', e => { if(!e.target.closest('.global-search')) searchResults.classList.add('hidden'); });
+
   // --------------------------
-  // CRUD: Thoughts
+  // Site settings (see site.js)
   // --------------------------
-  async function openThoughtEditorFor(id = null){
-    editingThoughtId = id;
-    if(id){
-      const db = loadDB();
-      const it = db.thoughts.find(t => t.id === id);
-      if(!it) return showToast('Not found');
-      thoughtFormEls.title.value = it.title;
-      thoughtFormEls.category.value = it.category || '';
-      thoughtFormEls.content.value = it.content;
-      thoughtFormEls.image.value = '';
-      qs('#thoughtEditorTitle').textContent = 'Edit Thought';
-    } else {
-      thoughtFormEls.title.value = '';
-      thoughtFormEls.category.value = '';
-      thoughtFormEls.content.value = '';
-      thoughtFormEls.image.value = '';
-      qs('#thoughtEditorTitle').textContent = 'New Thought';
-    }
-    thoughtEditor.classList.remove('hidden');
+  const SITE_FIELDS = [
+    ['title', 'Site title'], ['tagline', 'Tagline'],
+    ['heroHeading', 'Hero heading'], ['heroText', 'Hero text'],
+    ['ctaPrimary', 'Main button'], ['ctaSecondary', 'Second button'],
+    ['email', 'Contact email'], ['phone', 'Phone'], ['address', 'Address'],
+    ['url', 'Published site URL']
+  ];
+
+  // puts the saved (or default) branding into the page
+  function applySite(db){
+    const s = site.siteOf(db.settings);
+    const text = (sel, v) => { const el = qs(sel); el.textContent = v; el.classList.toggle('hidden', !v); };
+    document.title = s.tagline ? `${s.title} — ${s.tagline}` : s.title;
+    text('#siteTitle', s.title);
+    text('#siteTagline', s.tagline);
+    text('#heroHeading', s.heroHeading);
+    text('#heroText', s.heroText);
+    qs('#heroCtaPrimary').textContent = s.ctaPrimary;
+    qs('#heroCtaSecondary').textContent = s.ctaSecondary;
+    qs('#footerBrand').textContent = s.title;
+    const email = qs('#contactEmail');
+    email.textContent = s.email; email.href = 'mailto:' + s.email;
+    qs('#contactEmailRow').classList.toggle('hidden', !s.email);
+    const phone = qs('#contactPhone');
+    phone.textContent = s.phone; phone.href = site.telHref(s.phone);
+    qs('#contactPhoneRow').classList.toggle('hidden', !s.phone);
+    text('#contactAddress', s.address);
+    qs('#socialLinks').innerHTML = Object.entries(s.social).map(([k, url]) =>
+      `<a class="chip" href="${escapeHtml(url)}" target="_blank" rel="noopener me">${escapeHtml(site.SOCIAL[k])}</a>`).join('');
+    lookPreview = null;
+    applyTheme(db);
+    qs('#favicon').href = (s.favicon && storage.imageUrl(s.favicon.imageId)) || 'data:,';
+  }
+  // shows unsaved colours until applySite() puts the saved ones back
+  function previewLook(look){
+    const d = loadDB();
+    lookPreview = { theme: theme.themeOf(d.settings), accent: site.siteOf(d.settings).accent, ...lookPreview, ...look };
+    applyTheme(d);
   }
-  async function saveThought(){
-    const title = thoughtFormEls.title.value.trim();
-    if(!title) return alert('Title required');
-    const category = thoughtFormEls.category.value.trim() || 'Uncategorized';
-    const content = thoughtFormEls.content.value.trim();
-    const file = thoughtFormEls.image.files[0];
-    const img = await fileToBase64(file);
 
-    const db = loadDB();
-    if(editingThoughtId){
-      const t = db.thoughts.find(x => x.id === editingThoughtId);
-      if(!t) return showToast('Not found');
-      t.title = title; t.category = category; t.content = content; if(img) t.image = img; t.updated = nowISO();
-      showToast('Thought updated');
-    } else {
-      db.thoughts.push({ id: uid(), title, category, content, image: img||null, created: nowISO() });
-      showToast('Thought saved');
-    }
-    saveDB(db);
-    thoughtEditor.classList.add('hidden');
-    renderCategoryOptions(); renderThoughts();
+  function renderSiteSettings(s){
+    let favicon = s.favicon; // replaced on upload, kept until Save
+    const field = ([key, label]) => `<label class="small">${label}<input data-site="${key}" value="${escapeHtml(s[key])}" /></label>`;
+    qs('#adminArea').innerHTML = `<h4>Site settings</h4>
+      <p class="small muted">Shown across the public site and included in DB exports. Leaving the title, hero heading or a button empty puts the default back; other empty fields are hidden.</p>
+      <div class="settings-grid">${SITE_FIELDS.map(field).join('')}</div>
+      <h4>Social links</h4>
+      <div class="settings-grid">${Object.entries(site.SOCIAL).map(([k, label]) =>
+        `<label class="small">${label}<input data-social="${k}" placeholder="https://…" value="${escapeHtml(s.social[k] || '')}" /></label>`).join('')}</div>
+      <h4>Look</h4>
+      <div class="row" style="flex-wrap:wrap;align-items:center">
+        <label class="small">Accent colour <input id="siteAccent" type="color" value="${s.accent || '#0e86d4'}" /></label>
+        <label class="small"><input id="siteAccentDefault" type="checkbox" ${s.accent ? '' : 'checked'} /> Use the theme's accent</label>
+        <span class="small">Favicon <img id="siteFaviconPreview" class="favicon-preview" alt="" /></span>
+        <label class="file small"><input id="siteFavicon" type="file" accept="image/png,image/svg+xml,image/x-icon,image/gif,image/jpeg" /><span>Upload</span></label>
+        <button id="siteFaviconClear" class="btn small ghost">Remove</button>
+      </div>
+      <div class="row" style="margin-top:8px"><button id="saveSite" class="btn small primary">Save</button> <button id="discardSite" class="btn small ghost">Discard changes</button></div>`;
+    const showFavicon = () => {
+      const src = favicon && storage.imageUrl(favicon.imageId);
+      qs('#siteFaviconPreview').src = src || '';
+      qs('#siteFaviconPreview').classList.toggle('hidden', !src);
+      qs('#siteFaviconClear').classList.toggle('hidden', !src);
+    };
+    const accent = () => qs('#siteAccentDefault').checked ? '' : qs('#siteAccent').value;
+    showFavicon();
+    // accent is previewed live; Discard or opening another admin view puts the saved one back
+    qs('#siteAccent').addEventListener('input', () => { qs('#siteAccentDefault').checked = false; previewLook({ accent: accent() }); });
+    qs('#siteAccentDefault').addEventListener('change', () => previewLook({ accent: accent() }));
+    qs('#siteFavicon').addEventListener('change', async e => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if(!file) return;
+      try { favicon = { imageId: await storeImage(file) }; } catch (err) { return; }
+      showFavicon();
+    });
+    qs('#siteFaviconClear').onclick = () => { favicon = null; showFavicon(); };
+    qs('#discardSite').onclick = () => { applySite(loadDB()); adminManage('site'); };
+    qs('#saveSite').onclick = () => {
+      if(!requireAdmin()) return;
+      const input = { social: {}, accent: accent(), favicon };
+      qsa('#adminArea [data-site]').forEach(i => { input[i.dataset.site] = i.value; });
+      qsa('#adminArea [data-social]').forEach(i => { input.social[i.dataset.social] = i.value; });
+      const { site: saved, errors } = site.clean(input);
+      if(errors.length) return dialogs.alert(errors.map(e => e.message).join('\n'));
+      const d = loadDB(); d.settings = { ...(d.settings || {}), site: saved }; saveDB(d);
+      storage.pruneImages(d); // drops a replaced favicon
+      applySite(d); adminManage('site'); showToast('Site settings saved');
+    };
   }
-  function cancelThought(){ thoughtEditor.classList.add('hidden'); }
-  function deleteThought(id){
-    const db = loadDB();
-    db.thoughts = db.thoughts.filter(t => t.id !== id);
-    saveDB(db); renderCategoryOptions(); renderThoughts();
-    showToast('Thought deleted');
+
+  // --------------------------
+  // Theme (see theme.js)
+  // --------------------------
+  const THEME_KEY = 'bhub_theme'; // this browser's mode: system / light / dark
+  const MODE_ICONS = { system: '🖥️', light: '☀️', dark: '🌙' };
+  const darkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+  let lookPreview = null; // {theme, accent} while the admin tries out unsaved colours
+
+  function themeMode(){ return theme.modeOf(localStorage.getItem(THEME_KEY)); }
+
+  // the browser's mode with the saved (or previewed) palette and accent over it
+  function applyTheme(db = loadDB()){
+    const look = lookPreview || { theme: theme.themeOf(db.settings), accent: site.siteOf(db.settings).accent };
+    const mode = themeMode();
+    const scheme = theme.schemeOf(mode, darkQuery.matches);
+    const root = document.documentElement;
+    root.classList.toggle('dark', scheme === 'dark');
+    const vars = theme.vars(look.theme, scheme, look.accent);
+    Object.keys(theme.VARS).forEach(k => {
+      if(vars['--' + k]) root.style.setProperty('--' + k, vars['--' + k]);
+      else root.style.removeProperty('--' + k);
+    });
+    const label = `Theme: ${theme.MODES[mode]} (switch to ${theme.MODES[theme.nextMode(mode)]})`;
+    themeToggle.textContent = MODE_ICONS[mode];
+    themeToggle.title = label;
+    themeToggle.setAttribute('aria-label', label);
   }
-  function viewThought(id){
-    const db = loadDB(); const t = db.thoughts.find(x=>x.id===id);
-    if(!t) return showToast('Not found');
-    // show a quick modal
-    const tmp = document.createElement('div');
-    tmp.className = 'modal';
-    tmp.style.position='fixed'; tmp.style.inset='10px'; tmp.style.background='rgba(0,0,0,0.6)'; tmp.style.display='flex'; tmp.style.alignItems='center'; tmp.style.justifyContent='center';
-    tmp.innerHTML = `<div style="max-width:800px;background:var(--card);padding:20px;border-radius:10px;overflow:auto">
-      ${t.image?`<img src="${t.image}" style="max-width:100%;border-radius:8px;margin-bottom:8px" />`:''}
-      <h2>${escapeHtml(t.title)}</h2>
-      <small class="muted">${escapeHtml(t.category)} • ${new Date(t.created).toLocaleString()}</small>
-      <div style="margin-top:12px">${nl2br(escapeHtml(t.content))}</div>
-      <div style="text-align:right;margin-top:12px"><button id="closeModal" class="btn">Close</button></div>
-    </div>`;
-    document.body.appendChild(tmp);
-    qs('#closeModal').onclick = ()=> tmp.remove();
+  themeToggle.addEventListener('click', () => {
+    localStorage.setItem(THEME_KEY, theme.nextMode(themeMode()));
+    applyTheme();
+  });
+  darkQuery.addEventListener('change', () => { if(themeMode() === 'system') applyTheme(); });
+
+  // palettes are edited as a whole and previewed as you go; Save stores them in the site settings
+  function renderThemeSettings(t){
+    let previewId = t.active; // the palette shown while editing: the last one touched
+    const colourCell = (p, scheme, k) => {
+      const set = p[scheme][k];
+      return `<td><input type="color" data-scheme="${scheme}" data-var="${k}" value="${set || theme.BUILT_IN[scheme][k]}" aria-label="${theme.VARS[k]} (${scheme})" />
+        <label class="small"><input type="checkbox" data-default="${scheme}.${k}" ${set ? '' : 'checked'} /> built-in</label></td>`;
+    };
+    const paletteBlock = p => `<fieldset class="palette" data-id="${escapeHtml(p.id)}">
+      <legend><input data-name value="${escapeHtml(p.name)}" placeholder="Palette name" aria-label="Palette name" /></legend>
+      <table class="palette-grid">
+        <tr><th></th>${theme.SCHEMES.map(sc => `<th>${theme.MODES[sc]}</th>`).join('')}</tr>
+        ${Object.entries(theme.VARS).map(([k, label]) => `<tr><th scope="row">${label}</th>${theme.SCHEMES.map(sc => colourCell(p, sc, k)).join('')}</tr>`).join('')}
+      </table>
+      <button type="button" class="btn small ghost" data-remove>Remove palette</button>
+    </fieldset>`;
+    const draw = t => {
+      qs('#adminArea').innerHTML = `<div id="themeForm"><h4>Theme</h4>
+        <p class="small muted">Visitors choose light, dark or system with the header button. A palette recolours either mode; colours left on “built-in” keep the default. Changes preview live — use the header button to see the other mode — until you save or discard.</p>
+        <label class="small">Active palette <select id="themeActive"><option value="">Built-in colours</option>${t.palettes.map(p => `<option value="${escapeHtml(p.id)}"${p.id === t.active ? ' selected' : ''}>${escapeHtml(p.name || 'Untitled')}</option>`).join('')}</select></label>
+        <div id="paletteList">${t.palettes.map(paletteBlock).join('') || '<p class="muted">No palettes yet.</p>'}</div>
+        <div class="row" style="margin-top:8px"><button id="addPalette" class="btn small ghost">Add palette</button> <button id="saveTheme" class="btn small primary">Save</button> <button id="discardTheme" class="btn small ghost">Discard changes</button></div></div>`;
+      const form = qs('#themeForm');
+      form.oninput = form.onchange = edited;
+      form.onclick = clicked;
+      preview();
+    };
+    // the form as theme settings
+    const read = () => ({
+      active: qs('#themeActive').value,
+      palettes: qsa('#paletteList .palette').map(f => {
+        const p = { id: f.dataset.id, name: f.querySelector('[data-name]').value.trim(), light: {}, dark: {} };
+        f.querySelectorAll('input[type=color]').forEach(i => {
+          if(!f.querySelector(`[data-default="${i.dataset.scheme}.${i.dataset.var}"]`).checked) p[i.dataset.scheme][i.dataset.var] = i.value;
+        });
+        return p;
+      })
+    });
+    const preview = () => {
+      const t = read();
+      const shown = t.palettes.some(p => p.id === previewId) ? previewId : t.active;
+      previewLook({ theme: theme.themeOf({ theme: { ...t, active: shown } }) });
+    };
+    const edited = e => {
+      const f = e.target.closest('.palette');
+      if(e.target.type === 'color') f.querySelector(`[data-default="${e.target.dataset.scheme}.${e.target.dataset.var}"]`).checked = false;
+      if(f) previewId = f.dataset.id;
+      else if(e.target.id === 'themeActive') previewId = e.target.value;
+      preview();
+    };
+    const clicked = e => {
+      const t = read();
+      if(e.target.id === 'addPalette'){
+        previewId = uid();
+        t.palettes.push({ id: previewId, name: `Palette ${t.palettes.length + 1}`, light: {}, dark: {} });
+        draw(t);
+      } else if(e.target.matches('[data-remove]')){
+        const id = e.target.closest('.palette').dataset.id;
+        t.palettes = t.palettes.filter(p => p.id !== id);
+        if(t.active === id) t.active = '';
+        draw(t);
+      } else if(e.target.id === 'discardTheme'){
+        applySite(loadDB()); adminManage('theme');
+      } else if(e.target.id === 'saveTheme'){
+        if(!requireAdmin()) return;
+        const { theme: saved, errors } = theme.clean(t);
+        if(errors.length) return dialogs.alert(errors.map(x => x.message).join('\n'));
+        const d = loadDB(); d.settings = { ...(d.settings || {}), theme: saved }; saveDB(d);
+        applySite(d); adminManage('theme'); showToast('Theme saved');
+      }
+    };
+    draw(t);
   }
 
   // --------------------------
-  // CRUD: Work
+  // Analytics (see analytics.js)
   // --------------------------
-  async function openWorkEditorFor(id = null){
-    editingWorkId = id;
-    if(id){
-      const db = loadDB(); const w = db.work.find(x=>x.id===id);
-      workFormEls.title.value = w.title; workFormEls.tags.value = (w.tags||[]).join(',');
-      workFormEls.content.value = w.content; workFormEls.image.value = '';
-      qs('#workEditorTitle').textContent = 'Edit Work';
-    } else {
-      workFormEls.title.value = ''; workFormEls.tags.value = ''; workFormEls.content.value = ''; workFormEls.image.value = '';
-      qs('#workEditorTitle').textContent = 'New Work';
-    }
-    workEditor.classList.remove('hidden');
+  // events wait here and are written in batches, so a burst of clicks is one storage write
+  let trackQueue = [];
+  let trackTimer = null;
+  let trackedSection = null; // the last section counted, so returning from an item isn't another view
+
+  // the admin's own browsing isn't counted, and neither is anyone asking not to be tracked
+  function track(type, data){
+    if(auth.isAuthed() || navigator.doNotTrack === '1') return;
+    trackQueue.push(analytics.event(type, data));
+    clearTimeout(trackTimer);
+    trackTimer = setTimeout(flushTracking, 2000);
   }
-  async function saveWork(){
-    const title = workFormEls.title.value.trim(); if(!title) return alert('Title required');
-    const tags = workFormEls.tags.value.split(',').map(s=>s.trim()).filter(Boolean);
-    const content = workFormEls.content.value.trim();
-    const file = workFormEls.image.files[0];
-    const img = await fileToBase64(file);
+  function flushTracking(){
+    clearTimeout(trackTimer);
+    if(!trackQueue.length) return;
+    storage.addEvents(trackQueue, analytics.MAX_EVENTS);
+    trackQueue = [];
+  }
+  function trackSection(name){
+    if(name === trackedSection) return;
+    trackedSection = name;
+    if(name !== 'admin') track('view', { section: name });
+  }
+  window.addEventListener('pagehide', flushTracking);
+  // outbound project links carry data-track (see cards.js)
+  document.addEventListener('click', e => {
+    const a = e.target.closest('[data-track]');
+    if(a) track(a.dataset.track, { coll: a.dataset.coll, id: a.dataset.id });
+  });
 
-    const db = loadDB();
-    if(editingWorkId){
-      const w = db.work.find(x=>x.id===editingWorkId);
-      w.title = title; w.tags = tags; w.content = content; if(img) w.image = img; w.updated = nowISO();
-      showToast('Work updated');
-    } else {
-      db.work.push({ id: uid(), title, tags, content, image: img||null, created: nowISO() });
-      showToast('Work saved');
-    }
-    saveDB(db); workEditor.classList.add('hidden'); renderWork();
+  const sectionLabel = name => { const a = qs(`.navlink[data-section="${name}"]`); return a ? a.textContent.trim() : name; };
+  const pct = n => (n * 100).toFixed(n < 0.1 ? 1 : 0) + '%';
+  async function renderAnalytics(days = 30){
+    const adminArea = qs('#adminArea');
+    flushTracking();
+    const events = await storage.readEvents();
+    if(adminArea.dataset.area !== 'analytics') return;
+    const s = analytics.summarize(events, loadDB(), { days });
+    const { conversion: conv } = s;
+    const tile = (value, label) => `<div class="metric"><strong>${value}</strong><span>${label}</span></div>`;
+    const bars = (list, total) => list.map(x => `<li><span>${escapeHtml(x.name)}</span> <span class="bar" style="width:${Math.round(x.count / total * 100)}%"></span> <small class="muted">${x.count}</small></li>`).join('');
+    adminArea.innerHTML = `<h4>Analytics</h4>
+      <p class="small muted">Counted in this browser's storage only: no cookies, no visitor ids and no third-party scripts. Your own visits while signed in, and visitors with Do Not Track on, aren't counted. Events aren't part of exports.</p>
+      <label class="small">Period <select id="analyticsRange">${Object.entries(analytics.RANGES).map(([d, label]) => `<option value="${d}"${Number(d) === days ? ' selected' : ''}>${label}</option>`).join('')}</select></label>
+      <div class="case-metrics">
+        ${Object.entries(analytics.TYPES).map(([t, label]) => tile(s.totals[t], label)).join('')}
+        ${tile(conv.rate == null ? '–' : pct(conv.rate), `Conversion (${conv.messages} message(s) / ${conv.views} contact view(s))`)}
+      </div>
+      <div class="chart-wrap">${analytics.chartSvg(s.series)}
+        <div class="chart-legend small">${['view', 'open', 'contact'].map(t => `<span class="chart-key chart-${t}">${analytics.TYPES[t]}</span>`).join(' ')}</div>
+      </div>
+      <div class="analytics-grid">
+        <div><h5>Top content</h5>${s.top.length ? `<ol class="top-list">${s.top.map(x => `<li><span class="badge">${analytics.LABELS[x.coll]}</span> ${x.title == null ? '<span class="muted">(deleted)</span>' : escapeHtml(x.title)} <small class="muted">${x.opens} open(s)${x.links ? `, ${x.links} link click(s)` : ''}</small></li>`).join('')}</ol>` : '<div class="muted">Nothing opened yet.</div>'}</div>
+        <div><h5>Opens by category</h5>${s.categories.length ? `<ul class="bar-list">${bars(s.categories, s.categories[0].count)}</ul>` : '<div class="muted">Nothing opened yet.</div>'}</div>
+        <div><h5>Section views</h5>${s.sections.length ? `<ul class="bar-list">${bars(s.sections.map(x => ({ ...x, name: sectionLabel(x.name) })), s.sections[0].count)}</ul>` : '<div class="muted">No views yet.</div>'}</div>
+      </div>
+      <div style="margin-top:8px;text-align:right"><button class="btn small ghost" data-action="analytics.clear">Clear analytics</button></div>`;
+    qs('#analyticsRange').onchange = e => renderAnalytics(Number(e.target.value));
   }
-  function cancelWork(){ workEditor.classList.add('hidden'); }
-  function deleteWork(id){ const db = loadDB(); db.work = db.work.filter(w=>w.id!==id); saveDB(db); renderWork(); showToast('Work deleted'); }
 
   // --------------------------
-  // CRUD: Projects
+  // Commands (see commands.js)
   // --------------------------
-  async function openProjectEditorFor(id=null){
-    editingProjectId = id;
-    if(id){
-      const db = loadDB(); const p = db.projects.find(x=>x.id===id);
-      projectFormEls.title.value = p.title; projectFormEls.link.value = p.link || ''; projectFormEls.desc.value = p.desc || '';
-      projectFormEls.image.value = ''; qs('#projectEditorTitle').textContent = 'Edit Project';
-    } else {
-      projectFormEls.title.value=''; projectFormEls.link.value=''; projectFormEls.desc.value=''; projectFormEls.image.value='';
-      qs('#projectEditorTitle').textContent = 'New Project';
-    }
-    projectEditor.classList.remove('hidden');
+  // card and admin-list buttons carry data-action="<type>.<verb>" and their arguments as data-*
+  const TYPES = { thoughts: 'thought', work: 'work', projects: 'project' };
+  const asAdmin = fn => (args, el) => requireAdmin() ? fn(args, el) : undefined;
+
+  // re-renders the admin list on show, e.g. after an undo changed what it lists
+  function refreshAdminList(){
+    const area = qs('#adminArea').dataset.area;
+    if(auth.isAuthed() && ['thoughts', 'work', 'projects', 'drafts', 'taxonomy', 'trash', 'quarantine'].includes(area)) adminManage(area);
   }
-  async function saveProject(){
-    const title = projectFormEls.title.value.trim(); if(!title) return alert('Title required');
-    const link = projectFormEls.link.value.trim();
-    const desc = projectFormEls.desc.value.trim();
-    const file = projectFormEls.image.files[0];
-    const img = await fileToBase64(file);
 
-    const db = loadDB();
-    if(editingProjectId){
-      const p = db.projects.find(x=>x.id===editingProjectId);
-      p.title = title; p.link = link; p.desc = desc; if(img) p.image = img; p.updated = nowISO();
-      showToast('Project updated');
-    } else {
-      db.projects.push({ id: uid(), title, link, desc, image: img||null, created: nowISO() });
-      showToast('Project saved');
-    }
-    saveDB(db); projectEditor.classList.add('hidden'); renderProjects();
+  // an undo entry that takes the given trash entries back out
+  function undoTrash(entries, label){
+    return {
+      label,
+      undo(){
+        const d = loadDB();
+        try { entries.forEach(t => revisions.untrash(d, t.id)); } catch (e) { return dialogs.alert('Could not undo: ' + e.message); }
+        saveDB(d); renderContent(); renderMessages(); refreshAdminList(); showToast('Restored');
+      }
+    };
   }
-  function cancelProject(){ projectEditor.classList.add('hidden'); }
-  function deleteProject(id){ const db = loadDB(); db.projects = db.projects.filter(p=>p.id!==id); saveDB(db); renderProjects(); showToast('Project deleted'); }
 
-  // --------------------------
-  // Contact handling
-  // --------------------------
-  contactForm.addEventListener('submit', async (e) => {
-    e.preventDefault();
-    const name = qs('#cname').value.trim();
-    const email = qs('#cemail').value.trim();
-    const subject = qs('#csubject').value.trim();
-    const message = qs('#cmessage').value.trim();
-    const endpoint = qs('#formspreeEndpoint').value.trim();
+  function taxonomyDone(d, msg){ saveDB(d); renderContent(); adminManage('taxonomy'); if(msg) showToast(msg); }
 
-    if(!name || !email || !message) return alert('Fill required fields');
+  // the open editor, if any: [element, save]
+  function openEditor(){
+    return [[thoughtEditor, saveThought], [workEditor, saveWork], [projectEditor, saveProject]].find(([el]) => dialogs.isOpen(el));
+  }
 
-    const payload = { name, email, subject, message, created: nowISO() };
+  function showShortcuts(){
+    const mac = commands.isMac();
+    showViewer(null, `<h3>Keyboard shortcuts</h3>
+      <table class="shortcuts">${commands.list(mac).map(s => `<tr><td><kbd>${escapeHtml(s.keys)}</kbd></td><td>${escapeHtml(s.label)}</td></tr>`).join('')}</table>`);
+  }
 
-    if(endpoint){
-      // try post to Formspree (user-provided endpoint). This is optional.
-      try {
-        const res = await fetch(endpoint, { method: 'POST', headers: {'Content-Type':'application/json'}, body: JSON.stringify(payload) });
-        if(res.ok) {
-          showToast('Message sent via Formspree');
-        } else {
-          showToast('Formspree returned error; saved locally');
-          saveLocalMessage(payload);
+  const COMMANDS = {
+    'thought.view': ({ id }) => openRoute('/thoughts/' + id),
+    'thought.edit': ({ id }) => openThoughtEditorFor(id),
+    'thought.history': ({ id }) => showHistory('thoughts', id),
+    'thought.delete': ({ id }) => deleteThought(id),
+    'work.view': ({ id }) => openRoute('/work/' + id),
+    'work.edit': ({ id }) => openWorkEditorFor(id),
+    'work.history': ({ id }) => showHistory('work', id),
+    'work.delete': ({ id }) => deleteWork(id),
+    'project.view': ({ id }) => openRoute('/projects/' + id),
+    'project.edit': ({ id }) => openProjectEditorFor(id),
+    'project.history': ({ id }) => showHistory('projects', id),
+    'project.delete': ({ id }) => deleteProject(id),
+    'project.move': asAdmin(({ id, delta }) => {
+      const d = loadDB();
+      if(!portfolio.move(d.projects, id, Number(delta))) return;
+      saveDB(d); renderProjects(); adminManage('projects');
+    }),
+    'draft.publish': asAdmin(({ coll, id }) => {
+      const d = loadDB(); const rec = d[coll].find(x => x.id === id);
+      if(!rec) return;
+      Object.assign(rec, publish.normalize('published', null)); rec.updated = nowISO();
+      revisions.commit(d, coll, rec, { note: 'Published' });
+      saveDB(d); renderContent(); adminManage('drafts'); showToast('Published');
+    }),
+    'message.delete': ({ id }) => messageAction(id, 'delete'),
+    'taxonomy.add': asAdmin(({ kind }) => {
+      const name = qs('#newTax_' + kind).value.trim(); if(!name) return;
+      const d = loadDB(); taxonomy.ensure(d, kind === 'category' ? { category: name } : { tags: [name] }); taxonomyDone(d, 'Added');
+    }),
+    'taxonomy.rename': asAdmin(async ({ kind, name }) => {
+      const to = await dialogs.prompt(`Rename ${kind} "${name}" to (an existing name merges them):`, name, { ok: 'Rename' });
+      if(!to || to.trim() === name) return;
+      const d = loadDB(); const n = taxonomy.rename(d, kind, name, to); taxonomyDone(d, `Renamed (${n} item(s) updated)`);
+    }),
+    'taxonomy.merge': asAdmin(async ({ kind }) => {
+      const picked = qsa(`#adminArea input[type=checkbox][data-kind="${kind}"]:checked`).map(c => c.value);
+      if(picked.length < 2) return showToast('Select at least two to merge');
+      const target = await dialogs.prompt(`Merge ${picked.join(', ')} into:`, picked[0], { ok: 'Merge' });
+      if(!target) return;
+      const d = loadDB(); const n = taxonomy.merge(d, kind, picked, target.trim()); taxonomyDone(d, `Merged (${n} item(s) updated)`);
+    }),
+    // undo puts the name back on the items it was taken off
+    'taxonomy.remove': asAdmin(({ kind, name }) => {
+      const d = loadDB();
+      const field = kind === 'category' ? 'category' : 'tags';
+      const before = Object.keys(TYPES).flatMap(coll => d[coll].map(r => ({ coll, id: r.id, value: r[field] })));
+      const n = taxonomy.remove(d, kind, name);
+      const touched = before.filter(b => { const rec = d[b.coll].find(r => r.id === b.id); return JSON.stringify(rec[field]) !== JSON.stringify(b.value); });
+      taxonomyDone(d);
+      return {
+        label: `Removed ${kind} "${name}" (${n} item(s) updated)`,
+        undo(){
+          const u = loadDB();
+          taxonomy.ensure(u, kind === 'category' ? { category: name } : { tags: [name] });
+          touched.forEach(t => { const rec = u[t.coll].find(r => r.id === t.id); if(rec) rec[field] = t.value; });
+          saveDB(u); renderContent(); refreshAdminList(); showToast('Restored');
         }
-      } catch (err) {
-        console.error(err);
-        saveLocalMessage(payload);
-        showToast('Network error; saved locally');
-      }
-    } else {
-      saveLocalMessage(payload);
-      showToast('Message saved locally');
-    }
-
-    contactForm.reset();
-    renderMessages();
-  });
+      };
+    }),
+    'trash.restore': asAdmin(({ id }) => {
+      const d = loadDB();
+      try { revisions.untrash(d, id); } catch (e) { return dialogs.alert(e.message); }
+      saveDB(d); renderContent(); renderMessages(); adminManage('trash'); showToast('Restored');
+    }),
+    // purging can't be taken back, so it still asks
+    'trash.purge': asAdmin(({ id }) => purgeTrash([id], 'Delete this item for good? This cannot be undone.')),
+    'trash.empty': asAdmin(() => purgeTrash(undefined, `Delete all ${loadDB().trash.length} item(s) in the Trash for good? This cannot be undone.`)),
+    'quarantine.discard': asAdmin(({ idx }) => {
+      const d = loadDB(); const i = Number(idx);
+      const [rec] = d.quarantine.splice(i, 1);
+      if(!rec) return;
+      saveDB(d); refreshAdminList();
+      return {
+        label: 'Record discarded',
+        undo(){ const u = loadDB(); u.quarantine.splice(i, 0, rec); saveDB(u); refreshAdminList(); showToast('Restored'); }
+      };
+    }),
+    'backup.restore': ({ id }) => restoreBackup(id),
+    'backup.delete': ({ id }) => deleteBackup(id),
+    'media.delete': ({ id }) => deleteMedia(id),
+    'data.clear': () => resetDB(),
+    'analytics.clear': asAdmin(async () => {
+      if(!await dialogs.confirm('Delete all recorded visits? The dashboard starts again from zero.', { ok: 'Clear analytics', danger: true })) return;
+      trackQueue = [];
+      await storage.clearEvents();
+      adminManage('analytics'); showToast('Analytics cleared');
+    }),
+    'app.undo': asAdmin(async () => { if(!await commands.undo()) showToast('Nothing to undo'); }),
+    'app.search': () => { globalSearch.focus(); globalSearch.select(); },
+    'app.shortcuts': showShortcuts,
+    // dialogs close themselves on Escape (see dialogs.js); this leaves a project page
+    'app.close': () => { if(!projectDetail.classList.contains('hidden')) qs('#projectBack').click(); },
+    'editor.save': () => { const open = openEditor(); if(open) open[1](); }
+  };
 
-  function saveLocalMessage(payload){
-    const db = loadDB();
-    db.messages.push({ id: uid(), ...payload });
-    saveDB(db);
+  async function purgeTrash(ids, question){
+    if(!await dialogs.confirm(question, { ok: 'Delete forever', danger: true })) return;
+    const d = loadDB(); const n = revisions.purge(d, ids);
+    saveDB(d); storage.pruneImages(d); adminManage('trash'); showToast(`${n} item(s) deleted for good`);
   }
 
+  Object.entries(COMMANDS).forEach(([name, handler]) => commands.register(name, handler));
+  commands.bind('/', 'app.search', { label: 'Search everything' });
+  commands.bind('mod+z', 'app.undo', { label: 'Undo the last delete' });
+  commands.bind('mod+s', 'editor.save', { label: 'Save the open editor', inFields: true, inDialogs: true });
+  commands.bind('escape', 'app.close', { label: 'Close the open dialog or project' });
+  commands.bind('?', 'app.shortcuts', { label: 'Show these shortcuts' });
+  commands.onUndoable(entry => showToast(entry.label, 6000, { label: 'Undo', run: () => commands.run('app.undo') }));
+  commands.onError(e => { console.error(e); showToast('Something went wrong: ' + e.message, 4000); });
+  commands.listen();
+
   // --------------------------
-  // Admin (client-side)
+  // Wiring
   // --------------------------
-  async function setupAdmin(){
-    const email = adminEmailEl.value.trim();
-    const pass = adminPassEl.value;
-    if(!email || !pass) return alert('Email + password required');
-    const passHash = await hashText(pass);
-    const db = loadDB();
-    db.admin = { email, passHash };
-    saveDB(db);
-    showToast('Admin created (local)');
-  }
+  newThoughtBtn.addEventListener('click', () => openThoughtEditorFor());
+  saveThoughtBtn.addEventListener('click', saveThought);
+  cancelThoughtBtn.addEventListener('click', cancelThought);
+  newWorkBtn.addEventListener('click', () => openWorkEditorFor());
+  saveWorkBtn.addEventListener('click', saveWork);
+  cancelWorkBtn.addEventListener('click', cancelWork);
+  newProjectBtn.addEventListener('click', () => openProjectEditorFor());
+  saveProjectBtn.addEventListener('click', saveProject);
+  cancelProjectBtn.addEventListener('click', cancelProject);
+  qs('#thoughtHistoryBtn').addEventListener('click', () => showHistory('thoughts', editingThoughtId));
+  qs('#workHistoryBtn').addEventListener('click', () => showHistory('work', editingWorkId));
+  qs('#projectHistoryBtn').addEventListener('click', () => showHistory('projects', editingProjectId));
+
+  [[thoughtFormEls.content, '#thoughtPreview'], [workFormEls.content, '#workPreview'], [projectFormEls.desc, '#projectPreview']]
+    .forEach(([ta, sel]) => ta.addEventListener('input', () => renderPreview(ta, qs(sel))));
+
+  // filters live in the URL so a filtered list can be shared; typing doesn't add history entries
+  categoryFilter.addEventListener('change', () => { router.replace('/thoughts', thoughtQuery()); renderThoughts(); });
+  searchThoughts.addEventListener('input', () => { router.replace('/thoughts', thoughtQuery()); renderThoughts(); });
+
+  const RENDER_LISTING = { thoughts: () => renderThoughts(), work: () => renderWork(), projects: () => renderProjects() };
+  Object.entries(listingControls).forEach(([coll, { sort, view }]) => {
+    sort.innerHTML = Object.entries(LISTING_SORTS[coll]).map(([k, label]) => `<option value="${k}">${label}</option>`).join('');
+    view.innerHTML = Object.entries(listing.VIEWS).map(([k, label]) => `<option value="${k}">${label}</option>`).join('');
+    sort.value = listingPrefs[coll].sort;
+    view.value = listingPrefs[coll].view;
+    listings[coll].setView(listingPrefs[coll].view);
+    sort.addEventListener('change', () => { listingPrefs[coll].sort = sort.value; saveListingPrefs(); RENDER_LISTING[coll](); });
+    view.addEventListener('change', () => { listingPrefs[coll].view = view.value; saveListingPrefs(); listings[coll].setView(view.value); });
+  });
 
-  async function loginAdmin(){
-    const email = adminEmailEl.value.trim();
-    const pass = adminPassEl.value;
-    if(!email || !pass) return alert('Email + password required');
-    const db = loadDB();
-    if(!db.admin) return alert('No admin set. Use Create Admin.');
-    const passHash = await hashText(pass);
-    if(db.admin.email === email && db.admin.passHash === passHash){
-      // show admin panel
-      adminLoginBox.classList.add('hidden');
-      adminPanel.classList.remove('hidden');
-      logoutBtn.classList.remove('hidden');
-      showToast('Logged in');
-    } else {
-      alert('Invalid credentials');
+  loginBtn.addEventListener('click', loginAdmin);
+  setupBtn.addEventListener('click', setupAdmin);
+  logoutBtn.addEventListener('click', logout);
+  qs('#openLogin').addEventListener('click', () => router.go('/admin'));
+
+  qs('#manageInbox').addEventListener('click', () => adminManage('inbox'));
+  qs('#manageDelivery').addEventListener('click', () => adminManage('delivery'));
+  qs('#manageSite').addEventListener('click', () => adminManage('site'));
+  qs('#manageTheme').addEventListener('click', () => adminManage('theme'));
+  qs('#manageFeeds').addEventListener('click', () => adminManage('feeds'));
+  qs('#manageExport').addEventListener('click', () => adminManage('export'));
+  qs('#manageImport').addEventListener('click', () => adminManage('import'));
+  manageThoughtsBtn.addEventListener('click', () => adminManage('thoughts'));
+  manageWorkBtn.addEventListener('click', () => adminManage('work'));
+  manageProjectsBtn.addEventListener('click', () => adminManage('projects'));
+  qs('#manageMedia').addEventListener('click', () => adminManage('media'));
+  qs('#projectGalleryUpload').addEventListener('change', async e => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    const added = [];
+    for(const file of files){
+      try { added.push(await uploadToLibrary(file)); } catch (err) { /* storeUpload told the admin */ }
     }
+    projectGallery.add(added);
+  });
+  qs('#projectGalleryPick').addEventListener('click', async () => projectGallery.add(await pickMedia({ multiple: true })));
+  qs('#manageDrafts').addEventListener('click', () => adminManage('drafts'));
+  qs('#manageTaxonomy').addEventListener('click', () => adminManage('taxonomy'));
+  qs('#manageTrash').addEventListener('click', () => adminManage('trash'));
+  qs('#manageQuarantine').addEventListener('click', () => adminManage('quarantine'));
+  qs('#manageAnalytics').addEventListener('click', () => adminManage('analytics'));
+
+  // --------------------------
+  // Routes (see router.js)
+  // --------------------------
+  const SECTIONS = ['home', 'thoughts', 'work', 'projects', 'contact', 'admin', 'deploy'];
+  // item views opened from a card go back in history on close; direct links go to the list
+  let openedInApp = false;
+  let keepScroll = false; // set while returning from an item view, so the page doesn't jump
+  function openRoute(path){ openedInApp = true; router.go(path); }
+  function closeTo(path){
+    const back = openedInApp;
+    openedInApp = false;
+    return () => { keepScroll = true; back ? history.back() : router.go(path); };
   }
 
-  function logout(){
-    adminLoginBox.classList.remove('hidden');
-    adminPanel.classList.add('hidden');
-    logoutBtn.classList.add('hidden');
-    showToast('Logged out');
+  function showSection(name){
+    closeProject();
+    const el = qs('#' + name);
+    if(el && el.scrollIntoView && !keepScroll) el.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    keepScroll = false;
+    trackSection(name);
+    qsa('.navlink').forEach(a => a.classList.toggle('active', a.dataset.section === name));
   }
 
-  function adminManage(area){
-    const adminArea = qs('#adminArea');
-    const db = loadDB();
-    if(area === 'thoughts'){
-      adminArea.innerHTML = `<h4>All Thoughts</h4>` + db.thoughts.map(t => `<div style="padding:8px;border-bottom:1px solid rgba(0,0,0,0.04)"><strong>${escapeHtml(t.title)}</strong> • ${escapeHtml(t.category)} <div style="float:right"><button class="btn small" data-id="${t.id}" data-act="edit">Edit</button> <button class="btn small ghost" data-id="${t.id}" data-act="del">Delete</button></div><div style="clear:both"></div></div>`).join('');
-      qsa('#adminArea [data-act]').forEach(b=> b.onclick = ()=>{ if(b.dataset.act==='edit') openThoughtEditorFor(b.dataset.id); else if(confirm('Delete?')) deleteThought(b.dataset.id); });
-    } else if(area === 'work'){
-      adminArea.innerHTML = `<h4>Work</h4>` + db.work.map(w => `<div style="padding:8px;border-bottom:1px solid rgba(0,0,0,0.04)"><strong>${escapeHtml(w.title)}</strong> <div style="float:right"><button class="btn small" data-id="${w.id}" data-act="editw">Edit</button><button class="btn small ghost" data-id="${w.id}" data-act="delw">Delete</button></div><div style="clear:both"></div></div>`).join('');
-      qsa('#adminArea [data-act="editw"]').forEach(b=> b.onclick = ()=> openWorkEditorFor(b.dataset.id));
-      qsa('#adminArea [data-act="delw"]').forEach(b=> b.onclick = ()=> { if(confirm('Delete?')) deleteWork(b.dataset.id); });
-    } else if(area === 'projects'){
-      adminArea.innerHTML = `<h4>Projects</h4>` + db.projects.map(p => `<div style="padding:8px;border-bottom:1px solid rgba(0,0,0,0.04)"><strong>${escapeHtml(p.title)}</strong> <div style="float:right"><button class="btn small" data-id="${p.id}" data-act="editp">Edit</button><button class="btn small ghost" data-id="${p.id}" data-act="delp">Delete</button></div><div style="clear:both"></div></div>`).join('');
-      qsa('#adminArea [data-act="editp"]').forEach(b=> b.onclick = ()=> openProjectEditorFor(b.dataset.id));
-      qsa('#adminArea [data-act="delp"]').forEach(b=> b.onclick = ()=> { if(confirm('Delete?')) deleteProject(b.dataset.id); });
+  function thoughtQuery(){
+    return { category: categoryFilter.value === 'all' ? '' : categoryFilter.value, tags: Array.from(tagFilters.thoughts).join(','), q: searchThoughts.value.trim() };
+  }
+  function applyThoughtQuery(query){
+    const cat = query.category || 'all';
+    if(!Array.from(categoryFilter.options).some(o => o.value === cat)){
+      categoryFilter.insertAdjacentHTML('beforeend', `<option value="${escapeHtml(cat)}">${escapeHtml(cat)}</option>`);
     }
+    categoryFilter.value = cat;
+    searchThoughts.value = query.q || '';
+    tagFilters.thoughts = new Set(taxonomy.parseTags(query.tags));
+    renderThoughts();
   }
 
+  router.add('/thoughts', ({ query }) => { closeViewer(); applyThoughtQuery(query); showSection('thoughts'); });
+  router.add('/thoughts/:id', ({ params }) => { showSection('thoughts'); viewThought(params.id, closeTo('/thoughts')); });
+  router.add('/work/:id', ({ params }) => { showSection('work'); viewWork(params.id, closeTo('/work')); });
+  router.add('/projects/:id', ({ params }) => { showSection('projects'); viewProject(params.id, closeTo('/projects')); });
+  router.add('/admin/messages/:id', ({ params }) => {
+    closeViewer(); showSection('admin');
+    if(!auth.isAuthed()) return;
+    const m = loadDB().messages.find(x => x.id === params.id);
+    if(m) inboxView.folder = Object.keys(INBOX_FOLDERS).find(k => k !== 'unread' && INBOX_FOLDERS[k].test(m)) || 'inbox';
+    adminManage('inbox');
+    openMessage(params.id);
+  });
+  router.add('/:section', ({ params }) => {
+    closeViewer();
+    showSection(SECTIONS.includes(params.section) ? params.section : 'home');
+  });
+  router.fallback(() => { closeViewer(); showSection('home'); });
+
   // --------------------------
-  // Export / Import
+  // Init
   // --------------------------
-  exportBtn.addEventListener('click', () => {
-    const db = loadDB();
-    const blob = new Blob([JSON.stringify(db, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a'); a.href = url; a
+  function initApp(){
+    applySite(loadDB()); // and the theme
+    yearEl.textContent = new Date().getFullYear();
+    syncSearch(loadDB());
+    watchSchedule(loadDB());
+    renderMessages();
+    updateStats();
+    applyAuthState(); // renders the content lists for this visitor
+  }
+
+  storage.onError(e => showToast('Could not save: ' + (e && e.name === 'QuotaExceededError' ? 'storage is full' : (e && e.message)), 4000));
+  auth.onChange(applyAuthState);
+  // expire idle sessions and put scheduled items live even when nobody clicks anything
+  setInterval(() => {
+    if(document.body.classList.contains('is-admin') && !auth.isAuthed()){ applyAuthState(); showToast('Session expired'); }
+    if(nextGoLive && Date.now() >= nextGoLive){ watchSchedule(loadDB()); renderContent(); updateStats(); }
+  }, 60 * 1000);
+  storage.init().then(() => {
+    initApp(); router.start(); runOutbox();
+    if(storage.readOnly()) dialogs.alert(`The saved data could not be loaded (${storage.readOnly()}), so the site is showing defaults. Nothing will be saved until the app is updated; your data is left as it is.`);
+  }).catch(e => { console.error(e); showToast('Could not open storage', 4000); });
+})();
@@ -0,0 +1,204 @@
+/* Business Hub — full-text search
+   - In-memory inverted index over plain-text docs {key, type, id, title, tags, body}
+   - Ranking: per-field boosts (title > tags > body), dampened term frequency, idf
+   - Query terms match exactly, by prefix, or within a small edit distance (typos);
+     every query term has to match something for a doc to be returned
+   - Results carry <mark>-highlighted title and body snippet HTML
+   - sync(docs) only re-indexes docs whose text changed, so it is cheap to call on every save
+   Works in the browser (BHub.search) and in Node (require).
+*/
+
+(() => {
+  const STOP = new Set(('a an and are as at be but by for from has have in is it its of on or that the this to was were will with').split(' '));
+  const DEFAULT_BOOSTS = { title: 3, tags: 2, body: 1 };
+  const PREFIX_FACTOR = 0.6;
+  const FUZZY_FACTOR = 0.35;
+  const WORD = /[\p{L}\p{N}]+/gu;
+
+  function escapeHtml(s){
+    return String(s == null ? '' : s)
+      .replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;')
+      .replace(/"/g,'&quot;').replace(/'/g,'&#39;');
+  }
+
+  // lower-case, accents stripped ("Café" -> "cafe")
+  function fold(s){
+    return String(s == null ? '' : s).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  }
+
+  function tokenize(s){
+    return (fold(s).match(WORD) || []).filter(t => !STOP.has(t));
+  }
+
+  // edit distance, giving up (returns max + 1) once it can't stay within max
+  function distance(a, b, max){
+    if(Math.abs(a.length - b.length) > max) return max + 1;
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for(let i = 1; i <= a.length; i++){
+      const cur = [i];
+      let best = i;
+      for(let j = 1; j <= b.length; j++){
+        cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        if(cur[j] < best) best = cur[j];
+      }
+      if(best > max) return max + 1;
+      prev = cur;
+    }
+    return prev[b.length];
+  }
+
+  // typos allowed for a query term of this length
+  function maxTypos(len){ return len >= 8 ? 2 : len >= 4 ? 1 : 0; }
+
+  function createIndex(opts = {}){
+    const boosts = { ...DEFAULT_BOOSTS, ...(opts.boosts || {}) };
+    const docs = new Map(); // key -> {doc, sig, terms}
+    const postings = new Map(); // term -> Map(key -> weight)
+    let sortedTerms = null; // rebuilt lazily for prefix lookups
+
+    function signature(doc){
+      return [doc.type, doc.title, (doc.tags || []).join('\u0001'), doc.body].join('\u0002');
+    }
+
+    function add(doc, sig){
+      const weights = new Map();
+      Object.keys(boosts).forEach(field => {
+        const text = field === 'tags' ? (doc.tags || []).join(' ') : doc[field];
+        const counts = new Map();
+        tokenize(text).forEach(t => counts.set(t, (counts.get(t) || 0) + 1));
+        counts.forEach((n, t) => weights.set(t, (weights.get(t) || 0) + boosts[field] * (1 + Math.log(n))));
+      });
+      weights.forEach((w, t) => {
+        if(!postings.has(t)){ postings.set(t, new Map()); sortedTerms = null; }
+        postings.get(t).set(doc.key, w);
+      });
+      docs.set(doc.key, { doc, sig, terms: Array.from(weights.keys()) });
+    }
+
+    function remove(key){
+      const entry = docs.get(key);
+      if(!entry) return false;
+      entry.terms.forEach(t => {
+        const p = postings.get(t);
+        p.delete(key);
+        if(!p.size){ postings.delete(t); sortedTerms = null; }
+      });
+      docs.delete(key);
+      return true;
+    }
+
+    // (re)indexes one doc; returns false when nothing changed
+    function upsert(doc){
+      const sig = signature(doc);
+      const cur = docs.get(doc.key);
+      if(cur && cur.sig === sig){ cur.doc = doc; return false; }
+      if(cur) remove(doc.key);
+      add(doc, sig);
+      return true;
+    }
+
+    // makes the index match `list` exactly; returns how many docs were touched
+    function sync(list){
+      const keep = new Set();
+      let touched = 0;
+      list.forEach(doc => { keep.add(doc.key); if(upsert(doc)) touched++; });
+      Array.from(docs.keys()).forEach(key => { if(!keep.has(key) && remove(key)) touched++; });
+      return touched;
+    }
+
+    function terms(){
+      if(!sortedTerms) sortedTerms = Array.from(postings.keys()).sort();
+      return sortedTerms;
+    }
+
+    // index terms a query term can stand for, with how much each counts
+    function expand(q){
+      const out = new Map();
+      if(postings.has(q)) out.set(q, 1);
+      const all = terms();
+      if(q.length >= 2){
+        let lo = 0, hi = all.length;
+        while(lo < hi){ const mid = (lo + hi) >> 1; if(all[mid] < q) lo = mid + 1; else hi = mid; }
+        for(let i = lo; i < all.length && all[i].startsWith(q); i++) if(!out.has(all[i])) out.set(all[i], PREFIX_FACTOR);
+      }
+      const typos = maxTypos(q.length);
+      if(typos && out.size === 0){
+        all.forEach(t => {
+          const d = distance(q, t, typos);
+          if(d <= typos) out.set(t, FUZZY_FACTOR / d);
+        });
+      }
+      return out;
+    }
+
+    // opts.types limits results to those doc types; opts.limit caps the count
+    function search(query, opts = {}){
+      const qterms = Array.from(new Set(tokenize(query)));
+      if(!qterms.length) return [];
+      const n = docs.size;
+      const scores = new Map(); // key -> {score, hits}
+      const highlightTerms = new Set();
+      qterms.forEach((q, qi) => {
+        expand(q).forEach((factor, term) => {
+          highlightTerms.add(term);
+          const p = postings.get(term);
+          const idf = Math.log(1 + n / p.size);
+          p.forEach((w, key) => {
+            const s = scores.get(key) || { score: 0, hits: new Set() };
+            s.score += w * idf * factor;
+            s.hits.add(qi);
+            scores.set(key, s);
+          });
+        });
+      });
+      const results = [];
+      scores.forEach((s, key) => {
+        if(s.hits.size !== qterms.length) return;
+        const { doc } = docs.get(key);
+        if(opts.types && !opts.types.includes(doc.type)) return;
+        results.push({ key, type: doc.type, id: doc.id, score: s.score, doc });
+      });
+      results.sort((a, b) => b.score - a.score);
+      return results.slice(0, opts.limit || results.length).map(r => ({
+        ...r,
+        titleHtml: highlight(r.doc.title, highlightTerms),
+        snippet: snippet(r.doc.body, highlightTerms, opts.snippetLength || 160)
+      }));
+    }
+
+    return { upsert, remove, sync, search, size: () => docs.size };
+  }
+
+  // --------------------------
+  // Highlighting
+  // --------------------------
+  // escaped text with words whose folded form is in `terms` wrapped in <mark>
+  function highlight(text, terms){
+    text = String(text == null ? '' : text);
+    let out = '', last = 0, m;
+    WORD.lastIndex = 0;
+    while((m = WORD.exec(text))){
+      if(terms.has(fold(m[0]))){
+        out += escapeHtml(text.slice(last, m.index)) + '<mark>' + escapeHtml(m[0]) + '</mark>';
+        last = m.index + m[0].length;
+      }
+    }
+    return out + escapeHtml(text.slice(last));
+  }
+
+  // a window of `len` chars around the first hit, highlighted
+  function snippet(text, terms, len){
+    text = String(text == null ? '' : text);
+    let first = -1, m;
+    WORD.lastIndex = 0;
+    while((m = WORD.exec(text))){ if(terms.has(fold(m[0]))){ first = m.index; break; } }
+    let start = first < 0 ? 0 : Math.max(0, first - Math.floor(len / 3));
+    if(start > 0){ const sp = text.indexOf(' ', start); if(sp > -1 && sp < first) start = sp + 1; }
+    const end = Math.min(text.length, start + len);
+    return (start > 0 ? '…' : '') + highlight(text.slice(start, end), terms) + (end < text.length ? '…' : '');
+  }
+
+  const api = { createIndex, tokenize, fold, distance, highlight };
+  if(typeof module !== 'undefined' && module.exports) module.exports = api;
+  else (window.BHub = window.BHub || {}).search = api;
+})();
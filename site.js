@@ -0,0 +1,87 @@
+/* Business Hub — site settings
+   - db.settings.site holds what used to be hard-coded in the page: title,
+     tagline, hero copy and buttons, contact details, social links, accent
+     colour and favicon ({imageId} in the image store), plus the public URL
+     the site is published at
+   - siteOf() fills in the defaults, so a DB without settings renders the
+     page exactly as shipped
+   - clean() checks an admin form submission before it is stored
+   Works in the browser (BHub.site) and in Node (require).
+*/
+
+(() => {
+  const DEFAULTS = {
+    title: 'Business Hub',
+    tagline: 'Ideas • Strategy • Work',
+    heroHeading: 'Your Business Ideas. Elevated.',
+    heroText: 'Share insights, manage projects, and showcase your work — fast and professional.',
+    ctaPrimary: 'Read Thoughts',
+    ctaSecondary: 'View Projects',
+    email: 'hello@business.hub',
+    phone: '+1 555 123 456',
+    address: '',
+    url: '', // where the published site lives (https://…/); feeds and the static build link to it
+    social: {}, // network -> URL, see SOCIAL
+    accent: '', // #rrggbb; empty keeps the theme's own accent
+    favicon: null // {imageId}
+  };
+  const SOCIAL = { website: 'Website', linkedin: 'LinkedIn', x: 'X', github: 'GitHub', instagram: 'Instagram', facebook: 'Facebook', youtube: 'YouTube' };
+  const TEXT_FIELDS = ['title', 'tagline', 'heroHeading', 'heroText', 'ctaPrimary', 'ctaSecondary', 'email', 'phone', 'address'];
+  const KEEP_DEFAULT = ['title', 'heroHeading', 'ctaPrimary', 'ctaSecondary']; // left blank, these go back to the default; the rest hide
+  const MAX_LENGTH = 300;
+  const EMAIL = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/;
+  const URL_RE = /^https?:\/\/\S+$/i;
+  const HEX = /^#[0-9a-f]{6}$/i;
+
+  // stored settings over the defaults; values of the wrong type are ignored
+  function siteOf(settings){
+    const saved = (settings && settings.site) || {};
+    const site = { ...DEFAULTS, social: {} };
+    TEXT_FIELDS.forEach(k => { if(typeof saved[k] === 'string') site[k] = saved[k]; });
+    Object.keys(SOCIAL).forEach(k => {
+      const url = saved.social && saved.social[k];
+      if(typeof url === 'string' && URL_RE.test(url)) site.social[k] = url;
+    });
+    if(typeof saved.url === 'string' && URL_RE.test(saved.url)) site.url = withSlash(saved.url);
+    if(typeof saved.accent === 'string' && HEX.test(saved.accent)) site.accent = saved.accent.toLowerCase();
+    if(saved.favicon && typeof saved.favicon.imageId === 'string') site.favicon = { imageId: saved.favicon.imageId };
+    return site;
+  }
+
+  // form values -> {site, errors: [{field, message}]}
+  function clean(input){
+    const site = { social: {} };
+    const errors = [];
+    TEXT_FIELDS.forEach(k => {
+      const v = String(input[k] == null ? '' : input[k]).trim();
+      if(v.length > MAX_LENGTH) errors.push({ field: k, message: `${k} is too long (${v.length}/${MAX_LENGTH} characters)` });
+      if(v || !KEEP_DEFAULT.includes(k)) site[k] = v;
+    });
+    if(site.email && !EMAIL.test(site.email)) errors.push({ field: 'email', message: 'That email address doesn\'t look right' });
+    Object.keys(SOCIAL).forEach(k => {
+      const url = String((input.social && input.social[k]) || '').trim();
+      if(!url) return;
+      if(URL_RE.test(url)) site.social[k] = url;
+      else errors.push({ field: 'social.' + k, message: `${SOCIAL[k]} link should start with http:// or https://` });
+    });
+    const url = String(input.url || '').trim();
+    if(url && !URL_RE.test(url)) errors.push({ field: 'url', message: 'Site URL should start with http:// or https://' });
+    site.url = url ? withSlash(url) : '';
+    const accent = String(input.accent || '').trim();
+    if(accent && !HEX.test(accent)) errors.push({ field: 'accent', message: 'Accent colour should look like #0e86d4' });
+    site.accent = accent.toLowerCase();
+    site.favicon = input.favicon && input.favicon.imageId ? { imageId: input.favicon.imageId } : null;
+    return { site, errors };
+  }
+
+  function withSlash(url){ return url.endsWith('/') ? url : url + '/'; }
+
+  // "tel:" link for a phone number as people write it
+  function telHref(phone){
+    return 'tel:' + String(phone || '').replace(/[^\d+]/g, '');
+  }
+
+  const api = { DEFAULTS, SOCIAL, siteOf, clean, telHref };
+  if(typeof module !== 'undefined' && module.exports) module.exports = api;
+  else (window.BHub = window.BHub || {}).site = api;
+})();
@@ -0,0 +1,728 @@
+/* Business Hub — storage module
+   - One DB object, stamped with a schema version, kept in memory so
+     load()/save() stay synchronous for the UI
+   - Pluggable adapters persist it: IndexedDB (default) or localStorage
+   - Images live as Blobs in their own store and are referenced by imageId
+   - Registered migrations upgrade older blobs step by step (v1 -> v2 -> ...)
+   - Records are validated per collection; bad rows go to db.quarantine
+     instead of taking the whole DB down with them
+   - A DB from a newer app version is left untouched: the app runs on
+     defaults and save() refuses to write over it (see readOnly())
+   - backup() keeps a few whole-DB snapshots beside the DB (taken before
+     imports); their images are kept until the snapshot is deleted
+   - Analytics events (see analytics.js) are their own collection beside
+     the DB too, so page views don't rewrite it and exports leave them out
+   Loaded before script.js; also require()-able from Node for the pure parts.
+*/
+
+(() => {
+  const DB_KEY = 'bhub_db_v2';
+  // older keys we still know how to read (newest first)
+  const LEGACY_KEYS = ['bhub_db_v1'];
+  const CORRUPT_PREFIX = 'bhub_db_corrupt_';
+  const IMAGES_KEY = 'bhub_images';
+  const BACKUPS_KEY = 'bhub_backups';
+  const MAX_BACKUPS = 3;
+  const EVENTS_KEY = 'bhub_analytics';
+  // image types an import may bring in; SVG can carry script, so it only comes in through the editor
+  const IMPORT_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif', 'image/x-icon', 'image/vnd.microsoft.icon'];
+  const IDB_NAME = 'bhub';
+  const SCHEMA_VERSION = 10;
+
+  const COLLECTIONS = ['thoughts', 'work', 'projects', 'messages', 'spam', 'media'];
+
+  function defaults(){
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      thoughts: [],
+      work: [],
+      projects: [],
+      messages: [],
+      spam: [], // contact messages filed as suspected spam (see contact.js)
+      media: [], // the image library, see media.js
+      settings: {}, // admin settings; settings.spam holds the spam rules
+      taxonomy: { categories: [], tags: [] }, // managed names, see taxonomy.js
+      revisions: [], // [{id, coll, recordId, at, note, snapshot}], see revisions.js
+      trash: [], // [{id, coll, record, deletedAt}]
+      admin: null, // {email, kdf, salt, iterations, passHash}
+      quarantine: [] // [{collection, record, errors, at}]
+    };
+  }
+
+  // --------------------------
+  // Schemas
+  // --------------------------
+  // field -> type list ('string', 'number', 'boolean', 'array', 'object', 'null').
+  // Fields in `required` must be present; everything else is optional but typed.
+  // `formats` (field -> a FORMATS name) also checks the shape of non-empty strings.
+  const FORMATS = {
+    id: /^[\w-]+$/, // ids end up in attributes and URLs, so nothing that needs escaping
+    url: /^https?:\/\/\S+$/i // links visitors click: no javascript: or data: URLs
+  };
+  const ID_FORMATS = { id: 'id', imageId: 'id', thumbId: 'id' };
+  const schemas = {
+    thoughts: {
+      required: { id: 'string', title: 'string', created: 'string' },
+      fields: { category: 'string', tags: 'array', status: 'string', publishAt: 'string|null', content: 'string', imageId: 'string|null', thumbId: 'string|null', imageAlt: 'string', focal: 'object|null', image: 'string|null', updated: 'string' },
+      formats: ID_FORMATS
+    },
+    work: {
+      required: { id: 'string', title: 'string', created: 'string' },
+      fields: { category: 'string', tags: 'array', status: 'string', publishAt: 'string|null', content: 'string', imageId: 'string|null', thumbId: 'string|null', imageAlt: 'string', focal: 'object|null', image: 'string|null', updated: 'string' },
+      formats: ID_FORMATS
+    },
+    projects: {
+      required: { id: 'string', title: 'string', created: 'string' },
+      fields: { category: 'string', tags: 'array', status: 'string', publishAt: 'string|null', link: 'string', desc: 'string', imageId: 'string|null', thumbId: 'string|null', imageAlt: 'string', focal: 'object|null', image: 'string|null', updated: 'string',
+        // case study, see portfolio.js
+        client: 'string', role: 'string', start: 'string', end: 'string', services: 'array', metrics: 'array', testimonial: 'object|null', gallery: 'array', featured: 'boolean', order: 'number' },
+      formats: { ...ID_FORMATS, link: 'url' }
+    },
+    messages: {
+      required: { id: 'string', name: 'string', email: 'string', message: 'string', created: 'string' },
+      // status: unread | read | archived; delivery: outbox state, see outbox.js (null = local only)
+      fields: { subject: 'string', status: 'string', readAt: 'string|null', repliedAt: 'string|null', delivery: 'object|null' },
+      formats: ID_FORMATS
+    },
+    spam: {
+      required: { id: 'string', name: 'string', email: 'string', message: 'string', created: 'string' },
+      fields: { subject: 'string', status: 'string', readAt: 'string|null', repliedAt: 'string|null', spamScore: 'number', spamReasons: 'array' },
+      formats: ID_FORMATS
+    },
+    media: {
+      required: { id: 'string', imageId: 'string', created: 'string' },
+      fields: { thumbId: 'string|null', name: 'string', alt: 'string', width: 'number', height: 'number' },
+      formats: ID_FORMATS
+    },
+    admin: {
+      required: { email: 'string', passHash: 'string' },
+      // absent on legacy SHA-256 admins until their next login
+      fields: { kdf: 'string', salt: 'string', iterations: 'number' }
+    }
+  };
+
+  function typeOf(v){
+    if(v === null) return 'null';
+    if(Array.isArray(v)) return 'array';
+    return typeof v;
+  }
+
+  function registerSchema(collection, schema){
+    const cur = schemas[collection] || { required: {}, fields: {} };
+    schemas[collection] = {
+      required: { ...cur.required, ...(schema.required || {}) },
+      fields: { ...cur.fields, ...(schema.fields || {}) },
+      formats: { ...cur.formats, ...(schema.formats || {}) }
+    };
+    if(collection !== 'admin' && !COLLECTIONS.includes(collection)) COLLECTIONS.push(collection);
+  }
+
+  // returns a list of problems, empty when the record is fine
+  function validateRecord(collection, rec){
+    const schema = schemas[collection];
+    if(!schema) return [];
+    if(typeOf(rec) !== 'object') return ['not an object'];
+    const errors = [];
+    Object.entries(schema.required).forEach(([k, types]) => {
+      if(rec[k] === undefined || rec[k] === '') errors.push(`missing ${k}`);
+      else if(!types.split('|').includes(typeOf(rec[k]))) errors.push(`${k} should be ${types}`);
+    });
+    Object.entries(schema.fields).forEach(([k, types]) => {
+      if(rec[k] !== undefined && !types.split('|').includes(typeOf(rec[k]))) errors.push(`${k} should be ${types}`);
+    });
+    Object.entries(schema.formats || {}).forEach(([k, format]) => {
+      if(typeof rec[k] === 'string' && rec[k] && !FORMATS[format].test(rec[k])) errors.push(`${k} is not a valid ${format}`);
+    });
+    return errors;
+  }
+
+  // moves invalid rows into db.quarantine; returns how many were moved
+  function validate(db){
+    const at = new Date().toISOString();
+    let moved = 0;
+    if(!Array.isArray(db.quarantine)) db.quarantine = [];
+    COLLECTIONS.forEach(name => {
+      if(!Array.isArray(db[name])){
+        if(db[name] !== undefined) db.quarantine.push({ collection: name, record: db[name], errors: ['collection is not a list'], at });
+        db[name] = [];
+        return;
+      }
+      const seen = new Set();
+      db[name] = db[name].filter(rec => {
+        const errors = validateRecord(name, rec);
+        if(!errors.length && seen.has(rec.id)) errors.push(`duplicate id ${rec.id}`);
+        if(errors.length){
+          db.quarantine.push({ collection: name, record: rec, errors, at });
+          moved++;
+          return false;
+        }
+        seen.add(rec.id);
+        return true;
+      });
+    });
+    if(db.admin != null){
+      const errors = validateRecord('admin', db.admin);
+      if(errors.length){
+        db.quarantine.push({ collection: 'admin', record: db.admin, errors, at });
+        db.admin = null;
+        moved++;
+      }
+    } else {
+      db.admin = null;
+    }
+    return moved;
+  }
+
+  // --------------------------
+  // Migrations
+  // --------------------------
+  // migrations[n] upgrades a version-n DB to version n+1 (mutate and/or return it).
+  // Steps get a ctx; ctx.images collects {id, dataUrl} pairs to hand to the image store.
+  const migrations = {};
+
+  function registerMigration(fromVersion, fn){
+    migrations[fromVersion] = fn;
+  }
+
+  // v1 had no version stamp, free-form tags and optional categories
+  registerMigration(1, db => {
+    COLLECTIONS.forEach(name => { if(db[name] == null) db[name] = []; });
+    (Array.isArray(db.work) ? db.work : []).forEach(w => {
+      if(w && typeof w.tags === 'string') w.tags = w.tags.split(',').map(s => s.trim()).filter(Boolean);
+    });
+    (Array.isArray(db.thoughts) ? db.thoughts : []).forEach(t => {
+      if(t && !t.category) t.category = 'Uncategorized';
+    });
+    if(db.admin === undefined) db.admin = null;
+    db.quarantine = [];
+    return db;
+  });
+
+  // v2 embedded images as data URLs; v3 moves them out to the image store
+  registerMigration(2, (db, ctx) => {
+    ['thoughts', 'work', 'projects'].forEach(name => (Array.isArray(db[name]) ? db[name] : []).forEach(rec => {
+      if(!rec || typeof rec !== 'object') return;
+      if(typeof rec.image === 'string' && rec.image.startsWith('data:')){
+        rec.imageId = newImageId();
+        ctx.images.push({ id: rec.imageId, dataUrl: rec.image });
+        delete rec.image;
+      } else if(!rec.image) {
+        delete rec.image; // external URLs stay in `image`
+      }
+    }));
+    return db;
+  });
+
+  // v4: every content record has category + tags; db.taxonomy lists the names in use
+  registerMigration(3, db => {
+    const cats = new Map(), tags = new Map(); // lower-case -> first spelling seen
+    ['thoughts', 'work', 'projects'].forEach(name => (Array.isArray(db[name]) ? db[name] : []).forEach(rec => {
+      if(!rec || typeof rec !== 'object') return;
+      if(typeof rec.category !== 'string') rec.category = name === 'thoughts' ? 'Uncategorized' : '';
+      if(!Array.isArray(rec.tags)) rec.tags = [];
+      if(rec.category && rec.category !== 'Uncategorized' && !cats.has(rec.category.toLowerCase())) cats.set(rec.category.toLowerCase(), rec.category);
+      rec.tags.forEach(t => { if(typeof t === 'string' && !tags.has(t.toLowerCase())) tags.set(t.toLowerCase(), t); });
+    }));
+    db.taxonomy = { categories: Array.from(cats.values()), tags: Array.from(tags.values()) };
+    return db;
+  });
+
+  // v5: content has a publishing status (see publish.js); everything that existed was live
+  registerMigration(4, db => {
+    ['thoughts', 'work', 'projects'].forEach(name => (Array.isArray(db[name]) ? db[name] : []).forEach(rec => {
+      if(!rec || typeof rec !== 'object') return;
+      if(typeof rec.status !== 'string') rec.status = 'published';
+      if(rec.publishAt === undefined) rec.publishAt = typeof rec.created === 'string' ? rec.created : null;
+    }));
+    return db;
+  });
+
+  // v6: revision history and a trash for soft deletes (see revisions.js)
+  registerMigration(5, db => {
+    if(!Array.isArray(db.revisions)) db.revisions = [];
+    if(!Array.isArray(db.trash)) db.trash = [];
+    return db;
+  });
+
+  // v7: messages have an inbox status; nobody has triaged the old ones yet
+  registerMigration(6, db => {
+    (Array.isArray(db.messages) ? db.messages : []).forEach(m => {
+      if(m && typeof m === 'object' && typeof m.status !== 'string') m.status = 'unread';
+    });
+    return db;
+  });
+
+  // v8: suspected spam lives in its own collection instead of being a message status
+  registerMigration(7, db => {
+    const msgs = Array.isArray(db.messages) ? db.messages : [];
+    db.spam = (Array.isArray(db.spam) ? db.spam : []).concat(msgs.filter(m => m && m.status === 'spam').map(m => ({ ...m, status: 'read' })));
+    db.messages = msgs.filter(m => !(m && m.status === 'spam'));
+    if(!db.settings || typeof db.settings !== 'object' || Array.isArray(db.settings)) db.settings = {};
+    return db;
+  });
+
+  // v9: an image library (db.media); projects get a manual order that keeps today's newest-first grid
+  registerMigration(8, db => {
+    if(!Array.isArray(db.media)) db.media = [];
+    const projects = Array.isArray(db.projects) ? db.projects : [];
+    projects.slice().reverse().forEach((p, i) => { if(p && typeof p === 'object' && typeof p.order !== 'number') p.order = i; });
+    return db;
+  });
+
+  // v10: project links must be http(s) URLs (FORMATS.url); a bare "mysite.com" gets https://,
+  // anything else that isn't a web address (javascript:, mailto:, free text) is cleared
+  registerMigration(9, db => {
+    (Array.isArray(db.projects) ? db.projects : []).forEach(p => {
+      if(!p || typeof p !== 'object' || typeof p.link !== 'string') return;
+      const link = p.link.trim();
+      if(!link || FORMATS.url.test(link)) p.link = link;
+      else if(/^[\w-]+(\.[\w-]+)+(:\d+)?([/?#]\S*)?$/.test(link)) p.link = 'https://' + link;
+      else p.link = '';
+    });
+    return db;
+  });
+
+  function versionOf(db){
+    return Number.isInteger(db && db.schemaVersion) ? db.schemaVersion : 1;
+  }
+
+  // brings any older blob up to SCHEMA_VERSION; throws on blobs from the future
+  function migrate(db, ctx = { images: [] }){
+    let version = versionOf(db);
+    if(version > SCHEMA_VERSION) throw new Error(`DB schema v${version} is newer than this app (v${SCHEMA_VERSION})`);
+    while(version < SCHEMA_VERSION){
+      const step = migrations[version];
+      if(!step) throw new Error(`No migration registered from v${version}`);
+      db = step(db, ctx) || db;
+      version++;
+      db.schemaVersion = version;
+    }
+    return db;
+  }
+
+  // migrate + validate, for data coming from anywhere (storage, import files).
+  // Exports carry their images as an {id: dataUrl} map, which is split off here;
+  // anything that isn't a data URL of an allowed image type is dropped and counted.
+  function normalize(raw){
+    if(typeOf(raw) !== 'object') throw new Error('DB must be a JSON object');
+    const ctx = { images: [], droppedImages: 0 };
+    if(typeOf(raw.images) === 'object'){
+      Object.entries(raw.images).forEach(([id, dataUrl]) => {
+        const type = typeof dataUrl === 'string' && (dataUrl.match(/^data:([^;,]+)[;,]/) || [])[1];
+        if(type && IMPORT_IMAGE_TYPES.includes(type.toLowerCase()) && /^img_[a-z0-9]+$/i.test(id)) ctx.images.push({ id, dataUrl });
+        else ctx.droppedImages++;
+      });
+    }
+    delete raw.images;
+    const fromVersion = versionOf(raw);
+    const db = migrate(raw, ctx);
+    const moved = validate(db);
+    return { db, moved, images: ctx.images, droppedImages: ctx.droppedImages, fromVersion, changed: !!moved || fromVersion !== SCHEMA_VERSION };
+  }
+
+  // --------------------------
+  // Image helpers
+  // --------------------------
+  function newImageId(){ return 'img_' + Date.now().toString(36) + Math.random().toString(36).slice(2,7); }
+
+  function dataUrlToBlob(dataUrl){
+    const [head, body] = dataUrl.split(',');
+    const type = (head.match(/^data:([^;,]+)/) || [])[1] || 'application/octet-stream';
+    if(!/;base64$/.test(head)) return new Blob([decodeURIComponent(body)], { type });
+    const bin = atob(body);
+    const bytes = new Uint8Array(bin.length);
+    for(let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return new Blob([bytes], { type });
+  }
+
+  function blobToDataUrl(blob){
+    return new Promise((res, rej) => {
+      const reader = new FileReader();
+      reader.onload = () => res(reader.result);
+      reader.onerror = () => rej(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  // every imageId / thumbId referenced anywhere in the DB (records, quarantine, ...)
+  function referencedImageIds(db){
+    const ids = new Set();
+    (function walk(v){
+      if(Array.isArray(v)) return v.forEach(walk);
+      if(!v || typeof v !== 'object') return;
+      Object.entries(v).forEach(([k, x]) => {
+        if((k === 'imageId' || k === 'thumbId') && typeof x === 'string') ids.add(x);
+        else if(k === 'imageIds' && Array.isArray(x)) x.forEach(id => typeof id === 'string' && ids.add(id));
+        else walk(x);
+      });
+    })(db);
+    return ids;
+  }
+
+  // --------------------------
+  // Adapters
+  // --------------------------
+  // An adapter persists the DB and the image Blobs. All methods return promises:
+  //   read() -> raw DB object or null, write(db), clear(),
+  //   getImages() -> [{id, blob}], putImage(id, blob), deleteImage(id),
+  //   readBackups() -> [{id, at, note, db}], writeBackups(list),
+  //   readEvents() -> [analytics event], writeEvents(list),
+  //   estimate() -> {usage, quota} in bytes
+
+  function readRaw(){
+    const cur = localStorage.getItem(DB_KEY);
+    if(cur != null) return { key: DB_KEY, raw: cur };
+    for(const key of LEGACY_KEYS){
+      const raw = localStorage.getItem(key);
+      if(raw != null) return { key, raw };
+    }
+    return null;
+  }
+
+  // keep the unreadable blob around so nothing is lost, then start fresh
+  function stashCorrupt(raw, err){
+    const key = CORRUPT_PREFIX + Date.now();
+    try { localStorage.setItem(key, raw); } catch (e) { console.error('Could not keep corrupt DB', e); }
+    console.error(`DB unreadable, kept as ${key}`, err);
+  }
+
+  function localAdapter(){
+    function images(){
+      try { return JSON.parse(localStorage.getItem(IMAGES_KEY)) || {}; } catch (e) { return {}; }
+    }
+    return {
+      name: 'localStorage',
+      async read(){
+        const found = readRaw();
+        if(!found) return null;
+        try {
+          return JSON.parse(found.raw);
+        } catch (e) {
+          stashCorrupt(found.raw, e);
+          localStorage.removeItem(found.key);
+          return null;
+        }
+      },
+      async write(db){
+        localStorage.setItem(DB_KEY, JSON.stringify(db));
+        LEGACY_KEYS.forEach(k => localStorage.removeItem(k));
+      },
+      async clear(){
+        [DB_KEY, IMAGES_KEY, BACKUPS_KEY, EVENTS_KEY, ...LEGACY_KEYS].forEach(k => localStorage.removeItem(k));
+      },
+      async readBackups(){
+        try { return JSON.parse(localStorage.getItem(BACKUPS_KEY)) || []; } catch (e) { return []; }
+      },
+      async writeBackups(list){
+        localStorage.setItem(BACKUPS_KEY, JSON.stringify(list));
+      },
+      async readEvents(){
+        try { return JSON.parse(localStorage.getItem(EVENTS_KEY)) || []; } catch (e) { return []; }
+      },
+      async writeEvents(list){
+        localStorage.setItem(EVENTS_KEY, JSON.stringify(list));
+      },
+      async getImages(){
+        return Object.entries(images()).map(([id, dataUrl]) => ({ id, blob: dataUrlToBlob(dataUrl) }));
+      },
+      async putImage(id, blob){
+        const all = images();
+        all[id] = await blobToDataUrl(blob);
+        localStorage.setItem(IMAGES_KEY, JSON.stringify(all));
+      },
+      async deleteImage(id){
+        const all = images();
+        delete all[id];
+        localStorage.setItem(IMAGES_KEY, JSON.stringify(all));
+      },
+      async estimate(){
+        // browsers cap localStorage at roughly 5M UTF-16 characters per origin
+        let chars = 0;
+        for(let i = 0; i < localStorage.length; i++){
+          const k = localStorage.key(i);
+          chars += k.length + (localStorage.getItem(k) || '').length;
+        }
+        return { usage: chars * 2, quota: 5 * 1024 * 1024 * 2 };
+      }
+    };
+  }
+
+  function idbAdapter(){
+    let opening = null;
+    function open(){
+      if(!opening) opening = new Promise((res, rej) => {
+        const req = indexedDB.open(IDB_NAME, 1);
+        req.onupgradeneeded = () => {
+          const idb = req.result;
+          if(!idb.objectStoreNames.contains('kv')) idb.createObjectStore('kv');
+          if(!idb.objectStoreNames.contains('images')) idb.createObjectStore('images', { keyPath: 'id' });
+        };
+        req.onsuccess = () => res(req.result);
+        req.onerror = () => rej(req.error);
+      });
+      return opening;
+    }
+    // runs fn against one store and resolves with the request's result once the transaction commits
+    async function tx(store, mode, fn){
+      const idb = await open();
+      return new Promise((res, rej) => {
+        const t = idb.transaction(store, mode);
+        const req = fn(t.objectStore(store));
+        t.oncomplete = () => res(req ? req.result : undefined);
+        t.onerror = () => rej(t.error);
+        t.onabort = () => rej(t.error);
+      });
+    }
+    return {
+      name: 'IndexedDB',
+      read: () => tx('kv', 'readonly', s => s.get('db')).then(v => v || null),
+      write: db => tx('kv', 'readwrite', s => s.put(db, 'db')),
+      clear: () => Promise.all([tx('kv', 'readwrite', s => s.clear()), tx('images', 'readwrite', s => s.clear())]),
+      getImages: () => tx('images', 'readonly', s => s.getAll()),
+      putImage: (id, blob) => tx('images', 'readwrite', s => s.put({ id, blob, type: blob.type, size: blob.size, created: new Date().toISOString() })),
+      deleteImage: id => tx('images', 'readwrite', s => s.delete(id)),
+      readBackups: () => tx('kv', 'readonly', s => s.get('backups')).then(v => v || []),
+      writeBackups: list => tx('kv', 'readwrite', s => s.put(list, 'backups')),
+      readEvents: () => tx('kv', 'readonly', s => s.get('analytics')).then(v => v || []),
+      writeEvents: list => tx('kv', 'readwrite', s => s.put(list, 'analytics')),
+      async estimate(){
+        if(typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate){
+          const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+          return { usage, quota };
+        }
+        const imgs = await this.getImages();
+        return { usage: imgs.reduce((n, i) => n + i.blob.size, 0), quota: 0 };
+      }
+    };
+  }
+
+  const adapters = { local: localAdapter, idb: idbAdapter };
+
+  // --------------------------
+  // In-memory DB + write-through
+  // --------------------------
+  let adapter = null;
+  let cache = JSON.stringify(defaults()); // current DB as JSON; load() hands out fresh copies
+  let writing = Promise.resolve();
+  let frozen = null; // set by init() when the stored DB is from a newer app; see readOnly()
+  const imageUrls = new Map(); // imageId -> object URL
+  const errorHandlers = [];
+
+  function onError(fn){ errorHandlers.push(fn); }
+  function reportError(err){
+    console.error('Storage error', err);
+    errorHandlers.forEach(fn => fn(err));
+  }
+
+  function setImageUrl(id, blob){
+    if(imageUrls.has(id)) URL.revokeObjectURL(imageUrls.get(id));
+    imageUrls.set(id, URL.createObjectURL(blob));
+  }
+
+  async function storeImages(list){
+    for(const { id, dataUrl } of list){
+      const blob = dataUrlToBlob(dataUrl);
+      await adapter.putImage(id, blob);
+      setImageUrl(id, blob);
+    }
+  }
+
+  // picks an adapter, moves localStorage data into IndexedDB on first run,
+  // migrates/validates and primes the in-memory copy. Call once before load().
+  async function init(opts = {}){
+    frozen = null;
+    adapter = opts.adapter || (typeof indexedDB !== 'undefined' ? idbAdapter() : localAdapter());
+    let raw;
+    try {
+      raw = await adapter.read();
+    } catch (e) {
+      console.error(`${adapter.name} unavailable, falling back to localStorage`, e);
+      adapter = localAdapter();
+      raw = await adapter.read();
+    }
+    const fromLocal = !raw && adapter.name !== 'localStorage';
+    if(fromLocal) raw = await localAdapter().read();
+
+    let db = defaults();
+    if(raw){
+      try {
+        const result = normalize(raw);
+        db = result.db;
+        await storeImages(result.images);
+        if(result.changed || fromLocal) await adapter.write(db);
+        if(fromLocal) await localAdapter().clear();
+        if(result.moved) console.warn(`Quarantined ${result.moved} invalid record(s)`);
+      } catch (e) {
+        // unknown/future schema: leave the stored blob alone and run on defaults, without saving over it
+        console.error('DB migration error', e);
+        frozen = e.message;
+      }
+    }
+    cache = JSON.stringify(db);
+    (await adapter.getImages()).forEach(img => { if(!imageUrls.has(img.id)) setImageUrl(img.id, img.blob); });
+    return load();
+  }
+
+  // why the stored DB is left alone and nothing is saved, or null when all is well
+  function readOnly(){ return frozen; }
+
+  function load(){
+    return JSON.parse(cache);
+  }
+
+  // updates the in-memory copy right away; the adapter write is queued behind earlier ones
+  function save(db){
+    if(frozen){
+      reportError(new Error(`changes are not kept while the stored data can't be read (${frozen})`));
+      return writing;
+    }
+    db.schemaVersion = SCHEMA_VERSION;
+    const snapshot = JSON.stringify(db);
+    cache = snapshot;
+    writing = writing.then(() => adapter.write(JSON.parse(snapshot))).catch(reportError);
+    return writing;
+  }
+
+  async function reset(){
+    frozen = null; // the admin chose to start over
+    cache = JSON.stringify(defaults());
+    imageUrls.forEach(url => URL.revokeObjectURL(url));
+    imageUrls.clear();
+    await writing;
+    await adapter.clear();
+  }
+
+  // stores a Blob/File and returns its new imageId; throws on quota errors
+  async function putImage(blob){
+    const id = newImageId();
+    await adapter.putImage(id, blob);
+    setImageUrl(id, blob);
+    return id;
+  }
+
+  function imageUrl(id){
+    return (id && imageUrls.get(id)) || '';
+  }
+
+  async function deleteImage(id){
+    await adapter.deleteImage(id);
+    if(imageUrls.has(id)) URL.revokeObjectURL(imageUrls.get(id));
+    imageUrls.delete(id);
+  }
+
+  // drops stored images nothing in the DB (or a backup) points at any more
+  async function pruneImages(db = load()){
+    if(frozen) return; // the stored DB's images aren't in the defaults we run on
+    const used = referencedImageIds(db);
+    referencedImageIds(await adapter.readBackups()).forEach(id => used.add(id));
+    for(const id of Array.from(imageUrls.keys())) if(!used.has(id)) await deleteImage(id);
+  }
+
+  // the DB plus its images inlined as data URLs, ready for JSON export.
+  // opts.stripAdmin leaves the admin credentials out of the file.
+  async function exportDB(opts = {}){
+    const db = load();
+    if(opts.stripAdmin) db.admin = null;
+    const used = referencedImageIds(db);
+    const images = {};
+    for(const img of await adapter.getImages()){
+      if(used.has(img.id)) images[img.id] = await blobToDataUrl(img.blob);
+    }
+    return { ...db, images };
+  }
+
+  // [{id, size, type}] for every stored image, for the media library
+  async function listImages(){
+    return (await adapter.getImages()).map(img => ({ id: img.id, size: img.blob.size, type: img.blob.type }));
+  }
+
+  // [{id, blob}] for the stored images among `ids`, for exports that carry image files
+  async function imageBlobs(ids){
+    const wanted = new Set(ids);
+    return (await adapter.getImages()).filter(img => wanted.has(img.id));
+  }
+
+  // replaces the DB with an imported (possibly older) export;
+  // files exported without credentials keep the current admin
+  async function importDB(raw){
+    const { db, moved, images } = normalize(raw);
+    if(!db.admin) db.admin = load().admin;
+    await storeImages(images);
+    await save(db);
+    await pruneImages(db);
+    return { db, moved };
+  }
+
+  // --------------------------
+  // Backups
+  // --------------------------
+  // snapshots the current DB (admin included); the oldest beyond MAX_BACKUPS is dropped.
+  // Throws when it can't be stored, so callers can stop before changing anything.
+  async function backup(note){
+    await writing;
+    const list = await adapter.readBackups();
+    const entry = { id: 'bak_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 5), at: new Date().toISOString(), note: note || '', db: load() };
+    await adapter.writeBackups(list.concat(entry).slice(-MAX_BACKUPS));
+    return { id: entry.id, at: entry.at, note: entry.note };
+  }
+
+  // newest first, with record counts instead of the data
+  async function listBackups(){
+    return (await adapter.readBackups()).slice().reverse().map(b => ({
+      id: b.id, at: b.at, note: b.note,
+      counts: Object.fromEntries(COLLECTIONS.map(c => [c, Array.isArray(b.db[c]) ? b.db[c].length : 0]))
+    }));
+  }
+
+  // puts a snapshot back as the whole DB (its images are still in the store)
+  async function restoreBackup(id){
+    const found = (await adapter.readBackups()).find(b => b.id === id);
+    if(!found) throw new Error('Backup not found');
+    const { db } = normalize(found.db);
+    await save(db);
+    return db;
+  }
+
+  async function deleteBackup(id){
+    await adapter.writeBackups((await adapter.readBackups()).filter(b => b.id !== id));
+    await pruneImages();
+  }
+
+  // --------------------------
+  // Analytics events
+  // --------------------------
+  let eventsWriting = Promise.resolve();
+  // appends events, keeping the newest `max`; writes are queued so concurrent calls don't drop any
+  function addEvents(list, max){
+    eventsWriting = eventsWriting.then(async () => {
+      const all = (await adapter.readEvents()).concat(list);
+      await adapter.writeEvents(all.slice(-max));
+    }).catch(reportError);
+    return eventsWriting;
+  }
+  async function readEvents(){
+    await eventsWriting;
+    return adapter.readEvents();
+  }
+  function clearEvents(){
+    eventsWriting = eventsWriting.then(() => adapter.writeEvents([])).catch(reportError);
+    return eventsWriting;
+  }
+
+  async function estimate(){
+    const est = await adapter.estimate();
+    return { ...est, adapter: adapter.name };
+  }
+
+  const api = {
+    DB_KEY, SCHEMA_VERSION, COLLECTIONS,
+    defaults, schemas, FORMATS, registerSchema, validateRecord, validate,
+    registerMigration, migrate, normalize,
+    adapters, init, readOnly, load, save, reset, onError,
+    putImage, imageUrl, deleteImage, pruneImages, referencedImageIds, dataUrlToBlob, blobToDataUrl,
+    listImages, exportDB, imageBlobs, importDB, backup, listBackups, restoreBackup, deleteBackup,
+    addEvents, readEvents, clearEvents, estimate
+  };
+  if(typeof module !== 'undefined' && module.exports) module.exports = api;
+  else (window.BHub = window.BHub || {}).storage = api;
+})();
@@ -0,0 +1,142 @@
+/* Business Hub — shared categories & tags
+   - db.taxonomy = { categories: [name], tags: [name] } is the managed list;
+     records carry `category` (string) and `tags` ([string]) by name
+   - Names are matched case-insensitively and keep the managed list's casing
+   - rename/merge/remove rewrite every thought, work update and project that uses the name
+   - slugify/slugs give the URL form of names (static pages, feed files)
+   Works in the browser (BHub.taxonomy) and in Node (require).
+*/
+
+(() => {
+  const COLLECTIONS = ['thoughts', 'work', 'projects'];
+  const UNCATEGORIZED = 'Uncategorized';
+  const KINDS = { category: 'categories', tag: 'tags' };
+
+  const key = s => String(s || '').trim().toLowerCase();
+
+  // drops blanks and case-insensitive duplicates, first spelling wins
+  function uniq(names){
+    const seen = new Set();
+    return names.map(s => String(s || '').trim()).filter(n => n && !seen.has(key(n)) && seen.add(key(n)));
+  }
+
+  function parseTags(str){
+    return uniq(String(str || '').split(','));
+  }
+
+  function taxonomyOf(db){
+    if(!db.taxonomy || typeof db.taxonomy !== 'object') db.taxonomy = { categories: [], tags: [] };
+    if(!Array.isArray(db.taxonomy.categories)) db.taxonomy.categories = [];
+    if(!Array.isArray(db.taxonomy.tags)) db.taxonomy.tags = [];
+    return db.taxonomy;
+  }
+
+  function records(db){
+    return COLLECTIONS.flatMap(name => Array.isArray(db[name]) ? db[name] : []);
+  }
+
+  // the managed spelling of `name`, or null when it isn't in the list
+  function canonical(list, name){
+    const k = key(name);
+    return list.find(n => key(n) === k) || null;
+  }
+
+  // adds a record's category/tags to the managed lists and returns them in managed casing
+  function ensure(db, { category, tags = [] }){
+    const tax = taxonomyOf(db);
+    let cat = (category || '').trim();
+    if(cat && key(cat) !== key(UNCATEGORIZED)){
+      cat = canonical(tax.categories, cat) || (tax.categories.push(cat), cat);
+    }
+    const outTags = tags.map(t => canonical(tax.tags, t) || (tax.tags.push(t.trim()), t.trim()));
+    return { category: cat, tags: uniq(outTags) };
+  }
+
+  // name -> number of records using it, managed-but-unused names included with 0
+  function usage(db, kind){
+    const tax = taxonomyOf(db);
+    const counts = new Map(tax[KINDS[kind]].map(n => [n, 0]));
+    records(db).forEach(rec => {
+      const names = kind === 'category' ? (rec.category ? [rec.category] : []) : (rec.tags || []);
+      names.forEach(n => {
+        const name = canonical(Array.from(counts.keys()), n) || n;
+        counts.set(name, (counts.get(name) || 0) + 1);
+      });
+    });
+    return counts;
+  }
+
+  // renames `from` to `to` everywhere; when `to` already exists this is a merge
+  function rename(db, kind, from, to){
+    to = String(to || '').trim();
+    if(!to) throw new Error('Name required');
+    const tax = taxonomyOf(db);
+    const list = tax[KINDS[kind]];
+    const target = canonical(list.filter(n => key(n) !== key(from)), to) || to;
+    // renamed in place so the list keeps its order; merging drops the later duplicate
+    tax[KINDS[kind]] = uniq(list.map(n => key(n) === key(from) ? target : n).concat(target));
+    let changed = 0;
+    records(db).forEach(rec => {
+      if(kind === 'category'){
+        if(key(rec.category) === key(from) || key(rec.category) === key(target)){
+          if(rec.category !== target){ rec.category = target; changed++; }
+        }
+      } else if(Array.isArray(rec.tags) && rec.tags.some(t => key(t) === key(from))){
+        rec.tags = uniq(rec.tags.map(t => key(t) === key(from) ? target : t));
+        changed++;
+      }
+    });
+    return changed;
+  }
+
+  function merge(db, kind, sources, target){
+    return sources.filter(s => key(s) !== key(target)).reduce((n, s) => n + rename(db, kind, s, target), 0);
+  }
+
+  // drops a name from the list and from every record (categories fall back to Uncategorized on thoughts)
+  function remove(db, kind, name){
+    const tax = taxonomyOf(db);
+    tax[KINDS[kind]] = tax[KINDS[kind]].filter(n => key(n) !== key(name));
+    let changed = 0;
+    COLLECTIONS.forEach(coll => (db[coll] || []).forEach(rec => {
+      if(kind === 'category' && key(rec.category) === key(name)){
+        rec.category = coll === 'thoughts' ? UNCATEGORIZED : '';
+        changed++;
+      } else if(kind === 'tag' && (rec.tags || []).some(t => key(t) === key(name))){
+        rec.tags = rec.tags.filter(t => key(t) !== key(name));
+        changed++;
+      }
+    }));
+    return changed;
+  }
+
+  // filter = {category, tags: []}; every selected tag has to be present
+  function matches(rec, filter = {}){
+    if(filter.category && filter.category !== 'all' && key(rec.category || UNCATEGORIZED) !== key(filter.category)) return false;
+    const tags = (rec.tags || []).map(key);
+    return (filter.tags || []).every(t => tags.includes(key(t)));
+  }
+
+  // URL-safe form of a name ("Stratégie & Ops" -> "strategie-ops")
+  function slugify(name){
+    return String(name || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'category';
+  }
+
+  // names -> Map(name -> slug), numbering names that slugify alike
+  function slugs(names){
+    const used = new Set();
+    const out = new Map();
+    names.forEach(name => {
+      let slug = slugify(name), n = 2;
+      while(used.has(slug)) slug = `${slugify(name)}-${n++}`;
+      used.add(slug);
+      out.set(name, slug);
+    });
+    return out;
+  }
+
+  const api = { UNCATEGORIZED, parseTags, taxonomyOf, canonical, ensure, usage, rename, merge, remove, matches, slugify, slugs };
+  if(typeof module !== 'undefined' && module.exports) module.exports = api;
+  else (window.BHub = window.BHub || {}).taxonomy = api;
+})();
@@ -0,0 +1,103 @@
+/* Business Hub — themes
+   - Modes: light, dark and system (follows prefers-color-scheme). The
+     choice belongs to the visitor's browser (localStorage), not the DB
+   - Palettes: admin-defined colour sets in db.settings.theme =
+     { palettes: [{id, name, light: {bg, card, accent, text}, dark: {…}}], active }.
+     Each colour is optional; an unset one keeps the built-in value for
+     that mode (styles.css), so a palette can just as well only restyle
+     the dark mode
+   - Layering: built-in mode colours, then the site accent (see site.js),
+     then the active palette
+   - vars(): the CSS variables to set for a mode; css(): the same as a
+     stylesheet for the static build (light colours only, it has no dark mode)
+   Works in the browser (BHub.theme) and in Node (require).
+*/
+
+(() => {
+  const MODES = { system: 'System', light: 'Light', dark: 'Dark' };
+  const DEFAULT_MODE = 'system';
+  const SCHEMES = ['light', 'dark'];
+  const VARS = { bg: 'Background', card: 'Cards', accent: 'Accent', text: 'Text' };
+  // mirrors :root and :root.dark in styles.css; used to seed the colour pickers
+  const BUILT_IN = {
+    light: { bg: '#f4f7fb', card: '#ffffff', accent: '#0e86d4', text: '#0b1220' },
+    dark: { bg: '#071022', card: '#0b1220', accent: '#4dd0e1', text: '#e6eef6' }
+  };
+  const HEX = /^#[0-9a-f]{6}$/i;
+  const MAX_PALETTES = 12;
+  const MAX_NAME = 40;
+
+  function modeOf(value){ return MODES[value] ? value : DEFAULT_MODE; }
+
+  // 'system' -> whatever the OS prefers
+  function schemeOf(mode, prefersDark){
+    mode = modeOf(mode);
+    return mode === 'system' ? (prefersDark ? 'dark' : 'light') : mode;
+  }
+
+  // the next mode for the header button: system -> light -> dark -> system
+  function nextMode(mode){
+    const order = Object.keys(MODES);
+    return order[(order.indexOf(modeOf(mode)) + 1) % order.length];
+  }
+
+  function colours(input){
+    const out = {};
+    Object.keys(VARS).forEach(k => {
+      const v = input && input[k];
+      if(typeof v === 'string' && HEX.test(v)) out[k] = v.toLowerCase();
+    });
+    return out;
+  }
+
+  // stored theme settings with anything malformed dropped
+  function themeOf(settings){
+    const saved = (settings && settings.theme) || {};
+    const palettes = (Array.isArray(saved.palettes) ? saved.palettes : [])
+      .filter(p => p && typeof p.id === 'string' && typeof p.name === 'string')
+      .map(p => ({ id: p.id, name: p.name, light: colours(p.light), dark: colours(p.dark) }));
+    const active = palettes.some(p => p.id === saved.active) ? saved.active : '';
+    return { palettes, active };
+  }
+
+  // form values -> {theme, errors: [{field, message}]}
+  function clean(input){
+    const errors = [];
+    const list = Array.isArray(input && input.palettes) ? input.palettes : [];
+    if(list.length > MAX_PALETTES) errors.push({ field: 'palettes', message: `Keep it to ${MAX_PALETTES} palettes` });
+    const names = new Set();
+    const palettes = list.slice(0, MAX_PALETTES).map((p, i) => {
+      const name = String(p.name || '').trim();
+      if(!name) errors.push({ field: `palettes.${i}.name`, message: `Palette ${i + 1} needs a name` });
+      else if(name.length > MAX_NAME) errors.push({ field: `palettes.${i}.name`, message: `"${name.slice(0, 20)}…" is too long (${name.length}/${MAX_NAME} characters)` });
+      else if(names.has(name.toLowerCase())) errors.push({ field: `palettes.${i}.name`, message: `There are two palettes called "${name}"` });
+      names.add(name.toLowerCase());
+      SCHEMES.forEach(scheme => Object.keys(VARS).forEach(k => {
+        const v = p[scheme] && p[scheme][k];
+        if(v && !HEX.test(v)) errors.push({ field: `palettes.${i}.${scheme}.${k}`, message: `${name || 'Palette ' + (i + 1)}: ${scheme} ${VARS[k].toLowerCase()} should look like #0e86d4` });
+      }));
+      return { id: String(p.id || ''), name, light: colours(p.light), dark: colours(p.dark) };
+    });
+    const active = palettes.some(p => p.id === input.active) ? input.active : '';
+    return { theme: { palettes, active }, errors };
+  }
+
+  // {'--bg': '#…', …} for the variables to override; site accent first, the palette over it
+  function vars(theme, scheme, accent){
+    const palette = theme.palettes.find(p => p.id === theme.active);
+    const set = { ...(accent ? { accent } : {}), ...(palette ? palette[scheme] : {}) };
+    const out = {};
+    Object.keys(VARS).forEach(k => { if(set[k]) out['--' + k] = set[k]; });
+    return out;
+  }
+
+  function css(theme, accent){
+    const v = vars(theme, 'light', accent);
+    const body = Object.entries(v).map(([k, val]) => `${k}:${val}`).join(';');
+    return body ? `:root{${body}}` : '';
+  }
+
+  const api = { MODES, DEFAULT_MODE, SCHEMES, VARS, BUILT_IN, modeOf, schemeOf, nextMode, themeOf, clean, vars, css };
+  if(typeof module !== 'undefined' && module.exports) module.exports = api;
+  else (window.BHub = window.BHub || {}).theme = api;
+})();
@@ -0,0 +1,352 @@
+#!/usr/bin/env node
+/* Business Hub — static site build
+   Renders an exported DB (Admin → Download DB) into plain HTML pages that
+   work without the app's storage, for search engines and for hosting on
+   GitHub Pages:
+     index.html                      hero + latest items
+     thoughts/ work/ projects/       one listing page per section
+     thoughts/<id>/ ...              one page per item (same ids as the app's #/thoughts/<id>)
+     category/ category/<slug>/      category index + one page per category
+     images/                         the images the export carries
+     feed.xml atom.xml feed.json     RSS / Atom / JSON Feed of thoughts + work (see feeds.js),
+     category/<slug>/feed.xml ...    and the same per category
+     sitemap.xml robots.txt
+   Only published items are included (see publish.js); cards come from
+   cards.js so listings look like the app's. Sitemap and feeds need absolute
+   URLs: --base-url, or the published site URL from Admin → Site Settings.
+
+     node tools/build-site.js business-hub-db.json [--out site] [--base-url https://you.github.io/repo/]
+*/
+
+const fs = require('fs');
+const path = require('path');
+const ROOT = path.join(__dirname, '..');
+const storage = require(path.join(ROOT, 'storage.js'));
+const publish = require(path.join(ROOT, 'publish.js'));
+const md = require(path.join(ROOT, 'markdown.js'));
+const cards = require(path.join(ROOT, 'cards.js'));
+const site = require(path.join(ROOT, 'site.js'));
+const taxonomy = require(path.join(ROOT, 'taxonomy.js'));
+const feeds = require(path.join(ROOT, 'feeds.js'));
+const portfolio = require(path.join(ROOT, 'portfolio.js'));
+const theme = require(path.join(ROOT, 'theme.js'));
+
+const { escapeHtml, tagLine } = cards;
+const SECTIONS = {
+  thoughts: { title: 'Business Thoughts', nav: 'Thoughts', card: cards.thoughtCard, grid: 'grid cards', body: 'content' },
+  work: { title: 'Work & Updates', nav: 'Work', card: cards.workCard, grid: 'list cards', body: 'content' },
+  projects: { title: 'Portfolio', nav: 'Portfolio', card: cards.projectCard, grid: 'grid projects', body: 'desc' }
+};
+const LATEST = 3; // items per section on the home page
+const IMAGE_EXT = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/gif': 'gif', 'image/webp': 'webp', 'image/svg+xml': 'svg', 'image/x-icon': 'ico', 'image/vnd.microsoft.icon': 'ico' };
+
+// --------------------------
+// Options
+// --------------------------
+function parseArgs(argv){
+  const opts = { input: null, out: 'site', baseUrl: '' };
+  for(let i = 0; i < argv.length; i++){
+    const a = argv[i];
+    if(a === '--out') opts.out = argv[++i];
+    else if(a === '--base-url') opts.baseUrl = argv[++i];
+    else if(a === '-h' || a === '--help') opts.help = true;
+    else if(a.startsWith('--')) throw new Error(`Unknown option ${a}`);
+    else opts.input = a;
+  }
+  if(opts.baseUrl && !/^https?:\/\//i.test(opts.baseUrl)) throw new Error('--base-url must be an absolute http(s) URL');
+  if(opts.baseUrl && !opts.baseUrl.endsWith('/')) opts.baseUrl += '/';
+  return opts;
+}
+
+// --------------------------
+// Helpers
+// --------------------------
+function writeFile(out, rel, content){
+  const file = path.join(out, rel);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+// images from the export -> files; returns imageId -> path relative to the site root
+function writeImages(out, images){
+  const files = new Map();
+  images.forEach(({ id, dataUrl }) => {
+    const [head, body] = dataUrl.split(',');
+    const type = (head.match(/^data:([^;,]+)/) || [])[1];
+    if(!IMAGE_EXT[type]) return;
+    const buf = /;base64$/.test(head) ? Buffer.from(body, 'base64') : Buffer.from(decodeURIComponent(body));
+    const rel = `images/${id}.${IMAGE_EXT[type]}`;
+    writeFile(out, rel, buf);
+    files.set(id, rel);
+  });
+  return files;
+}
+
+// --------------------------
+// Pages
+// --------------------------
+// every path handed around is relative to the site root; `up` turns it into a link from the current page
+function layout(b, { rel, title, description, body, current, feedCategory }){
+  const up = '../'.repeat(rel.split('/').length - 1);
+  const s = b.site;
+  const fullTitle = title ? `${title} — ${s.title}` : (s.tagline ? `${s.title} — ${s.tagline}` : s.title);
+  const canonical = b.baseUrl ? b.baseUrl + rel.replace(/index\.html$/, '') : '';
+  const favicon = s.favicon && b.images.get(s.favicon.imageId);
+  const nav = [['index.html', 'Home', 'home']].concat(Object.entries(SECTIONS).map(([coll, sec]) => [`${coll}/`, sec.nav, coll]));
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>${escapeHtml(fullTitle)}</title>
+  ${description ? `<meta name="description" content="${escapeHtml(description)}" />` : ''}
+  ${canonical ? `<link rel="canonical" href="${escapeHtml(canonical)}" />` : ''}
+  <meta property="og:title" content="${escapeHtml(title || s.title)}" />
+  <meta property="og:site_name" content="${escapeHtml(s.title)}" />
+  ${canonical ? `<meta property="og:url" content="${escapeHtml(canonical)}" />` : ''}
+  ${favicon ? `<link rel="icon" href="${up}${favicon}" />` : ''}
+  ${feedLinks(b, '').concat(feedCategory ? feedLinks(b, feedCategory) : []).join('\n  ')}
+  <link rel="stylesheet" href="${up}styles.css" />
+  ${b.look ? `<style>${b.look}</style>` : ''}
+</head>
+<body class="static-site">
+  <header class="topbar">
+    <a class="brand" href="${up}index.html">
+      <span class="logo">${escapeHtml(s.title)}</span>
+      ${s.tagline ? `<span class="tag">${escapeHtml(s.tagline)}</span>` : ''}
+    </a>
+  </header>
+  <nav class="main-nav">
+    ${nav.map(([href, label, key]) => `<a href="${up}${href}" class="navlink${key === current ? ' active' : ''}">${label}</a>`).join('\n    ')}
+  </nav>
+  <main>
+${body.replace(/\bhref="@\//g, `href="${up}`).replace(/\bsrc="@\//g, `src="${up}`).replace(/url\('@\//g, `url('${up}`)}
+  </main>
+  <footer class="footer">
+    <div>© ${new Date().getFullYear()} ${escapeHtml(s.title)}${s.email ? ` — <a href="mailto:${escapeHtml(s.email)}">${escapeHtml(s.email)}</a>` : ''}${s.phone ? ` — <a href="${escapeHtml(site.telHref(s.phone))}">${escapeHtml(s.phone)}</a>` : ''}</div>
+    ${Object.keys(s.social).length ? `<div class="social-links">${Object.entries(s.social).map(([k, url]) => `<a class="chip" href="${escapeHtml(url)}" rel="noopener me">${escapeHtml(site.SOCIAL[k])}</a>`).join('')}</div>` : ''}
+  </footer>
+</body>
+</html>
+`;
+}
+
+// <link rel="alternate"> for the feeds of the whole site ('') or one category
+function feedLinks(b, category){
+  if(!b.baseUrl || (category && !b.feedCategories.includes(category))) return [];
+  return Object.values(feeds.FORMATS).map(f => `<link rel="alternate" type="${f.type}" title="${escapeHtml(`${b.site.title}${category ? ' — ' + category : ''} (${f.label})`)}" href="${escapeHtml(b.baseUrl + feedDir(b, category) + f.file)}" />`);
+}
+function feedDir(b, category){
+  return category ? `category/${b.slugs.get(category)}/` : '';
+}
+
+function writeFeeds(b, db, out, now){
+  const written = [];
+  ['', ...b.feedCategories].forEach(category => Object.entries(feeds.FORMATS).forEach(([format, f]) => {
+    const rel = feedDir(b, category) + f.file;
+    writeFile(out, rel, feeds.render(format, db, {
+      site: b.site, category, now,
+      homeUrl: b.baseUrl + (category ? feedDir(b, category) : ''),
+      selfUrl: b.baseUrl + rel,
+      link: (coll, rec) => `${b.baseUrl}${coll}/${rec.id}/`,
+      imageUrl: rec => { const src = imageOf(b, rec); return src.startsWith('@/') ? b.baseUrl + src.slice(2) : src; }
+    }));
+    written.push(rel);
+  }));
+  return written;
+}
+
+// links inside page bodies start with "@/" (the site root) and are made relative by layout()
+function cardCtx(b){
+  return {
+    imgSrc: rec => (rec.thumbId && b.images.has(rec.thumbId) ? '@/' + b.images.get(rec.thumbId) : imageOf(b, rec)),
+    href: (coll, rec) => `@/${coll}/${rec.id}/`
+  };
+}
+function imageOf(b, rec){
+  const file = rec.imageId && b.images.get(rec.imageId);
+  return file ? '@/' + file : (rec.image && /^https?:\/\//i.test(rec.image) ? rec.image : '');
+}
+
+function cardList(b, coll, items){
+  return `<div class="${SECTIONS[coll].grid}">${items.map(r => SECTIONS[coll].card(r, cardCtx(b))).join('')}</div>`;
+}
+
+function itemPage(b, coll, rec){
+  if(coll === 'projects') return projectPage(b, rec);
+  const src = imageOf(b, rec);
+  const cat = rec.category && b.slugs.get(rec.category);
+  const date = rec.publishAt || rec.created;
+  return layout(b, {
+    rel: `${coll}/${rec.id}/index.html`,
+    title: rec.title,
+    description: cards.excerpt(rec[SECTIONS[coll].body], 160),
+    current: coll,
+    body: `    <article class="section container">
+      <p class="small"><a href="@/${coll}/">← ${SECTIONS[coll].title}</a></p>
+      ${src ? `<img src="${escapeHtml(src)}" alt="${escapeHtml(rec.imageAlt || '')}" style="max-width:100%;border-radius:8px;margin-bottom:8px" />` : ''}
+      <h1>${escapeHtml(rec.title)}</h1>
+      <small class="muted">${cat ? `<a href="@/category/${cat}/">${escapeHtml(rec.category)}</a> • ` : ''}<time datetime="${escapeHtml(date)}">${new Date(date).toLocaleDateString()}</time> ${tagLine(rec)}</small>
+      ${coll === 'projects' && portfolio.linkOf(rec) ? `<p><a href="${escapeHtml(portfolio.linkOf(rec))}" target="_blank" rel="noopener" class="btn small outline">Open</a></p>` : ''}
+      <div class="md-body" style="margin-top:12px">${md.render(rec[SECTIONS[coll].body])}</div>
+    </article>`
+  });
+}
+
+// projects get the app's case-study layout
+function projectPage(b, rec){
+  const file = id => (id && b.images.has(id) ? '@/' + b.images.get(id) : '');
+  return layout(b, {
+    rel: `projects/${rec.id}/index.html`,
+    title: rec.title,
+    description: cards.excerpt(rec.desc, 160),
+    current: 'projects',
+    body: `    <article class="section container">
+      <p class="small"><a href="@/projects/">← ${SECTIONS.projects.title}</a></p>
+      ${cards.projectDetail(rec, { imgSrc: r => imageOf(b, r), imageUrl: file })}
+    </article>`
+  });
+}
+
+function sectionPage(b, coll){
+  const items = b.items[coll];
+  return layout(b, {
+    rel: `${coll}/index.html`,
+    title: SECTIONS[coll].title,
+    current: coll,
+    body: `    <section class="section container">
+      <div class="section-head"><h2>${SECTIONS[coll].title}</h2></div>
+      ${items.length ? cardList(b, coll, items) : '<div class="card">Nothing published yet.</div>'}
+    </section>`
+  });
+}
+
+function categoryPage(b, name){
+  const slug = b.slugs.get(name);
+  const blocks = Object.keys(SECTIONS).map(coll => {
+    const items = b.items[coll].filter(r => r.category === name);
+    return items.length ? `<h3>${SECTIONS[coll].title}</h3>${cardList(b, coll, items)}` : '';
+  }).join('');
+  return layout(b, {
+    rel: `category/${slug}/index.html`,
+    title: name,
+    description: `Everything filed under ${name}`,
+    feedCategory: name,
+    body: `    <section class="section container">
+      <p class="small"><a href="@/category/">← All categories</a></p>
+      <div class="section-head"><h2>${escapeHtml(name)}</h2></div>
+      ${blocks}
+    </section>`
+  });
+}
+
+function categoryIndex(b){
+  return layout(b, {
+    rel: 'category/index.html',
+    title: 'Categories',
+    body: `    <section class="section container">
+      <div class="section-head"><h2>Categories</h2></div>
+      <div class="tag-filter">${Array.from(b.categories.entries()).map(([name, n]) =>
+        `<a class="chip" href="@/category/${b.slugs.get(name)}/">${escapeHtml(name)} (${n})</a>`).join('')}</div>
+    </section>`
+  });
+}
+
+function homePage(b){
+  const s = b.site;
+  const latest = Object.keys(SECTIONS).map(coll => b.items[coll].length ? `
+      <div class="section-head"><h2>${SECTIONS[coll].title}</h2><a class="btn small ghost" href="@/${coll}/">See all</a></div>
+      ${cardList(b, coll, b.items[coll].slice(0, LATEST))}` : '').join('');
+  return layout(b, {
+    rel: 'index.html',
+    description: s.heroText || s.tagline,
+    current: 'home',
+    body: `    <section class="hero">
+      <div class="hero-inner">
+        <h1>${escapeHtml(s.heroHeading)}</h1>
+        ${s.heroText ? `<p>${escapeHtml(s.heroText)}</p>` : ''}
+        <div class="hero-cta">
+          <a href="@/thoughts/" class="btn primary">${escapeHtml(s.ctaPrimary)}</a>
+          <a href="@/projects/" class="btn outline">${escapeHtml(s.ctaSecondary)}</a>
+        </div>
+      </div>
+    </section>
+    <section class="section container">${latest || '<div class="card">Nothing published yet.</div>'}
+    </section>`
+  });
+}
+
+function sitemap(b, pages){
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${pages.map(p => `  <url><loc>${escapeHtml(b.baseUrl + p.rel.replace(/index\.html$/, ''))}</loc>${p.lastmod ? `<lastmod>${escapeHtml(p.lastmod)}</lastmod>` : ''}</url>`).join('\n')}
+</urlset>
+`;
+}
+
+function robots(b){
+  return `User-agent: *\nAllow: /\n${b.baseUrl ? `\nSitemap: ${b.baseUrl}sitemap.xml\n` : ''}`;
+}
+
+// --------------------------
+// Build
+// --------------------------
+// raw export -> files under opts.out; returns the list of pages written
+function build(raw, opts){
+  const { db, images } = storage.normalize(raw);
+  const now = Date.now();
+  const out = path.resolve(opts.out);
+  fs.rmSync(out, { recursive: true, force: true });
+
+  const b = { site: site.siteOf(db.settings), images: writeImages(out, images), items: {} };
+  b.look = theme.css(theme.themeOf(db.settings), b.site.accent); // the active palette's light colours
+  b.baseUrl = opts.baseUrl || b.site.url;
+  // newest first, as the app lists them; the portfolio in its manual order
+  Object.keys(SECTIONS).forEach(coll => { b.items[coll] = db[coll].filter(r => publish.isPublic(r, now)).reverse(); });
+  b.items.projects = portfolio.sort(b.items.projects);
+  b.categories = new Map();
+  Object.keys(SECTIONS).forEach(coll => b.items[coll].forEach(r => {
+    if(r.category) b.categories.set(r.category, (b.categories.get(r.category) || 0) + 1);
+  }));
+  b.categories = new Map(Array.from(b.categories).sort((x, y) => x[0].localeCompare(y[0])));
+  b.slugs = taxonomy.slugs(Array.from(b.categories.keys()));
+  b.feedCategories = feeds.categories(db, now);
+
+  const pages = [{ rel: 'index.html', html: homePage(b) }];
+  Object.keys(SECTIONS).forEach(coll => {
+    pages.push({ rel: `${coll}/index.html`, html: sectionPage(b, coll) });
+    b.items[coll].forEach(rec => pages.push({ rel: `${coll}/${rec.id}/index.html`, html: itemPage(b, coll, rec), lastmod: rec.updated || rec.publishAt || rec.created }));
+  });
+  if(b.categories.size){
+    pages.push({ rel: 'category/index.html', html: categoryIndex(b) });
+    b.categories.forEach((n, name) => pages.push({ rel: `category/${b.slugs.get(name)}/index.html`, html: categoryPage(b, name) }));
+  }
+
+  pages.forEach(p => writeFile(out, p.rel, p.html));
+  fs.copyFileSync(path.join(ROOT, 'styles.css'), path.join(out, 'styles.css'));
+  writeFile(out, '.nojekyll', ''); // GitHub Pages: serve the folders as they are
+  writeFile(out, 'robots.txt', robots(b));
+  if(b.baseUrl) writeFile(out, 'sitemap.xml', sitemap(b, pages));
+  const feedFiles = b.baseUrl ? writeFeeds(b, db, out, now) : [];
+  return { out, pages, feeds: feedFiles, site: b };
+}
+
+if(require.main === module){
+  let opts;
+  try { opts = parseArgs(process.argv.slice(2)); } catch (e) { console.error(e.message); process.exit(2); }
+  if(opts.help || !opts.input){
+    console.log('usage: node tools/build-site.js <export.json> [--out site] [--base-url https://you.github.io/repo/]');
+    process.exit(opts.help ? 0 : 2);
+  }
+  try {
+    const { out, pages, feeds: feedFiles, site: b } = build(JSON.parse(fs.readFileSync(opts.input, 'utf8')), opts);
+    const counts = Object.keys(SECTIONS).map(coll => `${b.items[coll].length} ${coll}`).join(', ');
+    console.log(`Wrote ${pages.length} pages (${counts}, ${b.categories.size} categories) and ${feedFiles.length} feeds to ${out}`);
+    if(!b.baseUrl) console.warn('No site URL (--base-url or Admin → Site Settings): sitemap.xml and feeds skipped, they need absolute URLs');
+  } catch (e) {
+    console.error(`Build failed: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { build };
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/* Business Hub — local stub for the message outbox
+   Accepts the JSON POSTs the outbox sends (Formspree or webhook shape),
+   logs them and answers like a real endpoint would. Use it as the delivery
+   URL in Admin → Delivery to try queueing and retries without a real service.
+
+     node tools/outbox-stub.js [--port 8787] [--fail 2] [--status 503]
+
+   --fail N    answer the first N requests with --status (default 503), then 200
+   --status S  the failure status; a 4xx other than 408/429 makes the app give up
+   GET /messages lists what has been received so far.
+*/
+
+const http = require('http');
+
+const args = process.argv.slice(2);
+const opt = (name, def) => { const i = args.indexOf('--' + name); return i > -1 ? Number(args[i + 1]) : def; };
+const PORT = opt('port', 8787);
+let failLeft = opt('fail', 0);
+const FAIL_STATUS = opt('status', 503);
+
+const received = [];
+const cors = { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Headers': 'Content-Type, Accept', 'Access-Control-Allow-Methods': 'POST, GET, OPTIONS' };
+
+function reply(res, status, body){
+  res.writeHead(status, { ...cors, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  if(req.method === 'OPTIONS'){ res.writeHead(204, cors); return res.end(); }
+  if(req.method === 'GET' && req.url === '/messages') return reply(res, 200, received);
+  if(req.method !== 'POST') return reply(res, 405, { error: 'POST only' });
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; if(raw.length > 1e6) req.destroy(); });
+  req.on('end', () => {
+    if(failLeft > 0){
+      failLeft--;
+      console.log(`[stub] ${req.url} -> ${FAIL_STATUS} (failing ${failLeft} more)`);
+      return reply(res, FAIL_STATUS, { error: 'stub failure' });
+    }
+    let body;
+    try { body = JSON.parse(raw); } catch (e) { return reply(res, 400, { error: 'invalid JSON' }); }
+    received.push({ at: new Date().toISOString(), path: req.url, body });
+    console.log(`[stub] ${req.url} <- ${JSON.stringify(body)}`);
+    reply(res, 200, { ok: true });
+  });
+});
+
+server.listen(PORT, () => console.log(`[stub] listening on http://localhost:${PORT}/ (failing first ${failLeft})`));
@@ -0,0 +1,142 @@
+/* Business Hub — ZIP archives
+   - create(files): [{name, data}] -> Uint8Array; entries are stored
+     uncompressed (images are compressed already, Markdown is small)
+   - read(bytes): -> Promise<[{name, data}]>; reads stored and deflated
+     entries, so archives from other tools import too (no ZIP64, no encryption)
+   - data is a Uint8Array or a string (written as UTF-8)
+   Works in the browser (BHub.zip) and in Node (require).
+*/
+
+(() => {
+  const inNode = typeof module !== 'undefined' && module.exports;
+  const MAX_TOTAL = 200 * 1024 * 1024; // refuse archives that unpack to more than this
+  const enc = new TextEncoder();
+  const dec = new TextDecoder();
+
+  const CRC_TABLE = (() => {
+    const t = new Uint32Array(256);
+    for(let n = 0; n < 256; n++){
+      let c = n;
+      for(let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      t[n] = c >>> 0;
+    }
+    return t;
+  })();
+  function crc32(bytes){
+    let c = 0xffffffff;
+    for(let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+  }
+
+  function dosTime(d){
+    return {
+      time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+      date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+    };
+  }
+
+  function create(files, now = new Date()){
+    const { time, date } = dosTime(now);
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    files.forEach(f => {
+      const name = enc.encode(f.name);
+      const data = typeof f.data === 'string' ? enc.encode(f.data) : f.data;
+      const crc = crc32(data);
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true); // version needed
+      local.setUint16(6, 0x0800, true); // UTF-8 names
+      local.setUint16(8, 0, true); // stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+      parts.push(new Uint8Array(local.buffer), name, data);
+
+      const cd = new DataView(new ArrayBuffer(46));
+      cd.setUint32(0, 0x02014b50, true);
+      cd.setUint16(4, 20, true);
+      cd.setUint16(6, 20, true);
+      cd.setUint16(8, 0x0800, true);
+      cd.setUint16(10, 0, true);
+      cd.setUint16(12, time, true);
+      cd.setUint16(14, date, true);
+      cd.setUint32(16, crc, true);
+      cd.setUint32(20, data.length, true);
+      cd.setUint32(24, data.length, true);
+      cd.setUint16(28, name.length, true);
+      cd.setUint32(42, offset, true);
+      central.push(new Uint8Array(cd.buffer), name);
+      offset += 30 + name.length + data.length;
+    });
+    const cdSize = central.reduce((n, p) => n + p.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, cdSize, true);
+    end.setUint32(16, offset, true);
+    const all = parts.concat(central, [new Uint8Array(end.buffer)]);
+    const out = new Uint8Array(all.reduce((n, p) => n + p.length, 0));
+    let at = 0;
+    all.forEach(p => { out.set(p, at); at += p.length; });
+    return out;
+  }
+
+  async function inflateRaw(bytes){
+    if(inNode) return new Uint8Array(require('zlib').inflateRawSync(bytes));
+    if(typeof DecompressionStream === 'undefined') throw new Error('This browser cannot unpack compressed ZIP entries');
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  async function read(input){
+    const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let eocd = -1;
+    for(let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--){
+      if(view.getUint32(i, true) === 0x06054b50){ eocd = i; break; }
+    }
+    if(eocd < 0) throw new Error('Not a ZIP file');
+    const count = view.getUint16(eocd + 10, true);
+    let p = view.getUint32(eocd + 16, true);
+    if(count === 0xffff || p === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+    const files = [];
+    let total = 0;
+    for(let n = 0; n < count; n++){
+      if(view.getUint32(p, true) !== 0x02014b50) throw new Error('Corrupt ZIP directory');
+      const flags = view.getUint16(p + 8, true);
+      const method = view.getUint16(p + 10, true);
+      const size = view.getUint32(p + 20, true);
+      const usize = view.getUint32(p + 24, true);
+      const nameLen = view.getUint16(p + 28, true);
+      const extraLen = view.getUint16(p + 30, true);
+      const commentLen = view.getUint16(p + 32, true);
+      const local = view.getUint32(p + 42, true);
+      const name = dec.decode(bytes.subarray(p + 46, p + 46 + nameLen));
+      p += 46 + nameLen + extraLen + commentLen;
+      if(name.endsWith('/')) continue;
+      if(flags & 1) throw new Error(`${name} is encrypted`);
+      total += usize;
+      if(total > MAX_TOTAL) throw new Error('The archive unpacks to more than ' + MAX_TOTAL / 1024 / 1024 + ' MB');
+      const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+      const raw = bytes.subarray(start, start + size);
+      let data;
+      if(method === 0) data = raw.slice();
+      else if(method === 8) data = await inflateRaw(raw);
+      else throw new Error(`${name} uses an unsupported compression method (${method})`);
+      if(data.length !== usize) throw new Error(`${name} is damaged`);
+      files.push({ name, data });
+    }
+    return files;
+  }
+
+  const api = { create, read, crc32 };
+  if(inNode) module.exports = api;
+  else (window.BHub = window.BHub || {}).zip = api;
+})();